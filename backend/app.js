@@ -0,0 +1,120 @@
+// Builds the Express app without listening, so server.js can start it and
+// tests can drive it with supertest
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const compression = require('compression');
+const { createAuth } = require('./middleware/auth');
+const { createRateLimiters } = require('./middleware/rateLimit');
+const { accessLog } = require('./middleware/accessLog');
+const { requestId } = require('./middleware/requestId');
+const { requireDatabase } = require('./middleware/requireDatabase');
+const { logger } = require('./services/logger');
+const { metricsMiddleware, createMetricsHandler } = require('./services/metrics');
+const { createHealthRouter } = require('./routes/health');
+const { createAuthRouter } = require('./routes/auth');
+const { createUniversitiesRouter } = require('./routes/universities');
+const { createRubricsRouter } = require('./routes/rubrics');
+const { createJobsRouter } = require('./routes/jobs');
+const { createEssaysRouter } = require('./routes/essays');
+const { createStatsRouter } = require('./routes/stats');
+
+// `config` comes from loadConfig, `provider` from createProvider and
+// `evaluationQueue` from createEvaluationQueue. `isShuttingDown()` is true
+// once the server has started draining.
+const createApp = ({ config, provider, evaluationQueue, isShuttingDown = () => false }) => {
+  const app = express();
+  const rateLimiters = createRateLimiters(config.rateLimits);
+  const auth = createAuth(config.auth);
+  const { requireAuth } = auth;
+
+  // Behind a load balancer, TRUST_PROXY makes req.ip the client's address
+  // rather than the proxy's
+  if (config.trustProxy) {
+    app.set('trust proxy', config.trustProxy);
+  }
+
+  // Middleware
+  app.use(requestId);
+  app.use((req, res, next) => {
+    // Clients on a keep-alive connection reconnect elsewhere while we drain
+    if (isShuttingDown()) res.set('Connection', 'close');
+    next();
+  });
+  app.use(accessLog(config.accessLogFormat));
+  app.use(metricsMiddleware);
+  // The API only serves JSON and file downloads, so the policy allows nothing
+  app.use(helmet({
+    contentSecurityPolicy: {
+      useDefaults: false,
+      directives: {
+        defaultSrc: ["'none'"],
+        baseUri: ["'none'"],
+        formAction: ["'none'"],
+        frameAncestors: ["'none'"]
+      }
+    }
+  }));
+  app.use(cors({
+    origin: config.clientUrl,
+    credentials: true,
+    exposedHeaders: ['X-Request-Id', 'Retry-After', 'RateLimit', 'RateLimit-Policy']
+  }));
+  // gzip or brotli, whichever the client prefers. Event streams are left alone:
+  // compressing them would hold events back until the buffer fills.
+  app.use(compression({
+    filter: (req, res) => !String(res.getHeader('Content-Type') || '').startsWith('text/event-stream')
+      && compression.filter(req, res)
+  }));
+  app.use('/api', rateLimiters.ip);
+  app.use('/api', requireDatabase);
+  app.use(express.json({ limit: config.bodyLimit }));
+  app.use(express.urlencoded({ extended: true, limit: config.bodyLimit }));
+
+  // Prometheus scrape endpoint; outside /api so it isn't rate limited
+  app.get('/metrics', createMetricsHandler({ token: config.metricsToken }));
+
+  // Routes
+  app.use('/api/health', createHealthRouter({ isShuttingDown }));
+  app.use('/api/auth', createAuthRouter({ rateLimiters, auth }));
+  // University catalog, used for search autocomplete and program-specific scoring
+  app.use('/api/universities', requireAuth, rateLimiters.user, createUniversitiesRouter());
+  // Rubrics are shared across counselors; only the author may change one
+  app.use('/api/rubrics', requireAuth, rateLimiters.user, createRubricsRouter());
+  // Evaluation jobs, polled after POST /api/essays/evaluate; owners only
+  app.use('/api/jobs', requireAuth, rateLimiters.user, createJobsRouter());
+  app.use('/api/essays', requireAuth, rateLimiters.user, createEssaysRouter({
+    provider,
+    evaluationQueue,
+    rateLimiters,
+    bodyLimit: config.bodyLimit
+  }));
+  app.use('/api/stats', createStatsRouter());
+
+  app.use((err, req, res, next) => {
+    if (err.type === 'entity.too.large') {
+      return res.status(413).json({
+        success: false,
+        error: `Request body exceeds the ${config.bodyLimit} limit`
+      });
+    }
+    
+    logger.error('Unhandled error', { error: err });
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: config.env === 'development' ? err.message : 'Something went wrong'
+    });
+  });
+
+  app.use((req, res) => {
+    res.status(404).json({
+      success: false,
+      error: 'Route not found'
+    });
+  });
+
+  return app;
+};
+
+module.exports = { createApp };
@@ -0,0 +1,113 @@
+// Runtime configuration, read from the environment once at startup. Values
+// are checked up front so a typo fails loudly instead of quietly falling back
+// to a default.
+const { readProviderConfig } = require('./services/providers');
+const { readQueueConfig } = require('./services/jobQueue');
+const { readDatabaseConfig } = require('./services/database');
+const { LOG_LEVELS } = require('./services/logger');
+const { readRateLimitConfig } = require('./middleware/rateLimit');
+const { readAuthConfig } = require('./middleware/auth');
+const { ACCESS_LOG_FORMATS } = require('./middleware/accessLog');
+
+const PROVIDERS = ['heuristic', 'openai', 'ollama'];
+
+// Settings parsed as whole numbers; a value that isn't one is a mistake
+const NUMERIC_SETTINGS = [
+  'PORT',
+  'SHUTDOWN_TIMEOUT_MS',
+  'LLM_TIMEOUT_MS',
+  'LLM_MAX_RESPONSE_BYTES',
+  'EVALUATION_CONCURRENCY',
+  'EVALUATION_MAX_ATTEMPTS',
+  'EVALUATION_RETRY_DELAY_MS',
+  'EVALUATION_POLL_INTERVAL_MS',
+  'EVALUATION_STALE_AFTER_MS',
+  'RATE_LIMIT_WINDOW_MS',
+  'RATE_LIMIT_IP_MAX',
+  'RATE_LIMIT_USER_MAX',
+  'EVALUATION_RATE_LIMIT_WINDOW_MS',
+  'EVALUATION_RATE_LIMIT_MAX',
+  'AUTH_RATE_LIMIT_WINDOW_MS',
+  'AUTH_RATE_LIMIT_MAX',
+  'DB_CONNECT_MAX_ATTEMPTS',
+  'DB_CONNECT_RETRY_DELAY_MS',
+  'DB_CONNECT_MAX_RETRY_DELAY_MS',
+  'DB_SERVER_SELECTION_TIMEOUT_MS'
+];
+
+// Token lifetimes: a whole number and a unit, as in 90s, 15m, 12h or 7d
+const DURATION_SETTINGS = ['JWT_EXPIRES_IN', 'JWT_REFRESH_EXPIRES_IN'];
+const DURATION_PATTERN = /^[1-9]\d*(s|m|h|d|w|y)$/;
+
+// Largest request body accepted, whether JSON or an uploaded file
+const BODY_LIMIT = '10mb';
+
+// TRUST_PROXY is a hop count, 'true', or a list of proxy addresses
+const parseTrustProxy = (value) => {
+  if (!value) return false;
+  return value === 'true' || /^\d+$/.test(value) ? JSON.parse(value) : value;
+};
+
+const validateEnv = (env) => {
+  const errors = [];
+
+  if (!env.MONGODB_URI) {
+    errors.push('MONGODB_URI is required');
+  } else if (!/^mongodb(\+srv)?:\/\//.test(env.MONGODB_URI)) {
+    errors.push('MONGODB_URI must be a mongodb:// or mongodb+srv:// connection string');
+  }
+  if (!env.JWT_SECRET) {
+    errors.push('JWT_SECRET is required');
+  }
+  DURATION_SETTINGS.forEach((name) => {
+    if (env[name] && !DURATION_PATTERN.test(env[name])) {
+      errors.push(`${name} must be a duration such as 15m, 12h or 7d`);
+    }
+  });
+
+  NUMERIC_SETTINGS.forEach((name) => {
+    if (env[name] !== undefined && env[name] !== '' && !/^[1-9]\d*$/.test(env[name])) {
+      errors.push(`${name} must be a positive whole number`);
+    }
+  });
+
+  const provider = (env.EVALUATION_PROVIDER || 'heuristic').toLowerCase();
+  if (!PROVIDERS.includes(provider)) {
+    errors.push(`EVALUATION_PROVIDER must be one of: ${PROVIDERS.join(', ')}`);
+  }
+  if (env.LOG_LEVEL && !LOG_LEVELS[env.LOG_LEVEL]) {
+    errors.push(`LOG_LEVEL must be one of: ${Object.keys(LOG_LEVELS).join(', ')}`);
+  }
+  if (env.ACCESS_LOG_FORMAT && !ACCESS_LOG_FORMATS.includes(env.ACCESS_LOG_FORMAT)) {
+    errors.push(`ACCESS_LOG_FORMAT must be one of: ${ACCESS_LOG_FORMATS.join(', ')}`);
+  }
+
+  return errors;
+};
+
+// Throws an Error listing every problem (also in `details`) when the
+// environment is invalid
+const loadConfig = (env = process.env) => {
+  const errors = validateEnv(env);
+  if (errors.length > 0) {
+    throw Object.assign(new Error(`Invalid configuration: ${errors.join('; ')}`), { details: errors });
+  }
+
+  return {
+    env: env.NODE_ENV || 'development',
+    port: parseInt(env.PORT, 10) || 5000,
+    clientUrl: env.CLIENT_URL || 'http://localhost:3000',
+    trustProxy: parseTrustProxy(env.TRUST_PROXY),
+    bodyLimit: BODY_LIMIT,
+    accessLogFormat: env.ACCESS_LOG_FORMAT || 'json',
+    shutdownTimeoutMs: parseInt(env.SHUTDOWN_TIMEOUT_MS, 10) || 30000,
+    metricsToken: env.METRICS_TOKEN || null,
+    auth: readAuthConfig(env),
+    database: readDatabaseConfig(env),
+    provider: readProviderConfig(env),
+    queue: readQueueConfig(env),
+    rateLimits: readRateLimitConfig(env)
+  };
+};
+
+module.exports = { loadConfig };
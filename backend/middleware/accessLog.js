@@ -0,0 +1,33 @@
+const morgan = require('morgan');
+const { logger } = require('../services/logger');
+
+// Formats ACCESS_LOG_FORMAT may name: 'json', 'off' or a predefined morgan format
+const ACCESS_LOG_FORMATS = ['json', 'off', 'combined', 'common', 'dev', 'short', 'tiny'];
+
+// One structured log line per request, in the logger's format
+const jsonFormat = (tokens, req, res) => {
+  if (!logger.enabled('info')) return null;
+  return logger.format('info', 'Request completed', {
+    requestId: req.id,
+    method: tokens.method(req, res),
+    url: tokens.url(req, res),
+    status: Number(tokens.status(req, res)) || null,
+    durationMs: Number(tokens['response-time'](req, res)) || null,
+    contentLength: Number(tokens.res(req, res, 'content-length')) || null,
+    ip: tokens['remote-addr'](req, res),
+    userId: req.user ? req.user.id : null,
+    userAgent: tokens['user-agent'](req, res) || null
+  });
+};
+
+const accessLog = (format = 'json') => {
+  if (format === 'off') {
+    return (req, res, next) => next();
+  }
+  return morgan(format === 'json' ? jsonFormat : format);
+};
+
+module.exports = {
+  ACCESS_LOG_FORMATS,
+  accessLog
+};
@@ -0,0 +1,87 @@
+const jwt = require('jsonwebtoken');
+const { addLogContext } = require('../services/logger');
+
+// Token lifetimes are jsonwebtoken durations such as '15m' or '7d'. The
+// refresh secret defaults to one derived from JWT_SECRET.
+const readAuthConfig = (env = process.env) => ({
+  accessSecret: env.JWT_SECRET,
+  refreshSecret: env.JWT_REFRESH_SECRET || `${env.JWT_SECRET}:refresh`,
+  accessTokenTtl: env.JWT_EXPIRES_IN || '15m',
+  refreshTokenTtl: env.JWT_REFRESH_EXPIRES_IN || '7d'
+});
+
+// Token issuing and checking for `config` from readAuthConfig
+const createAuth = (config) => {
+  const signAccessToken = (user) => jwt.sign(
+    { sub: user.id, email: user.email, role: user.role },
+    config.accessSecret,
+    { expiresIn: config.accessTokenTtl }
+  );
+
+  // Refresh tokens carry the user's tokenVersion; bumping it on logout
+  // invalidates every refresh token issued before.
+  const signRefreshToken = (user) => jwt.sign(
+    { sub: user.id, ver: user.tokenVersion },
+    config.refreshSecret,
+    { expiresIn: config.refreshTokenTtl }
+  );
+
+  const issueTokens = (user) => ({
+    accessToken: signAccessToken(user),
+    refreshToken: signRefreshToken(user)
+  });
+
+  const verifyRefreshToken = (token) => jwt.verify(token, config.refreshSecret);
+
+  const requireAuth = (req, res, next) => {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+
+    try {
+      const payload = jwt.verify(token, config.accessSecret);
+      req.user = { id: payload.sub, email: payload.email, role: payload.role };
+      addLogContext({ userId: req.user.id });
+      next();
+    } catch (error) {
+      res.status(401).json({
+        success: false,
+        error: error.name === 'TokenExpiredError' ? 'Access token expired' : 'Invalid access token'
+      });
+    }
+  };
+
+  return {
+    issueTokens,
+    verifyRefreshToken,
+    requireAuth
+  };
+};
+
+// Lets through users with one of `roles`; runs after requireAuth. The role
+// comes from the access token, so a promotion or demotion applies from the
+// user's next token refresh.
+const requireRole = (...roles) => {
+  const allowed = roles.join(' or ');
+  return (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        error: `${allowed.charAt(0).toUpperCase()}${allowed.slice(1)} access required`
+      });
+    }
+    next();
+  };
+};
+
+module.exports = {
+  readAuthConfig,
+  createAuth,
+  requireRole
+};
@@ -0,0 +1,72 @@
+const { rateLimit } = require('express-rate-limit');
+
+// Limits are counted per fixed window; every setting can be overridden from
+// the environment
+const readRateLimitConfig = (env = process.env) => ({
+  windowMs: parseInt(env.RATE_LIMIT_WINDOW_MS, 10) || 15 * 60 * 1000,
+  ipMax: parseInt(env.RATE_LIMIT_IP_MAX, 10) || 300,
+  userMax: parseInt(env.RATE_LIMIT_USER_MAX, 10) || 200,
+  evaluationWindowMs: parseInt(env.EVALUATION_RATE_LIMIT_WINDOW_MS, 10) || 60 * 60 * 1000,
+  evaluationMax: parseInt(env.EVALUATION_RATE_LIMIT_MAX, 10) || 20,
+  authWindowMs: parseInt(env.AUTH_RATE_LIMIT_WINDOW_MS, 10) || 15 * 60 * 1000,
+  authMax: parseInt(env.AUTH_RATE_LIMIT_MAX, 10) || 10
+});
+
+// express-rate-limit sets Retry-After on every 429
+const limiter = ({ windowMs, max, keyGenerator, skip, skipSuccessfulRequests, message }) => rateLimit({
+  windowMs,
+  limit: max,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  ...(keyGenerator && { keyGenerator }),
+  ...(skip && { skip }),
+  ...(skipSuccessfulRequests && { skipSuccessfulRequests }),
+  handler: (req, res, next, options) => {
+    res.status(options.statusCode).json({
+      success: false,
+      error: message
+    });
+  }
+});
+
+// Per-user limits go after requireAuth, which sets req.user
+const byUser = (req) => `user:${req.user.id}`;
+
+const createRateLimiters = (config) => ({
+  // Every API request but health checks, keyed by client address. Mounted
+  // on /api, so paths are relative to it.
+  ip: limiter({
+    windowMs: config.windowMs,
+    max: config.ipMax,
+    skip: req => req.path.startsWith('/health'),
+    message: 'Too many requests, please try again later'
+  }),
+  // Authenticated routes, keyed by account so a shared address isn't penalized
+  user: limiter({
+    windowMs: config.windowMs,
+    max: config.userMax,
+    keyGenerator: byUser,
+    message: 'Too many requests, please try again later'
+  }),
+  // Evaluations are the expensive routes
+  evaluation: limiter({
+    windowMs: config.evaluationWindowMs,
+    max: config.evaluationMax,
+    keyGenerator: byUser,
+    message: 'Evaluation limit reached, please try again later'
+  }),
+  // Sign-in and sign-up, keyed by client address. Only failed attempts count,
+  // so password guessing is slowed without locking out a school's shared
+  // address when a class signs up together.
+  auth: limiter({
+    windowMs: config.authWindowMs,
+    max: config.authMax,
+    skipSuccessfulRequests: true,
+    message: 'Too many failed attempts, please try again later'
+  })
+});
+
+module.exports = {
+  readRateLimitConfig,
+  createRateLimiters
+};
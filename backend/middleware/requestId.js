@@ -0,0 +1,23 @@
+const { randomUUID } = require('crypto');
+const { withLogContext } = require('../services/logger');
+
+// Ids from upstream proxies are kept if they look sane
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Tags the request with an id, echoed in X-Request-Id, added to every log line
+// written while handling it and to the body of every error response, so a
+// reported failure can be traced to its logs.
+const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  const json = res.json.bind(res);
+  res.json = (body) => json(res.statusCode >= 400 && body && body.success === false
+    ? { ...body, requestId: req.id }
+    : body);
+
+  withLogContext({ requestId: req.id }, next);
+};
+
+module.exports = { requestId };
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// Answers 503 while MongoDB is unreachable instead of letting queries queue
+// up until they time out. Mounted on /api, so paths are relative to it.
+const requireDatabase = (req, res, next) => {
+  if (mongoose.connection.readyState === 1 || req.path.startsWith('/health')) {
+    return next();
+  }
+
+  res.set('Retry-After', '5');
+  res.status(503).json({
+    success: false,
+    error: 'The database is unavailable, please try again shortly'
+  });
+};
+
+module.exports = { requireDatabase };
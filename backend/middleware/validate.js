@@ -0,0 +1,36 @@
+const { checkSchema, validationResult } = require('express-validator');
+
+// Runs an express-validator schema, then answers 400 with every invalid field
+// when the request doesn't match it. An invalid path parameter (a malformed
+// id, say) can't name an existing document, so it answers 404 with the
+// parameter's message instead.
+const validate = (schema) => [
+  checkSchema(schema),
+  (req, res, next) => {
+    const result = validationResult(req);
+    if (result.isEmpty()) {
+      return next();
+    }
+
+    const errors = result.array({ onlyFirstError: true });
+    const missing = errors.find(error => error.location === 'params');
+    if (missing) {
+      return res.status(404).json({
+        success: false,
+        error: missing.msg
+      });
+    }
+
+    res.status(400).json({
+      success: false,
+      error: 'Invalid request',
+      details: errors.map(error => ({
+        field: error.path,
+        location: error.location,
+        message: error.msg
+      }))
+    });
+  }
+];
+
+module.exports = { validate };
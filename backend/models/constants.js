@@ -0,0 +1,31 @@
+// Values the schemas constrain fields to, shared with the validators and
+// services. Nothing here loads application code, so requiring a model never
+// pulls in the validators, report renderers or scorers built on top of it.
+
+const LEVELS = ['undergrad', 'mba'];
+
+const ESSAY_STATUSES = ['draft', 'evaluating', 'evaluated', 'failed', 'archived'];
+
+const USER_ROLES = ['student', 'counselor', 'admin'];
+
+const LIMIT_UNITS = ['words', 'characters'];
+const LIMIT_MODES = ['hard', 'soft'];
+
+const JOB_STATUSES = ['queued', 'running', 'done', 'failed'];
+
+// The score dimensions every evaluation reports
+const DIMENSIONS = ['grammar', 'structure', 'coherence', 'vocabulary', 'arguments'];
+
+// A rubric criterion reuses a score dimension or is scored from keywords
+const CRITERION_SOURCES = [...DIMENSIONS, 'keywords'];
+
+module.exports = {
+  LEVELS,
+  ESSAY_STATUSES,
+  USER_ROLES,
+  LIMIT_UNITS,
+  LIMIT_MODES,
+  JOB_STATUSES,
+  DIMENSIONS,
+  CRITERION_SOURCES
+};
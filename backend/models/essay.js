@@ -0,0 +1,203 @@
+const mongoose = require('mongoose');
+const { LEVELS, ESSAY_STATUSES, LIMIT_UNITS, LIMIT_MODES } = require('./constants');
+
+const factorSchema = new mongoose.Schema({
+  signal: String,
+  impact: Number
+}, { _id: false });
+
+const readabilityMetricSchema = new mongoose.Schema({
+  value: Number,
+  min: Number,
+  max: Number,
+  status: {
+    type: String,
+    enum: ['below', 'within', 'above']
+  },
+  interpretation: String
+}, { _id: false });
+
+const criterionResultSchema = new mongoose.Schema({
+  key: String,
+  name: String,
+  weight: Number,
+  score: Number,
+  band: String,
+  descriptor: String
+}, { _id: false });
+
+const resultsSchema = new mongoose.Schema({
+  overallScore: Number,
+  // Keyed by rubric criterion, so custom criteria need no schema change
+  breakdown: {
+    type: Map,
+    of: Number
+  },
+  factors: {
+    type: Map,
+    of: [factorSchema]
+  },
+  criteria: [criterionResultSchema],
+  rubric: {
+    rubricId: mongoose.Schema.Types.ObjectId,
+    name: String,
+    version: Number
+  },
+  strengths: [String],
+  improvements: [String],
+  suggestions: [{
+    original: String,
+    improved: String,
+    reason: String,
+    category: String,
+    start: Number,
+    end: Number,
+    replacement: String,
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'rejected'],
+      default: 'pending'
+    }
+  }],
+  grammar: {
+    issueCount: Number,
+    errorsPer100Words: Number,
+    counts: {
+      spelling: Number,
+      agreement: Number,
+      repetition: Number,
+      article: Number,
+      punctuation: Number,
+      capitalization: Number,
+      usage: Number,
+      spacing: Number
+    }
+  },
+  readability: String,
+  readabilityGrade: Number,
+  readabilityMetrics: {
+    fleschReadingEase: readabilityMetricSchema,
+    fleschKincaidGrade: readabilityMetricSchema,
+    gunningFog: readabilityMetricSchema,
+    smog: readabilityMetricSchema,
+    colemanLiau: readabilityMetricSchema,
+    automatedReadabilityIndex: readabilityMetricSchema
+  },
+  estimatedReadTime: Number,
+  limitCheck: {
+    unit: String,
+    min: Number,
+    max: Number,
+    mode: String,
+    count: Number,
+    status: {
+      type: String,
+      enum: ['under', 'within', 'over']
+    },
+    difference: Number,
+    message: String,
+    impact: Number
+  },
+  promptAdherence: {
+    overlap: Number,
+    parts: [{
+      _id: false,
+      text: String,
+      covered: Boolean,
+      coverage: Number,
+      matchedTerms: [String],
+      missingTerms: [String]
+    }],
+    gaps: [String]
+  },
+  provider: String
+}, { _id: false });
+
+const limitsSchema = new mongoose.Schema({
+  unit: {
+    type: String,
+    enum: LIMIT_UNITS,
+    default: 'words'
+  },
+  min: Number,
+  max: Number,
+  mode: {
+    type: String,
+    enum: LIMIT_MODES,
+    default: 'soft'
+  }
+}, { _id: false });
+
+const essaySchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true
+  },
+  // Drafts may be any length; evaluation requests check their own minimum
+  text: {
+    type: String,
+    required: true
+  },
+  // The question the essay answers, checked for adherence on evaluation
+  prompt: {
+    type: String,
+    default: ''
+  },
+  university: {
+    type: String,
+    default: ''
+  },
+  universityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'University',
+    default: null
+  },
+  programId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  rubricId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Rubric',
+    default: null
+  },
+  level: {
+    type: String,
+    enum: LEVELS,
+    default: 'undergrad'
+  },
+  limits: {
+    type: limitsSchema,
+    default: null
+  },
+  wordCount: {
+    type: Number,
+    required: true
+  },
+  charCount: {
+    type: Number,
+    required: true
+  },
+  results: resultsSchema,
+  currentVersion: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ESSAY_STATUSES,
+    default: 'draft'
+  }
+}, {
+  timestamps: true
+});
+
+essaySchema.index({ userId: 1, createdAt: -1 });
+essaySchema.index({ status: 1 });
+
+const Essay = mongoose.model('Essay', essaySchema);
+
+module.exports = {
+  Essay,
+  resultsSchema
+};
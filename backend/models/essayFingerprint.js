@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Winnowed fingerprints of each essay's latest text, used for overlap checks
+const essayFingerprintSchema = new mongoose.Schema({
+  essayId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Essay',
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: String,
+    required: true
+  },
+  fingerprints: [{
+    _id: false,
+    hash: Number,
+    start: Number,
+    end: Number
+  }]
+}, {
+  timestamps: true
+});
+
+essayFingerprintSchema.index({ 'fingerprints.hash': 1 });
+
+const EssayFingerprint = mongoose.model('EssayFingerprint', essayFingerprintSchema);
+
+module.exports = { EssayFingerprint };
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const { JOB_STATUSES } = require('./constants');
+
+// Evaluations waiting for (or run by) the background queue. `payload` holds
+// the evaluation request as it was submitted, `requestId` the id of that
+// request, which the worker logs under, and `essayVersion` the essay's
+// currentVersion when it was queued.
+const evaluationJobSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  essayId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Essay',
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  essayVersion: Number,
+  requestId: String,
+  status: {
+    type: String,
+    enum: JOB_STATUSES,
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  startedAt: Date,
+  finishedAt: Date,
+  lastError: String
+}, {
+  timestamps: true
+});
+
+evaluationJobSchema.index({ status: 1, runAt: 1 });
+
+const EvaluationJob = mongoose.model('EvaluationJob', evaluationJobSchema);
+
+module.exports = { EvaluationJob };
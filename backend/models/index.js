@@ -0,0 +1,19 @@
+// Every Mongoose model, for routes, services and scripts such as seedData.js
+const { Essay } = require('./essay');
+const { University } = require('./university');
+const { Rubric, RubricVersion } = require('./rubric');
+const { Revision } = require('./revision');
+const { EvaluationJob } = require('./evaluationJob');
+const { EssayFingerprint } = require('./essayFingerprint');
+const { User } = require('./user');
+
+module.exports = {
+  Essay,
+  University,
+  Rubric,
+  RubricVersion,
+  Revision,
+  EvaluationJob,
+  EssayFingerprint,
+  User
+};
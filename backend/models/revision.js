@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+const { resultsSchema } = require('./essay');
+
+// Every text change and evaluation of an essay is kept as a numbered revision
+const revisionSchema = new mongoose.Schema({
+  essayId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Essay',
+    required: true
+  },
+  userId: {
+    type: String,
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['edit', 'evaluation'],
+    required: true
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  wordCount: Number,
+  charCount: Number,
+  results: resultsSchema
+}, {
+  timestamps: true
+});
+
+revisionSchema.index({ essayId: 1, version: 1 }, { unique: true });
+
+const Revision = mongoose.model('Revision', revisionSchema);
+
+module.exports = { Revision };
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const { LEVELS, CRITERION_SOURCES } = require('./constants');
+
+// Counselor-defined rubrics. Every save bumps `version` and stores a
+// snapshot in RubricVersion so past evaluations stay traceable.
+const rubricCriterionSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  description: String,
+  source: {
+    type: String,
+    enum: CRITERION_SOURCES,
+    required: true
+  },
+  keywords: [String],
+  weight: {
+    type: Number,
+    min: 0,
+    default: 1
+  }
+}, { _id: false });
+
+const rubricBandSchema = new mongoose.Schema({
+  min: {
+    type: Number,
+    min: 0,
+    max: 100,
+    required: true
+  },
+  label: {
+    type: String,
+    required: true
+  },
+  descriptor: String
+}, { _id: false });
+
+const rubricFields = {
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  level: {
+    type: String,
+    enum: LEVELS,
+    default: 'undergrad'
+  },
+  criteria: [rubricCriterionSchema],
+  bands: [rubricBandSchema],
+  version: {
+    type: Number,
+    default: 1
+  },
+  createdBy: String
+};
+
+const rubricSchema = new mongoose.Schema(rubricFields, { timestamps: true });
+
+rubricSchema.index({ level: 1, name: 1 });
+
+const Rubric = mongoose.model('Rubric', rubricSchema);
+
+const rubricVersionSchema = new mongoose.Schema({
+  ...rubricFields,
+  rubricId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Rubric',
+    required: true
+  }
+}, { timestamps: true });
+
+rubricVersionSchema.index({ rubricId: 1, version: 1 }, { unique: true });
+
+const RubricVersion = mongoose.model('RubricVersion', rubricVersionSchema);
+
+module.exports = {
+  Rubric,
+  RubricVersion
+};
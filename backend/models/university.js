@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const { LEVELS } = require('./constants');
+
+// University catalog. Each program carries the essay prompts, word limit and
+// rubric weights that evaluation applies when an essay targets it.
+const rubricWeightsSchema = new mongoose.Schema({
+  grammar: { type: Number, min: 0 },
+  structure: { type: Number, min: 0 },
+  coherence: { type: Number, min: 0 },
+  vocabulary: { type: Number, min: 0 },
+  arguments: { type: Number, min: 0 }
+}, { _id: false });
+
+const programSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  level: {
+    type: String,
+    enum: LEVELS,
+    default: 'undergrad'
+  },
+  essayType: {
+    type: String,
+    default: ''
+  },
+  prompts: [String],
+  wordLimit: {
+    min: { type: Number, min: 0 },
+    max: { type: Number, min: 1 }
+  },
+  rubricWeights: rubricWeightsSchema,
+  rubricId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Rubric',
+    default: null
+  }
+});
+
+const universitySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  country: {
+    type: String,
+    default: ''
+  },
+  programs: [programSchema]
+}, {
+  timestamps: true
+});
+
+const University = mongoose.model('University', universitySchema);
+
+module.exports = { University };
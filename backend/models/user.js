@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const { USER_ROLES } = require('./constants');
+
+const userSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  passwordHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  // Counselors and admins publish rubrics, admins also maintain the
+  // university catalog; see setRole.js
+  role: {
+    type: String,
+    enum: USER_ROLES,
+    default: 'student'
+  }
+}, {
+  timestamps: true
+});
+
+userSchema.methods.toJSON = function () {
+  return {
+    id: this.id,
+    name: this.name,
+    email: this.email,
+    role: this.role,
+    createdAt: this.createdAt
+  };
+};
+
+const User = mongoose.model('User', userSchema);
+
+module.exports = { User };
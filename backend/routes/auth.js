@@ -0,0 +1,155 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { User } = require('../models');
+const { validate } = require('../middleware/validate');
+const { logger } = require('../services/logger');
+const authRules = require('../validators/auth');
+
+// `rateLimiters` come from createRateLimiters; sign-in and sign-up use the auth
+// one and signed-in routes the per-user one. `auth` comes from createAuth.
+const createAuthRouter = ({ rateLimiters, auth }) => {
+  const router = express.Router();
+  const { issueTokens, verifyRefreshToken, requireAuth } = auth;
+
+  router.post('/register', rateLimiters.auth, validate(authRules.register), async (req, res) => {
+    try {
+      const { name, email, password } = req.body;
+
+      const existing = await User.findOne({ email: email.toLowerCase().trim() });
+      if (existing) {
+        return res.status(409).json({
+          success: false,
+          error: 'An account with this email already exists'
+        });
+      }
+
+      const user = await User.create({
+        name,
+        email,
+        passwordHash: await bcrypt.hash(password, 12)
+      });
+
+      res.status(201).json({
+        success: true,
+        data: { user, ...issueTokens(user) },
+        message: 'Account created successfully'
+      });
+    } catch (error) {
+      logger.error('Error registering user', { error });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to register',
+        message: error.message
+      });
+    }
+  });
+
+  router.post('/login', rateLimiters.auth, validate(authRules.login), async (req, res) => {
+    try {
+      const { email, password } = req.body;
+
+      const user = await User.findOne({ email: email.toLowerCase().trim() }).select('+passwordHash');
+      if (!user || !(await bcrypt.compare(password, user.passwordHash))) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid email or password'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: { user, ...issueTokens(user) }
+      });
+    } catch (error) {
+      logger.error('Error logging in', { error });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to log in',
+        message: error.message
+      });
+    }
+  });
+
+  router.post('/refresh', validate(authRules.refresh), async (req, res) => {
+    try {
+      const { refreshToken } = req.body;
+
+      let payload;
+      try {
+        payload = verifyRefreshToken(refreshToken);
+      } catch (error) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid refresh token'
+        });
+      }
+
+      const user = await User.findById(payload.sub);
+      if (!user || user.tokenVersion !== payload.ver) {
+        return res.status(401).json({
+          success: false,
+          error: 'Refresh token has been revoked'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: { user, ...issueTokens(user) }
+      });
+    } catch (error) {
+      logger.error('Error refreshing token', { error });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to refresh token',
+        message: error.message
+      });
+    }
+  });
+
+  router.post('/logout', requireAuth, rateLimiters.user, async (req, res) => {
+    try {
+      await User.findByIdAndUpdate(req.user.id, { $inc: { tokenVersion: 1 } });
+
+      res.json({
+        success: true,
+        message: 'Logged out successfully'
+      });
+    } catch (error) {
+      logger.error('Error logging out', { error });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to log out',
+        message: error.message
+      });
+    }
+  });
+
+  router.get('/me', requireAuth, rateLimiters.user, async (req, res) => {
+    try {
+      const user = await User.findById(req.user.id);
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: user
+      });
+    } catch (error) {
+      logger.error('Error fetching user', { error });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch user',
+        message: error.message
+      });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createAuthRouter };
@@ -0,0 +1,685 @@
+const express = require('express');
+const { countWords, rebaseSuggestions } = require('@orbit/text-analysis');
+const { Essay, Revision, EssayFingerprint } = require('../models');
+const { validate } = require('../middleware/validate');
+const { streamEvaluation } = require('../services/providers');
+const { diffWords } = require('../services/diff');
+const { fingerprintText, findOverlaps } = require('../services/fingerprint');
+const { buildReport, renderReport } = require('../services/reports');
+const { IMPORT_FORMATS, detectFormat, extractText } = require('../services/fileImport');
+const { normalizeLimits } = require('../services/limits');
+const { applyRubric } = require('../services/rubrics');
+const { recordRevision } = require('../services/revisions');
+const {
+  EVALUATION_FIELDS,
+  prepareEvaluation,
+  evaluationOptions,
+  setEvaluatedDraft,
+  saveEvaluation
+} = require('../services/evaluation');
+const { logger } = require('../services/logger');
+const { recordError } = require('../services/metrics');
+const essayRules = require('../validators/essays');
+
+// Every essay route is scoped to the authenticated owner, so the router is
+// mounted behind requireAuth. `provider` runs streamed evaluations,
+// `evaluationQueue` takes queued ones, and `bodyLimit` caps file imports.
+const createEssaysRouter = ({ provider, evaluationQueue, rateLimiters, bodyLimit }) => {
+  const router = express.Router();
+
+  router.get('/', validate(essayRules.listEssays), async (req, res) => {
+    try {
+      const { 
+        page = 1, 
+        limit = 10, 
+        status, 
+        level, 
+        sortBy = 'createdAt',
+        sortOrder = 'desc'
+      } = req.query;
+
+      const query = { userId: req.user.id };
+      if (status) query.status = status;
+      if (level) query.level = level;
+
+      const skip = (page - 1) * limit;
+      const sort = { [sortBy]: sortOrder === 'desc' ? -1 : 1 };
+
+      const essays = await Essay.find(query)
+        .sort(sort)
+        .skip(skip)
+        .limit(limit)
+        .select('-__v');
+
+      const total = await Essay.countDocuments(query);
+
+      res.json({
+        success: true,
+        data: essays,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      });
+    } catch (error) {
+      logger.error('Error fetching essays', { error });
+      res.status(500).json({ 
+        success: false, 
+        error: 'Failed to fetch essays',
+        message: error.message 
+      });
+    }
+  });
+
+  router.get('/:id', validate(essayRules.essayById), async (req, res) => {
+    try {
+      const essay = await Essay.findOne({ _id: req.params.id, userId: req.user.id });
+
+      if (!essay) {
+        return res.status(404).json({ 
+          success: false, 
+          error: 'Essay not found' 
+        });
+      }
+
+      res.json({ 
+        success: true, 
+        data: essay 
+      });
+    } catch (error) {
+      logger.error('Error fetching essay', { error });
+      res.status(500).json({ 
+        success: false, 
+        error: 'Failed to fetch essay',
+        message: error.message 
+      });
+    }
+  });
+
+  router.get('/:id/revisions', validate(essayRules.essayById), async (req, res) => {
+    try {
+      const essay = await Essay.findOne({ _id: req.params.id, userId: req.user.id });
+
+      if (!essay) {
+        return res.status(404).json({ 
+          success: false, 
+          error: 'Essay not found' 
+        });
+      }
+
+      const revisions = await Revision.find({ essayId: essay._id })
+        .sort({ version: -1 })
+        .select('version type wordCount charCount results.overallScore createdAt');
+
+      res.json({ 
+        success: true, 
+        data: revisions 
+      });
+    } catch (error) {
+      logger.error('Error fetching revisions', { error });
+      res.status(500).json({ 
+        success: false, 
+        error: 'Failed to fetch revisions',
+        message: error.message 
+      });
+    }
+  });
+
+  router.get('/:id/revisions/:version', validate(essayRules.revision), async (req, res) => {
+    try {
+      const revision = await Revision.findOne({
+        essayId: req.params.id,
+        userId: req.user.id,
+        version: req.params.version
+      }).select('-__v');
+
+      if (!revision) {
+        return res.status(404).json({ 
+          success: false, 
+          error: 'Revision not found' 
+        });
+      }
+
+      res.json({ 
+        success: true, 
+        data: revision 
+      });
+    } catch (error) {
+      logger.error('Error fetching revision', { error });
+      res.status(500).json({ 
+        success: false, 
+        error: 'Failed to fetch revision',
+        message: error.message 
+      });
+    }
+  });
+
+  router.get('/:id/diff', validate(essayRules.diff), async (req, res) => {
+    try {
+      const { from, to } = req.query;
+
+      const revisions = await Revision.find({
+        essayId: req.params.id,
+        userId: req.user.id,
+        version: { $in: [from, to] }
+      });
+      const fromRevision = revisions.find(r => r.version === from);
+      const toRevision = revisions.find(r => r.version === to);
+
+      if (!fromRevision || !toRevision) {
+        return res.status(404).json({ 
+          success: false, 
+          error: 'Revision not found' 
+        });
+      }
+
+      const fromScore = fromRevision.results?.overallScore;
+      const toScore = toRevision.results?.overallScore;
+      const { changes, stats } = diffWords(fromRevision.text, toRevision.text);
+
+      res.json({
+        success: true,
+        data: {
+          from: { version: from, type: fromRevision.type, overallScore: fromScore ?? null, createdAt: fromRevision.createdAt },
+          to: { version: to, type: toRevision.type, overallScore: toScore ?? null, createdAt: toRevision.createdAt },
+          changes,
+          stats,
+          scoreDelta: fromScore != null && toScore != null
+            ? Math.round((toScore - fromScore) * 10) / 10
+            : null
+        }
+      });
+    } catch (error) {
+      logger.error('Error diffing revisions', { error });
+      res.status(500).json({ 
+        success: false, 
+        error: 'Failed to diff revisions',
+        message: error.message 
+      });
+    }
+  });
+
+  // Extracts the text of an uploaded draft. The file is sent as the raw request
+  // body with its name in X-Filename; nothing is saved until the client does so.
+  router.post('/import', express.raw({ type: () => true, limit: bodyLimit }), validate(essayRules.importFile), async (req, res) => {
+    try {
+      // importFile has already rejected names that don't decode
+      const filename = decodeURIComponent(req.get('X-Filename') || '');
+      const buffer = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+
+      if (buffer.length === 0) {
+        return res.status(400).json({ 
+          success: false, 
+          error: 'No file uploaded' 
+        });
+      }
+
+      const format = detectFormat(buffer, { filename, contentType: req.get('Content-Type') || '' });
+
+      if (!format) {
+        return res.status(415).json({ 
+          success: false, 
+          error: `Unsupported file type. Upload one of: ${IMPORT_FORMATS.map(f => `.${f}`).join(', ')}` 
+        });
+      }
+
+      let text;
+      try {
+        text = await extractText(buffer, format);
+      } catch (error) {
+        return res.status(422).json({ 
+          success: false, 
+          error: `Could not read the ${format.toUpperCase()} file`,
+          message: error.message 
+        });
+      }
+
+      if (!text.trim()) {
+        return res.status(422).json({ 
+          success: false, 
+          error: 'No text found in the file' 
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          filename,
+          format,
+          text,
+          wordCount: countWords(text),
+          charCount: text.length
+        }
+      });
+    } catch (error) {
+      logger.error('Error importing file', { error });
+      res.status(500).json({ 
+        success: false, 
+        error: 'Failed to import file',
+        message: error.message 
+      });
+    }
+  });
+
+  // Formatted evaluation report, rendered server-side as PDF or DOCX.
+  // ?annotations=true marks each anchored suggestion inline in the essay.
+  router.get('/:id/report', validate(essayRules.report), async (req, res) => {
+    try {
+      const format = req.query.format || 'pdf';
+
+      const essay = await Essay.findOne({ _id: req.params.id, userId: req.user.id });
+
+      if (!essay) {
+        return res.status(404).json({ 
+          success: false, 
+          error: 'Essay not found' 
+        });
+      }
+
+      if (!essay.results) {
+        return res.status(400).json({ 
+          success: false, 
+          error: 'Essay has not been evaluated yet' 
+        });
+      }
+
+      const report = buildReport(essay.toJSON(), { annotations: req.query.annotations === 'true' });
+      const { contentType, buffer } = await renderReport(report, format);
+
+      res.set({
+        'Content-Type': contentType,
+        'Content-Disposition': `attachment; filename="orbit-ai-report-${essay._id}.${format}"`
+      });
+      res.send(buffer);
+    } catch (error) {
+      logger.error('Error generating report', { error });
+      res.status(500).json({ 
+        success: false, 
+        error: 'Failed to generate report',
+        message: error.message 
+      });
+    }
+  });
+
+  // Passages of this essay that also appear in other stored essays. Other
+  // students' essays are identified by id only; their text is never returned.
+  router.get('/:id/overlaps', validate(essayRules.essayById), async (req, res) => {
+    try {
+      const essay = await Essay.findOne({ _id: req.params.id, userId: req.user.id });
+
+      if (!essay) {
+        return res.status(404).json({ 
+          success: false, 
+          error: 'Essay not found' 
+        });
+      }
+
+      const fingerprints = fingerprintText(essay.text);
+      const candidates = await EssayFingerprint.find({
+        essayId: { $ne: essay._id },
+        'fingerprints.hash': { $in: [...new Set(fingerprints.map(f => f.hash))] }
+      }).lean();
+
+      const report = findOverlaps(essay.text, fingerprints, candidates.map(candidate => ({
+        essayId: String(candidate.essayId),
+        userId: candidate.userId,
+        fingerprints: candidate.fingerprints
+      })));
+
+      res.json({
+        success: true,
+        data: {
+          essayId: essay._id,
+          text: essay.text,
+          similarity: report.similarity,
+          passages: report.passages,
+          sources: report.sources.map(({ userId, ...source }) => ({
+            ...source,
+            sameAuthor: userId === req.user.id
+          }))
+        }
+      });
+    } catch (error) {
+      logger.error('Error checking overlaps', { error });
+      res.status(500).json({ 
+        success: false, 
+        error: 'Failed to check overlaps',
+        message: error.message 
+      });
+    }
+  });
+
+  router.post('/', validate(essayRules.createDraft), async (req, res) => {
+    try {
+      const { text, prompt, university, universityId, programId, rubricId, level } = req.body;
+
+      let limits;
+      try {
+        limits = normalizeLimits(req.body.limits);
+      } catch (error) {
+        return res.status(400).json({ 
+          success: false, 
+          error: error.message 
+        });
+      }
+
+      const essay = new Essay({
+        userId: req.user.id,
+        text,
+        prompt: prompt || '',
+        university: university || '',
+        universityId: universityId || null,
+        programId: programId || null,
+        rubricId: rubricId || null,
+        level: level || 'undergrad',
+        limits,
+        wordCount: countWords(text),
+        charCount: text.length,
+        status: 'draft'
+      });
+
+      await essay.save();
+      await recordRevision(essay, 'edit');
+
+      res.status(201).json({ 
+        success: true, 
+        data: essay,
+        message: 'Draft created successfully'
+      });
+    } catch (error) {
+      logger.error('Error creating draft', { error });
+      res.status(500).json({ 
+        success: false, 
+        error: 'Failed to create draft',
+        message: error.message 
+      });
+    }
+  });
+
+  // Queues the evaluation and answers at once with the job to poll. The draft
+  // is saved now, marked 'evaluating' until the job finishes.
+  router.post('/evaluate', rateLimiters.evaluation, validate(essayRules.evaluate), async (req, res) => {
+    try {
+      const evaluation = await prepareEvaluation(req.body, req.user.id);
+
+      if (evaluation.error) {
+        return res.status(evaluation.status).json({ 
+          success: false, 
+          error: evaluation.error 
+        });
+      }
+
+      const { essay } = evaluation;
+      const previousStatus = essay.isNew ? 'draft' : essay.status;
+      setEvaluatedDraft(essay, req.body, evaluation);
+      essay.set({
+        wordCount: countWords(req.body.text),
+        charCount: req.body.text.length,
+        status: 'evaluating'
+      });
+      await essay.save();
+
+      const payload = {};
+      EVALUATION_FIELDS.forEach((field) => {
+        if (req.body[field] !== undefined) payload[field] = req.body[field];
+      });
+      let job;
+      try {
+        job = await evaluationQueue.enqueue({
+          userId: req.user.id,
+          essayId: essay._id,
+          payload,
+          essayVersion: essay.currentVersion,
+          requestId: req.id
+        });
+      } catch (error) {
+        // Nothing will ever finish the evaluation, so don't leave the essay 'evaluating'
+        await Essay.updateOne({ _id: essay._id, status: 'evaluating' }, { status: previousStatus })
+          .catch(rollbackError => logger.error('Error restoring essay status', { error: rollbackError }));
+        throw error;
+      }
+
+      res.status(202).json({ 
+        success: true, 
+        data: {
+          jobId: job._id,
+          essayId: essay._id,
+          status: job.status
+        },
+        message: 'Evaluation queued'
+      });
+    } catch (error) {
+      logger.error('Error queueing evaluation', { error });
+      res.status(500).json({ 
+        success: false, 
+        error: 'Failed to queue evaluation',
+        message: error.message 
+      });
+    }
+  });
+
+  // Same evaluation streamed as Server-Sent Events: a `progress` event as each
+  // analyzer completes, then a `result` event with the saved essay (or an
+  // `error` event). Closing the connection cancels the evaluation, and nothing
+  // is saved.
+  router.post('/evaluate/stream', rateLimiters.evaluation, validate(essayRules.evaluate), async (req, res) => {
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) controller.abort();
+    });
+
+    const sendEvent = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    try {
+      const evaluation = await prepareEvaluation(req.body, req.user.id);
+
+      if (evaluation.error) {
+        return res.status(evaluation.status).json({ 
+          success: false, 
+          error: evaluation.error 
+        });
+      }
+
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+      res.flushHeaders();
+
+      const started = Date.now();
+      const options = { ...evaluationOptions(req.body, evaluation), signal: controller.signal };
+      const results = applyRubric(
+        await streamEvaluation(req.body.text, options, provider, progress => sendEvent('progress', progress)),
+        req.body.text,
+        evaluation.rubric,
+        options.program
+      );
+      const essay = await saveEvaluation(req.body, evaluation, results, Date.now() - started);
+
+      sendEvent('result', essay);
+      res.end();
+    } catch (error) {
+      if (error.name === 'AbortError') return;
+
+      recordError('evaluation');
+      logger.error('Error evaluating essay', { error });
+      if (!res.headersSent) {
+        return res.status(500).json({ 
+          success: false, 
+          error: 'Failed to evaluate essay',
+          message: error.message 
+        });
+      }
+      sendEvent('error', { error: 'Failed to evaluate essay', message: error.message, requestId: req.id });
+      res.end();
+    }
+  });
+
+  router.put('/:id', validate(essayRules.updateEssay), async (req, res) => {
+    try {
+      const { text, prompt, university, universityId, programId, rubricId, level, status } = req.body;
+
+      const updateData = {};
+      if (text) {
+        updateData.text = text;
+        const wordCount = countWords(text);
+        updateData.wordCount = wordCount;
+        updateData.charCount = text.length;
+      }
+      if (prompt !== undefined) updateData.prompt = prompt;
+      if (university !== undefined) updateData.university = university;
+      if (universityId !== undefined) updateData.universityId = universityId || null;
+      if (programId !== undefined) updateData.programId = programId || null;
+      if (rubricId !== undefined) updateData.rubricId = rubricId || null;
+      if (level) updateData.level = level;
+      if (status) updateData.status = status;
+      if (req.body.limits !== undefined) {
+        try {
+          updateData.limits = normalizeLimits(req.body.limits);
+        } catch (error) {
+          return res.status(400).json({ 
+            success: false, 
+            error: error.message 
+          });
+        }
+      }
+
+      const essay = await Essay.findOne({ _id: req.params.id, userId: req.user.id });
+
+      if (!essay) {
+        return res.status(404).json({ 
+          success: false, 
+          error: 'Essay not found' 
+        });
+      }
+
+      const textChanged = updateData.text !== undefined && updateData.text !== essay.text;
+      if (textChanged && essay.results?.suggestions?.length) {
+        essay.results.suggestions = rebaseSuggestions(
+          essay.results.suggestions.map(s => s.toObject()),
+          essay.text,
+          updateData.text
+        );
+      }
+      essay.set(updateData);
+      await essay.save();
+      if (textChanged) {
+        await recordRevision(essay, 'edit');
+      }
+
+      res.json({ 
+        success: true, 
+        data: essay,
+        message: 'Essay updated successfully'
+      });
+    } catch (error) {
+      logger.error('Error updating essay', { error });
+      res.status(500).json({ 
+        success: false, 
+  error: 'Failed to update essay',
+        message: error.message 
+      });
+    }
+  });
+
+  router.patch('/:id/suggestions/:suggestionId', validate(essayRules.decideSuggestion), async (req, res) => {
+    try {
+      const { status } = req.body;
+
+      const essay = await Essay.findOne({ _id: req.params.id, userId: req.user.id });
+      const suggestion = essay?.results?.suggestions?.id(req.params.suggestionId);
+
+      if (!suggestion) {
+        return res.status(404).json({ 
+          success: false, 
+          error: 'Suggestion not found' 
+        });
+      }
+      if (suggestion.status !== 'pending') {
+        return res.status(409).json({ 
+          success: false, 
+          error: `Suggestion was already ${suggestion.status}` 
+        });
+      }
+
+      const applies = status === 'accepted' && suggestion.replacement != null && Number.isInteger(suggestion.start);
+      if (applies && essay.text.slice(suggestion.start, suggestion.end) !== suggestion.original) {
+        return res.status(409).json({ 
+          success: false, 
+          error: 'Suggestion no longer matches the essay text' 
+        });
+      }
+
+      suggestion.status = status;
+
+      if (applies) {
+        const text = essay.text.slice(0, suggestion.start) + suggestion.replacement + essay.text.slice(suggestion.end);
+        const others = essay.results.suggestions.filter(s => s.id !== suggestion.id);
+        const rebased = rebaseSuggestions(others.map(s => s.toObject()), essay.text, text);
+        rebased.forEach((s, idx) => others[idx].set({ start: s.start, end: s.end }));
+        suggestion.end = suggestion.start + suggestion.replacement.length;
+
+        essay.set({
+          text,
+          wordCount: countWords(text),
+          charCount: text.length
+        });
+        await essay.save();
+        await recordRevision(essay, 'edit');
+      } else {
+        await essay.save();
+      }
+
+      res.json({ 
+        success: true, 
+        data: essay,
+        message: `Suggestion ${status}`
+      });
+    } catch (error) {
+      logger.error('Error updating suggestion', { error });
+      res.status(500).json({ 
+        success: false, 
+        error: 'Failed to update suggestion',
+        message: error.message 
+      });
+    }
+  });
+
+  router.delete('/:id', validate(essayRules.essayById), async (req, res) => {
+    try {
+      const essay = await Essay.findOneAndDelete({ _id: req.params.id, userId: req.user.id });
+
+      if (!essay) {
+        return res.status(404).json({ 
+          success: false, 
+          error: 'Essay not found' 
+        });
+      }
+
+      await Revision.deleteMany({ essayId: essay._id });
+      await EssayFingerprint.deleteOne({ essayId: essay._id });
+
+      res.json({ 
+        success: true, 
+        message: 'Essay deleted successfully' 
+      });
+    } catch (error) {
+      logger.error('Error deleting essay', { error });
+      res.status(500).json({ 
+        success: false, 
+        error: 'Failed to delete essay',
+        message: error.message 
+      });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createEssaysRouter };
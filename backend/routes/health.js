@@ -0,0 +1,42 @@
+const express = require('express');
+const mongoose = require('mongoose');
+
+// `isShuttingDown()` is true once the server has started draining
+const createHealthRouter = ({ isShuttingDown }) => {
+  const router = express.Router();
+
+  router.get('/', (req, res) => {
+    res.json({ 
+      status: 'OK', 
+      message: 'Orbit AI Backend is running',
+      database: mongoose.connection.readyState === 1 ? 'Connected' : 'Disconnected',
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Liveness: the process is up and serving requests
+  router.get('/live', (req, res) => {
+    res.json({ 
+      status: 'OK', 
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Readiness: the database is connected and the server isn't shutting down.
+  // Load balancers should only route traffic here while this answers 200.
+  router.get('/ready', (req, res) => {
+    const connected = mongoose.connection.readyState === 1;
+    const ready = connected && !isShuttingDown();
+
+    res.status(ready ? 200 : 503).json({ 
+      status: ready ? 'Ready' : 'Unavailable', 
+      database: connected ? 'Connected' : 'Disconnected',
+      shuttingDown: isShuttingDown(),
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  return router;
+};
+
+module.exports = { createHealthRouter };
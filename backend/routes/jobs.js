@@ -0,0 +1,66 @@
+const express = require('express');
+const { EvaluationJob } = require('../models');
+const { validate } = require('../middleware/validate');
+const { logger } = require('../services/logger');
+const jobRules = require('../validators/jobs');
+
+const createJobsRouter = () => {
+  const router = express.Router();
+
+  router.get('/', validate(jobRules.listJobs), async (req, res) => {
+    try {
+      const { status, essayId, limit = 20 } = req.query;
+
+      const query = { userId: req.user.id };
+      if (status) query.status = status;
+      if (essayId) query.essayId = essayId;
+
+      const jobs = await EvaluationJob.find(query)
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .select('-payload -__v');
+
+      res.json({
+        success: true,
+        data: jobs
+      });
+    } catch (error) {
+      logger.error('Error fetching jobs', { error });
+      res.status(500).json({ 
+        success: false, 
+        error: 'Failed to fetch jobs',
+        message: error.message 
+      });
+    }
+  });
+
+  router.get('/:id', validate(jobRules.jobById), async (req, res) => {
+    try {
+      const job = await EvaluationJob.findOne({ _id: req.params.id, userId: req.user.id })
+        .select('-payload -__v');
+
+      if (!job) {
+        return res.status(404).json({ 
+          success: false, 
+          error: 'Job not found' 
+        });
+      }
+
+      res.json({
+        success: true,
+        data: job
+      });
+    } catch (error) {
+      logger.error('Error fetching job', { error });
+      res.status(500).json({ 
+        success: false, 
+        error: 'Failed to fetch job',
+        message: error.message 
+      });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createJobsRouter };
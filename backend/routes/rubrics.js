@@ -0,0 +1,215 @@
+const express = require('express');
+const { Rubric, RubricVersion } = require('../models');
+const { requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { validateRubric, normalizeRubric } = require('../services/rubrics');
+const { logger } = require('../services/logger');
+const rubricRules = require('../validators/rubrics');
+
+const saveRubricVersion = async (rubric) => {
+  await rubric.save();
+  const { _id, __v, createdAt, updatedAt, ...snapshot } = rubric.toObject();
+  return RubricVersion.create({ ...snapshot, rubricId: _id });
+};
+
+const sendRubricValidationError = (res, errors) => res.status(400).json({
+  success: false,
+  error: 'Invalid rubric',
+  details: errors
+});
+
+const createRubricsRouter = () => {
+  const router = express.Router();
+
+  router.get('/', validate(rubricRules.listRubrics), async (req, res) => {
+    try {
+      const query = {};
+      if (req.query.level) query.level = req.query.level;
+
+      const rubrics = await Rubric.find(query)
+        .sort({ name: 1 })
+        .select('-__v');
+
+      res.json({
+        success: true,
+        data: rubrics
+      });
+    } catch (error) {
+      logger.error('Error fetching rubrics', { error });
+      res.status(500).json({ 
+        success: false, 
+        error: 'Failed to fetch rubrics',
+        message: error.message 
+      });
+    }
+  });
+
+  router.get('/:id', validate(rubricRules.rubricById), async (req, res) => {
+    try {
+      const rubric = await Rubric.findById(req.params.id).select('-__v');
+
+      if (!rubric) {
+        return res.status(404).json({ 
+          success: false, 
+          error: 'Rubric not found' 
+        });
+      }
+
+      res.json({ 
+        success: true, 
+        data: rubric 
+      });
+    } catch (error) {
+      logger.error('Error fetching rubric', { error });
+      res.status(500).json({ 
+        success: false, 
+        error: 'Failed to fetch rubric',
+        message: error.message 
+      });
+    }
+  });
+
+  router.get('/:id/versions/:version', validate(rubricRules.rubricVersion), async (req, res) => {
+    try {
+      const snapshot = await RubricVersion.findOne({
+        rubricId: req.params.id,
+        version: req.params.version
+      }).select('-__v');
+
+      if (!snapshot) {
+        return res.status(404).json({ 
+          success: false, 
+          error: 'Rubric version not found' 
+        });
+      }
+
+      res.json({ 
+        success: true, 
+        data: snapshot 
+      });
+    } catch (error) {
+      logger.error('Error fetching rubric version', { error });
+      res.status(500).json({ 
+        success: false, 
+        error: 'Failed to fetch rubric version',
+        message: error.message 
+      });
+    }
+  });
+
+  // Rubrics are listed to everyone, so only staff may publish one
+  router.post('/', requireRole('counselor', 'admin'), validate(rubricRules.createRubric), async (req, res) => {
+    try {
+      const errors = validateRubric(req.body);
+      if (errors.length > 0) {
+        return sendRubricValidationError(res, errors);
+      }
+
+      const rubric = new Rubric({
+        ...normalizeRubric(req.body),
+        version: 1,
+        createdBy: req.user.id
+      });
+      await saveRubricVersion(rubric);
+
+      res.status(201).json({ 
+        success: true, 
+        data: rubric,
+        message: 'Rubric created successfully'
+      });
+    } catch (error) {
+      logger.error('Error creating rubric', { error });
+      res.status(500).json({ 
+        success: false, 
+        error: 'Failed to create rubric',
+        message: error.message 
+      });
+    }
+  });
+
+  router.put('/:id', validate(rubricRules.updateRubric), async (req, res) => {
+    try {
+      const rubric = await Rubric.findById(req.params.id);
+
+      if (!rubric) {
+        return res.status(404).json({ 
+          success: false, 
+          error: 'Rubric not found' 
+        });
+      }
+      if (rubric.createdBy !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Only the author can change this rubric'
+        });
+      }
+
+      const current = rubric.toObject();
+      const updated = {
+        name: req.body.name !== undefined ? req.body.name : current.name,
+        description: req.body.description !== undefined ? req.body.description : current.description,
+        level: req.body.level !== undefined ? req.body.level : current.level,
+        criteria: req.body.criteria !== undefined ? req.body.criteria : current.criteria,
+        bands: req.body.bands !== undefined ? req.body.bands : current.bands
+      };
+      const errors = validateRubric(updated);
+      if (errors.length > 0) {
+        return sendRubricValidationError(res, errors);
+      }
+
+      rubric.set({ ...normalizeRubric(updated), version: rubric.version + 1 });
+      await saveRubricVersion(rubric);
+
+      res.json({ 
+        success: true, 
+        data: rubric,
+        message: 'Rubric updated successfully'
+      });
+    } catch (error) {
+      logger.error('Error updating rubric', { error });
+      res.status(500).json({ 
+        success: false, 
+        error: 'Failed to update rubric',
+        message: error.message 
+      });
+    }
+  });
+
+  // Version snapshots are kept so evaluations made with the rubric stay traceable
+  router.delete('/:id', validate(rubricRules.rubricById), async (req, res) => {
+    try {
+      const rubric = await Rubric.findById(req.params.id);
+
+      if (!rubric) {
+        return res.status(404).json({ 
+          success: false, 
+          error: 'Rubric not found' 
+        });
+      }
+      if (rubric.createdBy !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Only the author can delete this rubric'
+        });
+      }
+
+      await rubric.deleteOne();
+
+      res.json({ 
+        success: true, 
+        message: 'Rubric deleted successfully' 
+      });
+    } catch (error) {
+      logger.error('Error deleting rubric', { error });
+      res.status(500).json({ 
+        success: false, 
+        error: 'Failed to delete rubric',
+        message: error.message 
+      });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createRubricsRouter };
@@ -0,0 +1,41 @@
+const express = require('express');
+const { Essay } = require('../models');
+const { logger } = require('../services/logger');
+
+const createStatsRouter = () => {
+  const router = express.Router();
+
+  router.get('/', async (req, res) => {
+    try {
+      const totalEssays = await Essay.countDocuments();
+      const avgScore = await Essay.aggregate([
+        { $match: { 'results.overallScore': { $exists: true } } },
+        { $group: { _id: null, avgScore: { $avg: '$results.overallScore' } } }
+      ]);
+
+      const levelStats = await Essay.aggregate([
+        { $group: { _id: '$level', count: { $count: {} } } }
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          totalEssays,
+          averageScore: avgScore[0]?.avgScore || 0,
+          byLevel: levelStats
+        }
+      });
+    } catch (error) {
+      logger.error('Error fetching stats', { error });
+      res.status(500).json({ 
+        success: false, 
+        error: 'Failed to fetch statistics',
+        message: error.message 
+      });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createStatsRouter };
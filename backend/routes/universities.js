@@ -0,0 +1,161 @@
+const express = require('express');
+const { University } = require('../models');
+const { requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { logger } = require('../services/logger');
+const { escapeRegExp } = require('../services/common');
+const universityRules = require('../validators/universities');
+
+const UNIVERSITY_FIELDS = ['name', 'country', 'programs'];
+
+const pickUniversityFields = (body) => UNIVERSITY_FIELDS.reduce((data, field) => {
+  if (body[field] !== undefined) data[field] = body[field];
+  return data;
+}, {});
+
+const sendUniversityWriteError = (res, error, action) => {
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      error: 'A university with this name already exists'
+    });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid university data',
+      message: error.message
+    });
+  }
+  logger.error(`Error ${action} university`, { error });
+  res.status(500).json({
+    success: false,
+    error: `Failed to ${action === 'creating' ? 'create' : 'update'} university`,
+    message: error.message
+  });
+};
+
+// Anyone signed in can browse the catalog; changing it takes an admin
+const createUniversitiesRouter = () => {
+  const router = express.Router();
+  const requireAdmin = requireRole('admin');
+
+  router.get('/', validate(universityRules.listUniversities), async (req, res) => {
+    try {
+      const { search, level, limit = 20 } = req.query;
+
+      const query = {};
+      if (search) query.name = { $regex: escapeRegExp(search.trim()), $options: 'i' };
+      if (level) query['programs.level'] = level;
+
+      const universities = await University.find(query)
+        .sort({ name: 1 })
+        .limit(limit)
+        .select('-__v');
+
+      res.json({
+        success: true,
+        data: universities
+      });
+    } catch (error) {
+      logger.error('Error fetching universities', { error });
+      res.status(500).json({ 
+        success: false, 
+        error: 'Failed to fetch universities',
+        message: error.message 
+      });
+    }
+  });
+
+  router.get('/:id', validate(universityRules.universityById), async (req, res) => {
+    try {
+      const university = await University.findById(req.params.id).select('-__v');
+
+      if (!university) {
+        return res.status(404).json({ 
+          success: false, 
+          error: 'University not found' 
+        });
+      }
+
+      res.json({ 
+        success: true, 
+        data: university 
+      });
+    } catch (error) {
+      logger.error('Error fetching university', { error });
+      res.status(500).json({ 
+        success: false, 
+        error: 'Failed to fetch university',
+        message: error.message 
+      });
+    }
+  });
+
+  router.post('/', requireAdmin, validate(universityRules.createUniversity), async (req, res) => {
+    try {
+      const university = await University.create(pickUniversityFields(req.body));
+
+      res.status(201).json({ 
+        success: true, 
+        data: university,
+        message: 'University created successfully'
+      });
+    } catch (error) {
+      sendUniversityWriteError(res, error, 'creating');
+    }
+  });
+
+  router.put('/:id', requireAdmin, validate(universityRules.updateUniversity), async (req, res) => {
+    try {
+      const university = await University.findById(req.params.id);
+
+      if (!university) {
+        return res.status(404).json({ 
+          success: false, 
+          error: 'University not found' 
+        });
+      }
+
+      university.set(pickUniversityFields(req.body));
+      await university.save();
+
+      res.json({ 
+        success: true, 
+        data: university,
+        message: 'University updated successfully'
+      });
+    } catch (error) {
+      sendUniversityWriteError(res, error, 'updating');
+    }
+  });
+
+  router.delete('/:id', requireAdmin, validate(universityRules.universityById), async (req, res) => {
+    try {
+      const university = await University.findByIdAndDelete(req.params.id);
+
+      if (!university) {
+        return res.status(404).json({ 
+          success: false, 
+          error: 'University not found' 
+        });
+      }
+
+      res.json({ 
+        success: true, 
+        message: 'University deleted successfully' 
+      });
+    } catch (error) {
+      logger.error('Error deleting university', { error });
+      res.status(500).json({ 
+        success: false, 
+        error: 'Failed to delete university',
+        message: error.message 
+      });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createUniversitiesRouter };
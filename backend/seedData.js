@@ -0,0 +1,98 @@
+// Seeds the university catalog with a few sample programs. Universities are
+// upserted by name, so running it again updates them instead of duplicating.
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const mongoose = require('mongoose');
+const { University } = require('./models');
+const { readDatabaseConfig, connectDatabase } = require('./services/database');
+const { logger } = require('./services/logger');
+
+const universities = [
+  {
+    name: 'Northfield University',
+    country: 'United States',
+    programs: [
+      {
+        name: 'Undergraduate Admissions',
+        level: 'undergrad',
+        essayType: 'Personal statement',
+        prompts: [
+          'Describe a challenge you have faced and what you learned from it.',
+          'Tell us about an interest that has shaped who you are.'
+        ],
+        wordLimit: { min: 250, max: 650 },
+        rubricWeights: { grammar: 0.75, structure: 1, coherence: 1, vocabulary: 0.75, arguments: 1.5 }
+      },
+      {
+        name: 'MBA',
+        level: 'mba',
+        essayType: 'Career goals',
+        prompts: [
+          'What are your short- and long-term career goals, and how will an MBA help you reach them?'
+        ],
+        wordLimit: { min: 300, max: 750 },
+        rubricWeights: { grammar: 0.5, structure: 1, coherence: 1.25, vocabulary: 0.5, arguments: 1.75 }
+      }
+    ]
+  },
+  {
+    name: 'Westbrook College',
+    country: 'United Kingdom',
+    programs: [
+      {
+        name: 'Undergraduate Admissions',
+        level: 'undergrad',
+        essayType: 'Personal statement',
+        prompts: [
+          'Why do you want to study your chosen subject, and what have you done to explore it?'
+        ],
+        wordLimit: { min: 300, max: 700 },
+        rubricWeights: { grammar: 1, structure: 1, coherence: 1, vocabulary: 1, arguments: 1 }
+      }
+    ]
+  },
+  {
+    name: 'Lakeshore School of Business',
+    country: 'Canada',
+    programs: [
+      {
+        name: 'MBA',
+        level: 'mba',
+        essayType: 'Leadership',
+        prompts: [
+          'Describe a time you led a team through a difficult situation. What was the outcome?',
+          'How will you contribute to our community of students?'
+        ],
+        wordLimit: { min: 400, max: 1000 },
+        rubricWeights: { grammar: 0.5, structure: 0.75, coherence: 1.25, vocabulary: 0.75, arguments: 1.75 }
+      }
+    ]
+  }
+];
+
+const seed = async () => {
+  const config = readDatabaseConfig();
+  if (!config.uri) {
+    throw new Error('MONGODB_URI is not set');
+  }
+  await connectDatabase(config);
+
+  for (const university of universities) {
+    await University.findOneAndUpdate(
+      { name: university.name },
+      university,
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+  }
+  logger.info('Seeded universities', { count: universities.length });
+};
+
+seed()
+  .then(() => mongoose.connection.close())
+  .catch(async (error) => {
+    logger.error('Seeding failed', { error });
+    await mongoose.connection.close().catch(() => {});
+    process.exit(1);
+  });
@@ -0,0 +1,14 @@
+// Small helpers shared by the scoring services and routes
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+// For building a RegExp that matches `value` literally
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = {
+  clamp,
+  round1,
+  escapeRegExp
+};
@@ -0,0 +1,81 @@
+// MongoDB connection settings and the retry loop used at startup. Once
+// connected, the driver reconnects on its own after a dropped connection.
+
+const mongoose = require('mongoose');
+const { logger } = require('./logger');
+const { recordError } = require('./metrics');
+
+const readDatabaseConfig = (env = process.env) => ({
+  uri: env.MONGODB_URI,
+  maxAttempts: parseInt(env.DB_CONNECT_MAX_ATTEMPTS, 10) || 10,
+  retryDelayMs: parseInt(env.DB_CONNECT_RETRY_DELAY_MS, 10) || 1000,
+  maxRetryDelayMs: parseInt(env.DB_CONNECT_MAX_RETRY_DELAY_MS, 10) || 30000,
+  serverSelectionTimeoutMs: parseInt(env.DB_SERVER_SELECTION_TIMEOUT_MS, 10) || 5000
+});
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Calls connect() until it succeeds, doubling the delay after each failure up
+// to maxRetryDelayMs. Throws the last error once maxAttempts have failed.
+// `onRetry(error, attempt, delayMs)` runs before each wait.
+const connectWithRetry = async (connect, { maxAttempts, retryDelayMs, maxRetryDelayMs }, onRetry = () => {}) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await connect();
+    } catch (error) {
+      if (attempt >= maxAttempts) throw error;
+      const delay = Math.min(retryDelayMs * 2 ** (attempt - 1), maxRetryDelayMs);
+      onRetry(error, attempt, delay);
+      await sleep(delay);
+    }
+  }
+};
+
+// Connects mongoose with readDatabaseConfig()'s settings, retrying with
+// backoff and logging each failed attempt
+const connectDatabase = (config) => connectWithRetry(async () => {
+  await mongoose.connect(config.uri, {
+    serverSelectionTimeoutMS: config.serverSelectionTimeoutMs,
+    serverApi: {
+      version: '1',
+      strict: true,
+      deprecationErrors: true,
+    }
+  });
+  
+  // Test the connection
+  await mongoose.connection.db.admin().command({ ping: 1 });
+}, config, (error, attempt, delayMs) => {
+  recordError('database');
+  logger.warn('MongoDB connection failed, retrying', {
+    attempt,
+    maxAttempts: config.maxAttempts,
+    delayMs,
+    error
+  });
+});
+
+// Connection event listeners, added once the first connection is up
+// (connectDatabase logs its own failed attempts). While the driver
+// reconnects, API requests get a 503 (see requireDatabase).
+const watchConnection = ({ isShuttingDown = () => false } = {}) => {
+  mongoose.connection.on('disconnected', () => {
+    if (!isShuttingDown()) logger.warn('MongoDB disconnected');
+  });
+  
+  mongoose.connection.on('reconnected', () => {
+    logger.info('MongoDB reconnected');
+  });
+  
+  mongoose.connection.on('error', (error) => {
+    recordError('database');
+    logger.error('MongoDB error', { error });
+  });
+};
+
+module.exports = {
+  readDatabaseConfig,
+  connectWithRetry,
+  connectDatabase,
+  watchConnection
+};
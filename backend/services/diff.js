@@ -0,0 +1,154 @@
+// Word-level diff between two texts using Myers' O(ND) algorithm in linear
+// space: each step searches from both ends for the middle of the shortest edit
+// path, then diffs either side of it. Whitespace runs are kept as their own
+// tokens so joining the output reproduces both inputs exactly.
+
+// Search depth, in edits from each end, before a span is given up on and
+// reported as one deletion plus one insertion. Keeps texts that have little
+// in common from taking O(N^2) time.
+const MAX_SEARCH_EDITS = 3000;
+
+const tokenize = (text) => text.split(/(\s+)/).filter(token => token.length > 0);
+
+const isWord = (token) => /\S/.test(token);
+
+const pushChange = (changes, type, tokens) => {
+  if (tokens.length === 0) return;
+  const text = tokens.join('');
+  const last = changes[changes.length - 1];
+  if (last && last.type === type) {
+    last.text += text;
+  } else {
+    changes.push({ type, text });
+  }
+};
+
+// Finds a point on the shortest edit path between a[aStart, aEnd) and
+// b[bStart, bEnd), or null if the search runs past MAX_SEARCH_EDITS. The
+// ranges must not share a first or last token.
+const bisect = (a, aStart, aEnd, b, bStart, bEnd) => {
+  const n = aEnd - aStart;
+  const m = bEnd - bStart;
+  const maxEdits = Math.min(Math.ceil((n + m) / 2), MAX_SEARCH_EDITS);
+  const offset = maxEdits;
+  const size = 2 * maxEdits + 2;
+  // Furthest x reached on each diagonal k = x - y, from the start (forward)
+  // and from the end (reverse)
+  const forward = new Int32Array(size).fill(-1);
+  const reverse = new Int32Array(size).fill(-1);
+  forward[offset + 1] = 0;
+  reverse[offset + 1] = 0;
+  const delta = n - m;
+  // With an odd delta the paths can only meet on a forward step
+  const meetsForward = delta % 2 !== 0;
+  // Diagonals that ran off the grid are not extended again
+  let forwardStart = 0;
+  let forwardEnd = 0;
+  let reverseStart = 0;
+  let reverseEnd = 0;
+
+  for (let d = 0; d < maxEdits; d++) {
+    for (let k = -d + forwardStart; k <= d - forwardEnd; k += 2) {
+      const idx = offset + k;
+      let x = k === -d || (k !== d && forward[idx - 1] < forward[idx + 1])
+        ? forward[idx + 1]
+        : forward[idx - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[aStart + x] === b[bStart + y]) {
+        x++;
+        y++;
+      }
+      forward[idx] = x;
+      if (x > n) {
+        forwardEnd += 2;
+      } else if (y > m) {
+        forwardStart += 2;
+      } else if (meetsForward) {
+        const reverseIdx = offset + delta - k;
+        if (reverseIdx >= 0 && reverseIdx < size && reverse[reverseIdx] !== -1 && x >= n - reverse[reverseIdx]) {
+          return { x: aStart + x, y: bStart + y };
+        }
+      }
+    }
+
+    for (let k = -d + reverseStart; k <= d - reverseEnd; k += 2) {
+      const idx = offset + k;
+      let x = k === -d || (k !== d && reverse[idx - 1] < reverse[idx + 1])
+        ? reverse[idx + 1]
+        : reverse[idx - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[aEnd - 1 - x] === b[bEnd - 1 - y]) {
+        x++;
+        y++;
+      }
+      reverse[idx] = x;
+      if (x > n) {
+        reverseEnd += 2;
+      } else if (y > m) {
+        reverseStart += 2;
+      } else if (!meetsForward) {
+        const forwardIdx = offset + delta - k;
+        if (forwardIdx >= 0 && forwardIdx < size && forward[forwardIdx] !== -1) {
+          const forwardX = forward[forwardIdx];
+          if (forwardX >= n - x) {
+            return { x: aStart + forwardX, y: bStart + forwardX - (forwardIdx - offset) };
+          }
+        }
+      }
+    }
+  }
+
+  return null;
+};
+
+const diffRange = (a, aStart, aEnd, b, bStart, bEnd, changes) => {
+  // Common prefix and suffix never need searching
+  let prefix = 0;
+  while (aStart + prefix < aEnd && bStart + prefix < bEnd && a[aStart + prefix] === b[bStart + prefix]) prefix++;
+  pushChange(changes, 'equal', a.slice(aStart, aStart + prefix));
+  aStart += prefix;
+  bStart += prefix;
+
+  let suffix = 0;
+  while (aEnd - suffix > aStart && bEnd - suffix > bStart && a[aEnd - 1 - suffix] === b[bEnd - 1 - suffix]) suffix++;
+  aEnd -= suffix;
+  bEnd -= suffix;
+
+  if (aStart < aEnd && bStart < bEnd) {
+    const split = bisect(a, aStart, aEnd, b, bStart, bEnd);
+    if (split) {
+      diffRange(a, aStart, split.x, b, bStart, split.y, changes);
+      diffRange(a, split.x, aEnd, b, split.y, bEnd, changes);
+    } else {
+      pushChange(changes, 'delete', a.slice(aStart, aEnd));
+      pushChange(changes, 'insert', b.slice(bStart, bEnd));
+    }
+  } else {
+    pushChange(changes, 'delete', a.slice(aStart, aEnd));
+    pushChange(changes, 'insert', b.slice(bStart, bEnd));
+  }
+
+  pushChange(changes, 'equal', a.slice(aEnd, aEnd + suffix));
+};
+
+const diffWords = (fromText, toText) => {
+  const a = tokenize(fromText || '');
+  const b = tokenize(toText || '');
+
+  const changes = [];
+  diffRange(a, 0, a.length, b, 0, b.length, changes);
+
+  const countWords = (type) => changes
+    .filter(change => change.type === type)
+    .reduce((total, change) => total + tokenize(change.text).filter(isWord).length, 0);
+
+  return {
+    changes,
+    stats: {
+      insertions: countWords('insert'),
+      deletions: countWords('delete')
+    }
+  };
+};
+
+module.exports = { diffWords };
@@ -0,0 +1,227 @@
+// Evaluation requests from start to finish: loading what an evaluation
+// needs, saving its results, and the background queue that runs them
+const { Essay, Revision, University, Rubric, EvaluationJob } = require('../models');
+const { evaluateEssay } = require('./providers');
+const { createJobQueue } = require('./jobQueue');
+const { normalizeLimits, limitsFromProgram } = require('./limits');
+const { defaultRubric, applyRubric } = require('./rubrics');
+const { recordRevision } = require('./revisions');
+const { logger, withLogContext } = require('./logger');
+const { recordEvaluation, recordError } = require('./metrics');
+
+// Looks up a catalog program by university and program id; null if either is missing
+const findProgram = async (universityId, programId) => {
+  const university = await University.findById(universityId);
+  const program = university && university.programs.id(programId);
+  return program ? { university, program: program.toObject() } : null;
+};
+
+// The built-in rubric applies when none is chosen; null if the id is unknown
+const resolveRubric = async (rubricId, level) => {
+  if (!rubricId) return defaultRubric(level);
+  const rubric = await Rubric.findById(rubricId);
+  return rubric ? rubric.toObject() : null;
+};
+
+// Validates an evaluation request and loads what it needs: the essay (new or
+// existing), the catalog program, the rubric and the length limits. Returns
+// { status, error } when the request can't be evaluated.
+const prepareEvaluation = async (body, userId) => {
+  const { essayId, text, universityId, programId, rubricId, level } = body;
+  
+  if (!text || text.trim().length < 10) {
+    return { status: 400, error: 'Essay text must be at least 10 characters long' };
+  }
+  
+  let essay;
+  if (essayId) {
+    essay = await Essay.findOne({ _id: essayId, userId });
+    if (!essay) {
+      return { status: 404, error: 'Essay not found' };
+    }
+  } else {
+    essay = new Essay({ userId });
+  }
+  
+  let catalog = null;
+  if (universityId && programId) {
+    catalog = await findProgram(universityId, programId);
+    if (!catalog) {
+      return { status: 404, error: 'University program not found' };
+    }
+  }
+  
+  // An explicit rubric wins over the one the catalog program names
+  const rubric = await resolveRubric(rubricId || (catalog && catalog.program.rubricId), level);
+  if (!rubric) {
+    return { status: 404, error: 'Rubric not found' };
+  }
+  
+  // Limits sent with the request win; otherwise the program's word limit applies
+  let limits;
+  try {
+    limits = normalizeLimits(body.limits) || limitsFromProgram(catalog && catalog.program);
+  } catch (error) {
+    return { status: 400, error: error.message };
+  }
+  
+  return { essay, catalog, rubric, limits };
+};
+
+const evaluationOptions = (body, { catalog, limits }) => ({
+  level: body.level,
+  university: body.university,
+  program: catalog ? catalog.program : undefined,
+  prompt: body.prompt,
+  limits
+});
+
+// The request fields an evaluation job keeps
+const EVALUATION_FIELDS = ['text', 'prompt', 'university', 'universityId', 'programId', 'rubricId', 'level', 'limits'];
+
+// Copies the evaluated draft from the request onto the essay
+const setEvaluatedDraft = (essay, body, { catalog, limits }) => essay.set({
+  text: body.text,
+  prompt: body.prompt || '',
+  university: catalog ? catalog.university.name : body.university || '',
+  universityId: catalog ? catalog.university._id : null,
+  programId: catalog ? catalog.program._id : null,
+  rubricId: body.rubricId || null,
+  level: body.level || 'undergrad',
+  limits
+});
+
+// `durationMs` is how long the evaluation took, for logs and metrics
+const saveEvaluation = async (body, evaluation, results, durationMs) => {
+  const { essay } = evaluation;
+  setEvaluatedDraft(essay, body, evaluation);
+  essay.set({
+    wordCount: results.wordCount,
+    charCount: results.charCount,
+    results,
+    status: 'evaluated'
+  });
+  
+  await essay.save();
+  await recordRevision(essay, 'evaluation');
+  recordEvaluation({
+    level: essay.level,
+    provider: results.provider,
+    overallScore: results.overallScore,
+    durationMs
+  });
+  logger.info('Evaluation saved', {
+    essayId: String(essay._id),
+    version: essay.currentVersion,
+    overallScore: results.overallScore,
+    provider: results.provider,
+    durationMs
+  });
+  return essay;
+};
+
+// Whether another evaluation of the job's essay is still queued or running,
+// in which case that one decides the essay's status
+const hasOtherActiveJob = (job) => EvaluationJob.exists({
+  _id: { $ne: job._id },
+  essayId: job.essayId,
+  status: { $in: ['queued', 'running'] }
+});
+
+// A queued evaluation of an essay that was edited after it was queued. The
+// results stay in the essay's history next to the text they were computed
+// for, and the essay keeps its newer text and previous results.
+const saveOutdatedEvaluation = async (job, body, results, durationMs) => {
+  const essay = await Essay.findOne({ _id: job.essayId, userId: job.userId });
+  if (!essay) return;
+
+  await recordRevision(essay, 'evaluation', {
+    text: body.text,
+    wordCount: results.wordCount,
+    charCount: results.charCount,
+    results
+  });
+  if (!await hasOtherActiveJob(job)) {
+    await Essay.updateOne({ _id: essay._id, status: 'evaluating' }, { status: essay.results ? 'evaluated' : 'draft' });
+  }
+  recordEvaluation({
+    level: body.level || 'undergrad',
+    provider: results.provider,
+    overallScore: results.overallScore,
+    durationMs
+  });
+  logger.info('Evaluation saved to history only; the essay changed after it was queued', {
+    essayId: String(essay._id),
+    queuedVersion: job.essayVersion,
+    version: essay.currentVersion,
+    overallScore: results.overallScore
+  });
+};
+
+// Worker for queued evaluations. Requests that can no longer be evaluated
+// (a deleted essay or rubric, say) fail without being retried.
+const runEvaluationJob = async (job, provider) => {
+  const body = { ...job.payload, essayId: job.essayId };
+  const evaluation = await prepareEvaluation(body, job.userId);
+  
+  if (evaluation.error) {
+    throw Object.assign(new Error(evaluation.error), { permanent: true });
+  }
+  
+  const started = Date.now();
+  const options = evaluationOptions(body, evaluation);
+  const results = applyRubric(
+    await evaluateEssay(body.text, options, provider),
+    body.text,
+    evaluation.rubric,
+    options.program
+  );
+  const durationMs = Date.now() - started;
+
+  // Evaluations bump the version too, so only edits count as changes
+  const edited = job.essayVersion != null && await Revision.exists({
+    essayId: job.essayId,
+    type: 'edit',
+    version: { $gt: job.essayVersion }
+  });
+  if (edited) {
+    await saveOutdatedEvaluation(job, body, results, durationMs);
+  } else {
+    await saveEvaluation(body, evaluation, results, durationMs);
+  }
+};
+
+// Runs once a job has failed for good. A later evaluation of the same essay
+// that is still queued or running keeps the essay 'evaluating'.
+const markEvaluationFailed = async (job) => {
+  if (!await hasOtherActiveJob(job)) {
+    await Essay.updateOne({ _id: job.essayId, userId: job.userId }, { status: 'failed' });
+  }
+};
+
+// The background queue that runs evaluations with `provider`; `config` is
+// readQueueConfig()'s
+const createEvaluationQueue = (provider, config) => createJobQueue({
+  Job: EvaluationJob,
+  handler: (job) => withLogContext(
+    { requestId: job.requestId, jobId: String(job._id), userId: job.userId, attempt: job.attempts },
+    () => runEvaluationJob(job, provider)
+  ),
+  onFailed: markEvaluationFailed,
+  onError: (error, job) => {
+    recordError('evaluation');
+    logger.error('Evaluation job error', { jobId: job ? String(job._id) : null, error });
+  },
+  ...config
+});
+
+module.exports = {
+  EVALUATION_FIELDS,
+  prepareEvaluation,
+  evaluationOptions,
+  setEvaluatedDraft,
+  saveEvaluation,
+  runEvaluationJob,
+  markEvaluationFailed,
+  createEvaluationQueue
+};
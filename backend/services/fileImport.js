@@ -0,0 +1,342 @@
+// Text extraction for uploaded essay drafts. Every format is reduced to plain
+// paragraphs separated by a blank line, with headers, footers, comments and
+// invisible junk characters removed, so the result can go straight into the
+// editor.
+
+const path = require('path');
+const mammoth = require('mammoth');
+// The package entry point runs a self-test when loaded without a parent module
+const pdfParse = require('pdf-parse/lib/pdf-parse');
+
+const IMPORT_FORMATS = ['docx', 'pdf', 'md', 'rtf', 'txt'];
+
+const EXTENSIONS = {
+  '.docx': 'docx',
+  '.pdf': 'pdf',
+  '.md': 'md',
+  '.markdown': 'md',
+  '.rtf': 'rtf',
+  '.txt': 'txt',
+  '.text': 'txt'
+};
+
+const MIME_TYPES = {
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'application/pdf': 'pdf',
+  'text/markdown': 'md',
+  'application/rtf': 'rtf',
+  'text/rtf': 'rtf',
+  'text/plain': 'txt'
+};
+
+// Identifies the format from the file name, then the content type, then the
+// file's leading bytes. Returns null for anything unsupported.
+const detectFormat = (buffer, { filename = '', contentType = '' } = {}) => {
+  const byExtension = EXTENSIONS[path.extname(filename).toLowerCase()];
+  if (byExtension) return byExtension;
+  const byMime = MIME_TYPES[contentType.split(';')[0].trim().toLowerCase()];
+  if (byMime) return byMime;
+
+  const head = buffer.subarray(0, 5).toString('latin1');
+  if (head === '%PDF-') return 'pdf';
+  if (head.startsWith('{\\rtf')) return 'rtf';
+  if (head.startsWith('PK')) return 'docx';
+  return null;
+};
+
+// Zero-width and control characters, soft hyphens and byte order marks that
+// word processors leave behind
+const JUNK_CHARACTERS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F\u00AD\u200B-\u200D\u2060\uFEFF\uFFFD]/g;
+
+const cleanText = (text) => text
+  .replace(/\r\n?/g, '\n')
+  .replace(/[\u2028\u2029]/g, '\n')
+  .replace(JUNK_CHARACTERS, '')
+  .replace(/[\u00A0\u2007\u202F\t]/g, ' ');
+
+// One paragraph per line, separated by a blank line
+const toParagraphs = (lines) => lines
+  .map(line => line.replace(/ {2,}/g, ' ').trim())
+  .filter(Boolean)
+  .join('\n\n');
+
+// Joins the lines of a wrapped paragraph, rejoining words split by a hyphen
+const joinLines = (lines) => lines.reduce((joined, line) => {
+  if (!joined) return line;
+  if (/[a-z]-$/.test(joined) && /^[a-z]/.test(line)) return joined.slice(0, -1) + line;
+  return `${joined} ${line}`;
+}, '');
+
+const decodeText = (buffer) => {
+  if (buffer[0] === 0xFF && buffer[1] === 0xFE) return buffer.subarray(2).toString('utf16le');
+  if (buffer[0] === 0xFE && buffer[1] === 0xFF) {
+    return Buffer.from(buffer.subarray(2)).swap16().toString('utf16le');
+  }
+  return buffer.toString('utf8');
+};
+
+// Plain text: every line is a paragraph
+const extractTxt = (buffer) => toParagraphs(cleanText(decodeText(buffer)).split('\n'));
+
+// Markdown: front matter, HTML comments, images and code fences are dropped,
+// block markers and inline emphasis are unwrapped, and soft-wrapped lines are
+// joined back into their paragraph
+const extractMarkdown = (buffer) => {
+  const source = cleanText(decodeText(buffer))
+    .replace(/^---\n[\s\S]*?\n---\n/, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/^ {0,3}(```|~~~).*$/gm, '');
+
+  const paragraphs = [];
+  let current = [];
+  const flush = () => {
+    if (current.length > 0) paragraphs.push(joinLines(current));
+    current = [];
+  };
+
+  source.split('\n').forEach((line) => {
+    if (!line.trim() || /^ {0,3}([-*_] *){3,}$/.test(line)) {
+      flush();
+      return;
+    }
+    // Headings and list items always start a paragraph of their own
+    const isBlock = /^ {0,3}(#{1,6} |[-*+] |\d+[.)] )/.test(line);
+    if (isBlock) flush();
+    current.push(line
+      .replace(/^ {0,3}#{1,6} +/, '')
+      .replace(/^ *(> ?)+/, '')
+      .replace(/^ *([-*+]|\d+[.)]) +/, '')
+      .replace(/ +#+ *$/, '')
+      .trim());
+    if (isBlock && /^ {0,3}#/.test(line)) flush();
+  });
+  flush();
+
+  return toParagraphs(paragraphs.map(paragraph => paragraph
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/<[^>]+>/g, '')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/(\*\*|__)(?=\S)(.+?)\1/g, '$2')
+    .replace(/(^|[^\w*])[*_](?=\S)(.+?)[*_](?![\w*])/g, '$1$2')
+    .replace(/~~(.+?)~~/g, '$1')
+    .replace(/\\([\\`*_{}[\]()#+\-.!>])/g, '$1')));
+};
+
+// RTF groups whose text is never part of the essay body
+const RTF_SKIPPED_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'listtable', 'listoverridetable', 'info',
+  'pict', 'object', 'themedata', 'colorschememapping', 'datastore', 'latentstyles',
+  'rsidtbl', 'generator', 'xmlnstbl', 'filetbl', 'revtbl', 'pgdsctbl',
+  'header', 'headerl', 'headerr', 'headerf', 'footer', 'footerl', 'footerr', 'footerf',
+  'annotation', 'atnid', 'atnauthor', 'atndate', 'atnref', 'atrfstart', 'atrfend',
+  'footnote', 'field', 'fldinst'
+]);
+
+const RTF_SYMBOLS = {
+  par: '\n',
+  line: '\n',
+  sect: '\n',
+  page: '\n',
+  tab: '\t',
+  emdash: '—',
+  endash: '–',
+  lquote: '‘',
+  rquote: '’',
+  ldblquote: '“',
+  rdblquote: '”',
+  bullet: '•'
+};
+
+const CP1252 = new TextDecoder('windows-1252');
+
+// A small RTF reader: tracks group state, skips non-body destinations and
+// decodes \'hh and \uN escapes. Field results (the visible text of links) are
+// kept while their instructions are skipped.
+const extractRtf = (buffer) => {
+  const source = buffer.toString('latin1');
+  const stack = [];
+  let state = { skip: false, unicodeSkip: 1 };
+  let pendingSkip = 0;
+  let text = '';
+
+  const emit = (value) => {
+    if (pendingSkip > 0) {
+      pendingSkip--;
+      return;
+    }
+    if (!state.skip) text += value;
+  };
+
+  let i = 0;
+  while (i < source.length) {
+    const ch = source[i];
+
+    if (ch === '{') {
+      stack.push(state);
+      state = { ...state };
+      i++;
+    } else if (ch === '}') {
+      state = stack.pop() || state;
+      i++;
+    } else if (ch === '\\') {
+      const next = source[i + 1];
+      if (next === '\\' || next === '{' || next === '}') {
+        emit(next);
+        i += 2;
+      } else if (next === "'") {
+        emit(CP1252.decode(Buffer.from([parseInt(source.substr(i + 2, 2), 16) || 0])));
+        i += 4;
+      } else if (next === '*') {
+        state.skip = true;
+        i += 2;
+      } else if (next === '~') {
+        emit(' ');
+        i += 2;
+      } else if (next === '_') {
+        emit('-');
+        i += 2;
+      } else if (next === '\n' || next === '\r') {
+        emit('\n');
+        i += 2;
+      } else {
+        const match = /^\\([a-zA-Z]+)(-?\d+)? ?/.exec(source.slice(i, i + 40));
+        if (!match) {
+          i += 2;
+          continue;
+        }
+        const [control, word, param] = match;
+        i += control.length;
+        if (RTF_SKIPPED_DESTINATIONS.has(word)) {
+          state.skip = true;
+        } else if (word === 'uc') {
+          state.unicodeSkip = Number(param) || 0;
+        } else if (word === 'u') {
+          const code = Number(param);
+          emit(String.fromCharCode(code < 0 ? code + 65536 : code));
+          pendingSkip = state.unicodeSkip;
+        } else if (RTF_SYMBOLS[word]) {
+          emit(RTF_SYMBOLS[word]);
+        }
+      }
+    } else {
+      if (ch !== '\n' && ch !== '\r') emit(ch);
+      i++;
+    }
+  }
+
+  return toParagraphs(cleanText(text).split('\n'));
+};
+
+// Word documents: mammoth reads only the document body, so headers, footers
+// and comments are left out
+const extractDocx = async (buffer) => {
+  const { value } = await mammoth.extractRawText({ buffer });
+  return toParagraphs(cleanText(value).split('\n'));
+};
+
+// Lines repeated at the top or bottom of most pages (page numbers included,
+// whatever their value) are running headers and footers
+const EDGE_LINES = 2;
+const isPageNumber = (text) => /^(page\s*)?\d+(\s*(of|\/)\s*\d+)?$/i.test(text.trim());
+const edgeKey = (text) => text.trim().toLowerCase().replace(/\d+/g, '#');
+
+const stripRunningLines = (pages) => {
+  const edgeCounts = new Map();
+  pages.forEach((lines) => {
+    const edges = new Set([...lines.slice(0, EDGE_LINES), ...lines.slice(-EDGE_LINES)].map(line => edgeKey(line.text)));
+    edges.forEach(key => edgeCounts.set(key, (edgeCounts.get(key) || 0) + 1));
+  });
+  const threshold = Math.max(2, Math.ceil(pages.length / 2));
+
+  return pages.map(lines => lines.filter((line, idx) => {
+    const atEdge = idx < EDGE_LINES || idx >= lines.length - EDGE_LINES;
+    return !atEdge || !(isPageNumber(line.text) || edgeCounts.get(edgeKey(line.text)) >= threshold);
+  }));
+};
+
+// Groups a page's text items into lines, keeping each line's position
+const pageLines = (items) => {
+  const lines = [];
+  items.forEach((item) => {
+    const [, , , scaleY, x, y] = item.transform;
+    const height = item.height || Math.abs(scaleY) || 10;
+    const last = lines[lines.length - 1];
+    if (last && Math.abs(last.y - y) < height / 2) {
+      last.text += item.str;
+    } else {
+      lines.push({ text: item.str, x, y, height });
+    }
+  });
+  return lines.filter(line => line.text.trim());
+};
+
+const median = (values) => {
+  const sorted = values.slice().sort((a, b) => a - b);
+  return sorted.length ? sorted[Math.floor(sorted.length / 2)] : 0;
+};
+
+// A new paragraph starts after a wider-than-usual gap, at an indented line, or
+// after a short line that ends a sentence (which also decides whether a
+// paragraph carries over to the next page)
+const pdfParagraphs = (pages) => {
+  const paragraphs = [];
+  let current = [];
+  let previous = null;
+  const flush = () => {
+    if (current.length > 0) paragraphs.push(joinLines(current.map(line => line.text.trim())));
+    current = [];
+  };
+  const endsShort = (line, fullWidth) => /[.!?:"\u201D]$/.test(line.text.trim()) && line.text.trim().length < fullWidth * 0.8;
+
+  pages.forEach((lines) => {
+    const gaps = lines.slice(1).map((line, idx) => lines[idx].y - line.y).filter(gap => gap > 0);
+    const lineGap = median(gaps);
+    const left = Math.min(...lines.map(line => line.x));
+    const fullWidth = Math.max(...lines.map(line => line.text.trim().length));
+
+    lines.forEach((line, idx) => {
+      const samePage = idx > 0;
+      const breaks = previous && (
+        (samePage && lineGap > 0 && previous.y - line.y > lineGap * 1.4)
+        || line.x - left > line.height
+        || endsShort(previous, fullWidth)
+      );
+      if (breaks) flush();
+      current.push(line);
+      previous = line;
+    });
+  });
+  flush();
+
+  return paragraphs;
+};
+
+const extractPdf = async (buffer) => {
+  const pages = [];
+  await pdfParse(buffer, {
+    pagerender: async (pageData) => {
+      const content = await pageData.getTextContent({ normalizeWhitespace: true });
+      pages.push(pageLines(content.items));
+      return '';
+    }
+  });
+  const body = stripRunningLines(pages).filter(lines => lines.length > 0);
+  return toParagraphs(pdfParagraphs(body).map(paragraph => cleanText(paragraph.normalize('NFKC'))));
+};
+
+const EXTRACTORS = {
+  docx: extractDocx,
+  pdf: extractPdf,
+  md: extractMarkdown,
+  rtf: extractRtf,
+  txt: extractTxt
+};
+
+const extractText = async (buffer, format) => EXTRACTORS[format](buffer);
+
+module.exports = {
+  IMPORT_FORMATS,
+  detectFormat,
+  extractText
+};
@@ -0,0 +1,123 @@
+// Document fingerprinting for overlap detection. Essays are reduced to
+// lowercase word shingles (overlapping runs of SHINGLE_SIZE words), each
+// shingle is hashed, and winnowing keeps the minimum hash of every window of
+// WINDOW_SIZE hashes. Any copied passage at least SHINGLE_SIZE + WINDOW_SIZE - 1
+// words long is guaranteed to share a fingerprint with its source.
+
+const { tokenize } = require('@orbit/text-analysis');
+
+const SHINGLE_SIZE = 5;
+const WINDOW_SIZE = 4;
+
+// Sources sharing fewer fingerprints than this are treated as coincidence
+const MIN_SHARED_FINGERPRINTS = 2;
+
+// 32-bit FNV-1a; stable across processes, so stored hashes stay comparable
+const hashShingle = (value) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// Words only, lowercased with apostrophes unified, so punctuation, spacing and
+// capitalization changes don't hide a copied passage
+const normalizeWords = (text) => tokenize(text)
+  .filter(token => token.type === 'word' || token.type === 'number')
+  .map(token => ({
+    word: token.text.toLowerCase().replace(/’/g, "'"),
+    start: token.start,
+    end: token.end
+  }));
+
+const fingerprintText = (text) => {
+  const words = normalizeWords(text);
+  const shingles = [];
+  for (let i = 0; i + SHINGLE_SIZE <= words.length; i++) {
+    const run = words.slice(i, i + SHINGLE_SIZE);
+    shingles.push({
+      hash: hashShingle(run.map(w => w.word).join(' ')),
+      start: run[0].start,
+      end: run[run.length - 1].end
+    });
+  }
+
+  if (shingles.length <= WINDOW_SIZE) return shingles;
+
+  // Winnowing: the rightmost minimum of each window, recorded once
+  const fingerprints = [];
+  let lastPicked = -1;
+  for (let i = 0; i + WINDOW_SIZE <= shingles.length; i++) {
+    let min = i;
+    for (let j = i + 1; j < i + WINDOW_SIZE; j++) {
+      if (shingles[j].hash <= shingles[min].hash) min = j;
+    }
+    if (min !== lastPicked) {
+      fingerprints.push(shingles[min]);
+      lastPicked = min;
+    }
+  }
+  return fingerprints;
+};
+
+// Joins overlapping or touching spans into passages
+const mergeSpans = (spans) => spans
+  .slice()
+  .sort((a, b) => a.start - b.start)
+  .reduce((merged, span) => {
+    const last = merged[merged.length - 1];
+    if (last && span.start <= last.end + 1) {
+      last.end = Math.max(last.end, span.end);
+    } else {
+      merged.push({ start: span.start, end: span.end });
+    }
+    return merged;
+  }, []);
+
+const percentage = (part, whole) => (whole ? Math.round(part / whole * 1000) / 10 : 0);
+
+// Compares an essay's fingerprints with those of candidate sources. Passages
+// are character spans in the essay itself; similarity is the share of the
+// essay's fingerprints found in a source.
+const findOverlaps = (text, fingerprints, candidates) => {
+  const matches = candidates
+    .map((candidate) => {
+      const sourceHashes = new Set(candidate.fingerprints.map(f => f.hash));
+      return { candidate, shared: fingerprints.filter(f => sourceHashes.has(f.hash)) };
+    })
+    .filter(match => match.shared.length >= MIN_SHARED_FINGERPRINTS);
+
+  const toPassages = (spans) => mergeSpans(spans).map(span => ({ ...span, text: text.slice(span.start, span.end) }));
+
+  const sources = matches
+    .map(({ candidate, shared }) => ({
+      essayId: candidate.essayId,
+      userId: candidate.userId,
+      similarity: percentage(shared.length, fingerprints.length),
+      sourceSimilarity: percentage(shared.length, candidate.fingerprints.length),
+      passages: toPassages(shared)
+    }))
+    .sort((a, b) => b.similarity - a.similarity);
+
+  const matched = fingerprints.filter(f => matches.some(match => match.shared.includes(f)));
+
+  return {
+    similarity: percentage(matched.length, fingerprints.length),
+    passages: toPassages(matched).map(passage => ({
+      ...passage,
+      sources: sources
+        .filter(source => source.passages.some(p => p.start < passage.end && p.end > passage.start))
+        .map(source => source.essayId)
+    })),
+    sources
+  };
+};
+
+module.exports = {
+  SHINGLE_SIZE,
+  WINDOW_SIZE,
+  fingerprintText,
+  findOverlaps
+};
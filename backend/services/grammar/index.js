@@ -0,0 +1,476 @@
+// Offline grammar and spelling checker.
+// Rules run over word tokens with character offsets so every issue can be
+// located in the essay and, where possible, fixed with a direct replacement.
+// Spelling uses the Hunspell en-US and en-GB dictionaries (either spelling is
+// accepted) plus a list of common typos with known fixes.
+
+const fs = require('fs');
+const path = require('path');
+const nspell = require('nspell');
+const { analyzeText } = require('@orbit/text-analysis');
+const MISSPELLINGS = require('./dictionaries/misspellings.json');
+
+const DICTIONARY_PACKAGES = ['dictionary-en', 'dictionary-en-gb'];
+
+// Dictionary suggestions are by far the slowest check (a few hundred
+// milliseconds per word, blocking the event loop), so only this many distinct
+// unknown words per essay are looked up, and no new lookup starts once they
+// have taken this long in total
+const MAX_SPELLING_SUGGESTIONS = 20;
+const MAX_SPELLING_SUGGESTION_MS = 1000;
+
+const CATEGORIES = [
+  'spelling',
+  'agreement',
+  'repetition',
+  'article',
+  'punctuation',
+  'capitalization',
+  'usage',
+  'spacing'
+];
+
+// Words that may legitimately appear twice in a row ("had had", "that that")
+const ALLOWED_REPEATS = new Set(['had', 'that']);
+
+// Preceding words that make pronoun + verb an inversion or infinitive ("does he have", "let it do")
+const NON_SUBJECT_CONTEXT = new Set([
+  'do', 'does', 'did', 'can', 'could', 'will', 'would', 'should', 'shall', 'may', 'might',
+  'must', 'let', 'lets', 'make', 'makes', 'made', 'help', 'helps', 'helped', 'to', 'if', 'wish'
+]);
+
+// Adverbs that can sit between a subject and its verb ("she always has")
+const INTERVENING_ADVERBS = new Set([
+  'always', 'never', 'often', 'usually', 'sometimes', 'rarely', 'seldom', 'also', 'really',
+  'still', 'just', 'only', 'even', 'certainly', 'truly', 'clearly', 'already', 'actually'
+]);
+
+const AGREEMENT_RULES = [
+  {
+    subjects: ['he', 'she', 'it'],
+    fixes: { have: 'has', do: 'does', are: 'is', "don't": "doesn't", "aren't": "isn't", "haven't": "hasn't" }
+  },
+  {
+    subjects: ['we', 'they', 'you'],
+    fixes: { has: 'have', does: 'do', is: 'are', was: 'were', "doesn't": "don't", "isn't": "aren't", "hasn't": "haven't", "wasn't": "weren't" }
+  },
+  {
+    subjects: ['i'],
+    fixes: { is: 'am', are: 'am', has: 'have', does: 'do', "doesn't": "don't" }
+  }
+];
+
+const SINGULAR_VERB_FIXES = { are: 'is', have: 'has', were: 'was', do: 'does', "aren't": "isn't", "haven't": "hasn't", "weren't": "wasn't", "don't": "doesn't" };
+const PLURAL_VERB_FIXES = { is: 'are', has: 'have', was: 'were', does: 'do', "isn't": "aren't", "hasn't": "haven't", "wasn't": "weren't", "doesn't": "don't" };
+
+// Determiners that fix the number of the noun after them, so
+// "every student have" and "these ideas is" can be caught without a parser
+const DETERMINER_RULES = [
+  { determiners: ['this', 'each', 'every', 'another', 'a', 'an'], fixes: SINGULAR_VERB_FIXES },
+  { determiners: ['these', 'those', 'many', 'several', 'both', 'few'], fixes: PLURAL_VERB_FIXES }
+];
+
+// Nouns that take either verb form after "a" or "this" ("a lot have changed")
+const NUMBER_NEUTRAL_NOUNS = new Set(['lot', 'number', 'couple', 'majority', 'few', 'bit', 'variety', 'range', 'total']);
+
+const COMPARATIVES = new Set([
+  'more', 'less', 'better', 'worse', 'rather', 'other', 'greater', 'larger', 'smaller', 'bigger',
+  'higher', 'lower', 'faster', 'slower', 'easier', 'harder', 'stronger', 'weaker', 'older',
+  'younger', 'fewer', 'longer', 'shorter'
+]);
+
+// Confused-word rules look at a token and its neighbours. `when` receives
+// the lowercase previous and next words and returns true when the token is wrong.
+const CONFUSED_WORD_RULES = [
+  {
+    word: 'its',
+    replacement: "it's",
+    when: (prev, next) => ['a', 'an', 'the', 'been', 'not', 'going', 'very', 'so', 'too', 'true', 'clear', 'important', 'hard', 'easy', 'impossible', 'possible', 'necessary'].includes(next),
+    message: '"its" is possessive; use "it\'s" for "it is" or "it has"'
+  },
+  {
+    word: "it's",
+    replacement: 'its',
+    when: (prev, next) => next === 'own' || ['of', 'in', 'on', 'at', 'by', 'with', 'from', 'into', 'about'].includes(prev),
+    message: '"it\'s" means "it is"; use "its" for possession'
+  },
+  {
+    word: 'their',
+    replacement: 'there',
+    when: (prev, next) => ['is', 'are', 'was', 'were', 'will', 'has', 'have'].includes(next),
+    message: '"their" is possessive; use "there" to introduce something'
+  },
+  {
+    word: 'there',
+    replacement: 'their',
+    when: (prev, next) => next === 'own',
+    message: '"there" refers to a place; use "their" for possession'
+  },
+  {
+    word: "they're",
+    replacement: 'their',
+    when: (prev, next) => next === 'own',
+    message: '"they\'re" means "they are"; use "their" for possession'
+  },
+  {
+    word: 'your',
+    replacement: "you're",
+    when: (prev, next) => ['welcome', 'going', 'not', 'right', 'a', 'an', 'the', 'being', 'doing', 'very', 'so', 'always', 'never'].includes(next),
+    message: '"your" is possessive; use "you\'re" for "you are"'
+  },
+  {
+    word: "you're",
+    replacement: 'your',
+    when: (prev, next) => next === 'own',
+    message: '"you\'re" means "you are"; use "your" for possession'
+  },
+  {
+    word: 'then',
+    replacement: 'than',
+    when: (prev) => COMPARATIVES.has(prev),
+    message: 'Use "than" for comparisons'
+  },
+  {
+    word: 'of',
+    replacement: 'have',
+    when: (prev) => ['could', 'should', 'would', 'must', 'might', 'may'].includes(prev),
+    message: 'Use "have" after modal verbs, as in "could have"'
+  },
+  {
+    word: 'loose',
+    replacement: 'lose',
+    when: (prev) => ['to', 'will', 'would', "don't", 'never'].includes(prev),
+    message: '"loose" means not tight; use "lose" for the verb'
+  },
+  {
+    word: 'affect',
+    replacement: 'effect',
+    when: (prev) => ['an', 'the', 'positive', 'negative', 'lasting', 'profound'].includes(prev),
+    message: '"affect" is usually a verb; use "effect" for the noun'
+  }
+];
+
+const SUBORDINATORS = new Set([
+  'when', 'if', 'because', 'although', 'though', 'since', 'while', 'after', 'before', 'unless',
+  'until', 'whenever', 'whereas', 'as', 'once', 'however', 'moreover', 'furthermore', 'first',
+  'finally', 'yes', 'no', 'well', 'in', 'for', 'at', 'during', 'with', 'without', 'despite', 'by'
+]);
+
+const COMMA_SPLICE_PATTERN = /,\s+(i|you|he|she|it|we|they)\s+(am|is|are|was|were|have|has|had|will|would|can|could|should|do|does|did|think|thought|feel|felt|know|knew|want|wanted|believe|believed|need|needed|made|became|went|realized|learned|decided)\b/gi;
+
+const normalizeApostrophes = (word) => word.replace(/’/g, "'");
+
+// Rules only look at alphabetic words; numbers and abbreviations are skipped
+const toWordTokens = (analysis) => analysis.tokens
+  .filter(token => token.type === 'word')
+  .map(token => ({
+    word: token.text,
+    lower: normalizeApostrophes(token.text.toLowerCase()),
+    start: token.start,
+    end: token.end
+  }));
+
+const matchCase = (source, replacement) => {
+  if (source.length > 1 && source === source.toUpperCase()) return replacement.toUpperCase();
+  if (source[0] === source[0].toUpperCase()) return replacement[0].toUpperCase() + replacement.slice(1);
+  return replacement;
+};
+
+// All-caps words read as words rather than letter by letter ("a NASA grant",
+// "a FIFA match"): a consonant start, then alternating consonants and vowels
+const SPOKEN_ACRONYM = /^[B-DF-HJ-NP-TV-Z]{1,2}[AEIOU](?:[B-DF-HJ-NP-TV-Z]{1,2}[AEIOU])+[B-DF-HJ-NP-TV-Z]{0,2}$/;
+
+const startsWithVowelSound = (word) => {
+  if (/^[A-Z]+$/.test(word) && word !== 'I' && !SPOKEN_ACRONYM.test(word)) {
+    return 'AEFHILMNORSX'.includes(word[0]);
+  }
+  const lower = word.toLowerCase();
+  if (/^(hour|honest|honor|honour|heir)/.test(lower)) return true;
+  if (/^(uni|use|usu|uti|ure|eu|ewe|one|once|ubiq)/.test(lower)) return false;
+  return /^[aeiou]/.test(lower);
+};
+
+const onlyWhitespaceBetween = (text, left, right) => /^\s+$/.test(text.slice(left.end, right.start));
+
+const issue = (category, rule, message, text, start, end, replacement) => ({
+  category,
+  rule,
+  message,
+  original: text.slice(start, end),
+  replacement,
+  start,
+  end
+});
+
+let spellers = null;
+
+// Parsed on first use; loading both dictionaries takes a few hundred milliseconds
+const getSpellers = () => {
+  if (!spellers) {
+    spellers = DICTIONARY_PACKAGES.map((name) => {
+      const dir = path.dirname(require.resolve(`${name}/package.json`));
+      return nspell(fs.readFileSync(path.join(dir, 'index.aff')), fs.readFileSync(path.join(dir, 'index.dic')));
+    });
+  }
+  return spellers;
+};
+
+const isKnownWord = (word) => getSpellers().some(speller => speller.correct(word));
+
+const listOptions = (options) => (options.length > 1
+  ? `${options.slice(0, -1).join(', ')} or ${options[options.length - 1]}`
+  : options[0]);
+
+// Typos from the list get its fix. Any other lowercase word missing from the
+// dictionaries is flagged when the dictionary has words close to it: one
+// candidate becomes the fix, several become a hint. An unknown word with
+// nothing close is more likely a real word the dictionary lacks than a typo;
+// words left over once the lookup limits are reached are treated the same.
+// Capitalized words and acronyms are left alone, as names rarely appear in a
+// dictionary. Each part of a hyphenated compound is checked separately.
+const checkSpelling = (text, tokens) => {
+  const issues = [];
+  const suggestions = new Map();
+  let lookupMs = 0;
+
+  // Past the limits, words that weren't looked up yet get no candidates
+  const suggestFor = (word) => {
+    if (!suggestions.has(word)
+      && suggestions.size < MAX_SPELLING_SUGGESTIONS
+      && lookupMs < MAX_SPELLING_SUGGESTION_MS) {
+      const started = Date.now();
+      suggestions.set(word, getSpellers()[0].suggest(word).slice(0, 3));
+      lookupMs += Date.now() - started;
+    }
+    return suggestions.get(word) || [];
+  };
+
+  tokens.forEach((token) => {
+    if (Object.prototype.hasOwnProperty.call(MISSPELLINGS, token.lower)) {
+      issues.push(issue(
+        'spelling',
+        'misspelling',
+        `"${token.word}" is misspelled`,
+        text,
+        token.start,
+        token.end,
+        matchCase(token.word, MISSPELLINGS[token.lower])
+      ));
+      return;
+    }
+    if (/[A-Z\d]/.test(token.word)) return;
+
+    let offset = token.start;
+    normalizeApostrophes(token.word).split('-').forEach((part) => {
+      const start = offset;
+      offset += part.length + 1;
+      const word = part.replace(/'s$/, '');
+      if (!/[a-z]/.test(word) || isKnownWord(part) || isKnownWord(word)) return;
+
+      const options = suggestFor(word);
+      if (options.length === 0) return;
+      const found = issue(
+        'spelling',
+        'unknown-word',
+        options.length === 1 ? `"${word}" is misspelled` : `"${word}" is not in the dictionary`,
+        text,
+        start,
+        start + word.length,
+        options.length === 1 ? options[0] : undefined
+      );
+      found.hint = `Did you mean ${listOptions(options)}?`;
+      issues.push(found);
+    });
+  });
+
+  return issues;
+};
+
+const checkRepeatedWords = (text, tokens) => {
+  const issues = [];
+  for (let i = 1; i < tokens.length; i++) {
+    const prev = tokens[i - 1];
+    const cur = tokens[i];
+    if (cur.lower === prev.lower && !ALLOWED_REPEATS.has(cur.lower) && onlyWhitespaceBetween(text, prev, cur)) {
+      issues.push(issue('repetition', 'repeated-word', `"${cur.word}" is repeated`, text, prev.start, cur.end, prev.word));
+    }
+  }
+  return issues;
+};
+
+const checkArticles = (text, tokens) => {
+  const issues = [];
+  for (let i = 0; i < tokens.length - 1; i++) {
+    const article = tokens[i];
+    const next = tokens[i + 1];
+    if ((article.lower !== 'a' && article.lower !== 'an') || !onlyWhitespaceBetween(text, article, next)) continue;
+
+    const vowelSound = startsWithVowelSound(next.word);
+    if (article.lower === 'a' && vowelSound) {
+      issues.push(issue('article', 'a-an', `Use "an" before "${next.word}"`, text, article.start, article.end, matchCase(article.word, 'an')));
+    } else if (article.lower === 'an' && !vowelSound) {
+      issues.push(issue('article', 'a-an', `Use "a" before "${next.word}"`, text, article.start, article.end, matchCase(article.word, 'a')));
+    }
+  }
+  return issues;
+};
+
+// The verb after tokens[i], skipping one adverb ("they often has"), or null
+const verbAfter = (text, tokens, i) => {
+  let j = i + 1;
+  if (tokens[j] && INTERVENING_ADVERBS.has(tokens[j].lower) && onlyWhitespaceBetween(text, tokens[j - 1], tokens[j])) j++;
+  const verb = tokens[j];
+  return verb && onlyWhitespaceBetween(text, tokens[j - 1], verb) ? verb : null;
+};
+
+// Subjects are a pronoun ("he have") or a determiner and noun ("these
+// ideas is"), checked against the verb that follows
+const checkAgreement = (text, tokens) => {
+  const issues = [];
+  const flag = (subject, verb, fix) => issues.push(issue(
+    'agreement',
+    'subject-verb',
+    `"${subject}" does not agree with "${verb.word}"`,
+    text,
+    verb.start,
+    verb.end,
+    matchCase(verb.word, fix)
+  ));
+
+  for (let i = 0; i < tokens.length - 1; i++) {
+    const prev = tokens[i - 1];
+    if (prev && NON_SUBJECT_CONTEXT.has(prev.lower)) continue;
+    const subject = tokens[i];
+
+    const rule = AGREEMENT_RULES.find(r => r.subjects.includes(subject.lower));
+    if (rule) {
+      const verb = verbAfter(text, tokens, i);
+      if (verb && rule.fixes[verb.lower]) flag(subject.word, verb, rule.fixes[verb.lower]);
+      continue;
+    }
+
+    const determinerRule = DETERMINER_RULES.find(r => r.determiners.includes(subject.lower));
+    const noun = tokens[i + 1];
+    if (!determinerRule || !noun || !onlyWhitespaceBetween(text, subject, noun) || NUMBER_NEUTRAL_NOUNS.has(noun.lower)) continue;
+    const verb = verbAfter(text, tokens, i + 1);
+    if (verb && determinerRule.fixes[verb.lower]) {
+      flag(`${subject.word} ${noun.word}`, verb, determinerRule.fixes[verb.lower]);
+    }
+  }
+  return issues;
+};
+
+const checkCapitalization = (text, tokens, sentenceStarts) => {
+  const issues = [];
+  tokens.forEach((token) => {
+    if (token.word === 'i') {
+      issues.push(issue('capitalization', 'pronoun-i', 'The pronoun "I" is always capitalized', text, token.start, token.end, 'I'));
+      return;
+    }
+    if (/^[a-z]/.test(token.word) && sentenceStarts.has(token.start)) {
+      issues.push(issue(
+        'capitalization',
+        'sentence-start',
+        'Sentences should start with a capital letter',
+        text,
+        token.start,
+        token.end,
+        token.word[0].toUpperCase() + token.word.slice(1)
+      ));
+    }
+  });
+  return issues;
+};
+
+const checkConfusedWords = (text, tokens) => {
+  const issues = [];
+  tokens.forEach((token, i) => {
+    const prev = i > 0 ? tokens[i - 1].lower : '';
+    const next = i < tokens.length - 1 ? tokens[i + 1].lower : '';
+    CONFUSED_WORD_RULES
+      .filter(rule => rule.word === token.lower && rule.when(prev, next))
+      .forEach((rule) => {
+        issues.push(issue('usage', `confused-${rule.word}`, rule.message, text, token.start, token.end, matchCase(token.word, rule.replacement)));
+      });
+  });
+  return issues;
+};
+
+const checkCommaSplices = (text) => {
+  const issues = [];
+  let match;
+  COMMA_SPLICE_PATTERN.lastIndex = 0;
+  while ((match = COMMA_SPLICE_PATTERN.exec(text)) !== null) {
+    const clauseStart = Math.max(
+      text.lastIndexOf(',', match.index - 1),
+      text.slice(0, match.index).search(/[.!?][^.!?]*$/)
+    ) + 1;
+    const clause = text.slice(clauseStart, match.index).trim();
+    const clauseWords = clause.toLowerCase().split(/\s+/).filter(w => w);
+    if (clauseWords.length < 3 || SUBORDINATORS.has(clauseWords[0])) continue;
+
+    issues.push(issue(
+      'punctuation',
+      'comma-splice',
+      'Possible comma splice: two independent clauses joined only by a comma',
+      text,
+      match.index,
+      match.index + 1,
+      ';'
+    ));
+  }
+  return issues;
+};
+
+const checkSpacing = (text) => {
+  const issues = [];
+  const pattern = /(?<=\S) {2,}(?=\S)/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    issues.push(issue('spacing', 'double-space', 'Use a single space between words', text, match.index, match.index + match[0].length, ' '));
+  }
+  return issues;
+};
+
+const checkFinalPunctuation = (text, tokens) => {
+  const trimmed = text.trimEnd();
+  const last = tokens[tokens.length - 1];
+  if (!last || /[.!?]["')\]]?$/.test(trimmed) || last.end !== trimmed.length) return [];
+  return [issue('punctuation', 'final-punctuation', 'End the essay with terminal punctuation', text, last.start, last.end, `${last.word}.`)];
+};
+
+// Accepts a precomputed analysis from @orbit/text-analysis so callers that
+// already segmented the essay don't tokenize it twice.
+const checkGrammar = (text, analysis = analyzeText(text)) => {
+  const tokens = toWordTokens(analysis);
+  // A lowercase word at one of these offsets needs capitalizing
+  const sentenceStarts = new Set(analysis.sentences.map(s => s.start));
+  const issues = [
+    ...checkSpelling(text, tokens),
+    ...checkRepeatedWords(text, tokens),
+    ...checkArticles(text, tokens),
+    ...checkAgreement(text, tokens),
+    ...checkCapitalization(text, tokens, sentenceStarts),
+    ...checkConfusedWords(text, tokens),
+    ...checkCommaSplices(text),
+    ...checkSpacing(text),
+    ...checkFinalPunctuation(text, tokens)
+  ].sort((a, b) => a.start - b.start || a.end - b.end);
+
+  const counts = CATEGORIES.reduce((acc, category) => {
+    acc[category] = issues.filter(i => i.category === category).length;
+    return acc;
+  }, {});
+
+  return {
+    issues,
+    counts,
+    issueCount: issues.length,
+    errorsPer100Words: tokens.length ? Math.round((issues.length / tokens.length) * 1000) / 10 : 0
+  };
+};
+
+module.exports = {
+  checkGrammar,
+  CATEGORIES
+};
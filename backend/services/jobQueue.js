@@ -0,0 +1,166 @@
+// MongoDB-backed job queue. Jobs are claimed with an atomic
+// findOneAndUpdate, so any number of server processes can work the same
+// collection without running a job twice. A failed job is retried with
+// exponential backoff until it runs out of attempts; a job left 'running' by a
+// process that died is picked up again once it goes stale.
+//
+// The Job model needs: status ('queued' | 'running' | 'done' | 'failed'),
+// attempts, maxAttempts, runAt, startedAt, finishedAt and lastError.
+
+const readQueueConfig = (env = process.env) => ({
+  concurrency: parseInt(env.EVALUATION_CONCURRENCY, 10) || 2,
+  maxAttempts: parseInt(env.EVALUATION_MAX_ATTEMPTS, 10) || 3,
+  retryDelayMs: parseInt(env.EVALUATION_RETRY_DELAY_MS, 10) || 5000,
+  pollIntervalMs: parseInt(env.EVALUATION_POLL_INTERVAL_MS, 10) || 1000,
+  staleAfterMs: parseInt(env.EVALUATION_STALE_AFTER_MS, 10) || 10 * 60 * 1000
+});
+
+// `handler(job)` does the work; throwing retries the job unless the error is
+// marked `permanent`. `onFailed(job, error)` runs once a job has failed for good.
+const createJobQueue = ({
+  Job,
+  handler,
+  onFailed = async () => {},
+  onError = () => {},
+  concurrency,
+  maxAttempts,
+  retryDelayMs,
+  pollIntervalMs,
+  staleAfterMs
+}) => {
+  let running = 0;
+  let polling = false;
+  let timer = null;
+  let staleTimer = null;
+
+  const claim = () => Job.findOneAndUpdate(
+    { status: 'queued', runAt: { $lte: new Date() } },
+    { $set: { status: 'running', startedAt: new Date() }, $inc: { attempts: 1 } },
+    { sort: { runAt: 1 }, new: true }
+  );
+
+  const settle = async (job, error) => {
+    if (!error) {
+      await Job.updateOne({ _id: job._id }, { $set: { status: 'done', finishedAt: new Date(), lastError: null } });
+      return;
+    }
+
+    if (!error.permanent && job.attempts < job.maxAttempts) {
+      const delay = retryDelayMs * 2 ** (job.attempts - 1);
+      await Job.updateOne({ _id: job._id }, {
+        $set: { status: 'queued', runAt: new Date(Date.now() + delay), lastError: error.message }
+      });
+      return;
+    }
+
+    await Job.updateOne({ _id: job._id }, {
+      $set: { status: 'failed', finishedAt: new Date(), lastError: error.message }
+    });
+    await onFailed(job, error);
+  };
+
+  const run = async (job) => {
+    running++;
+    try {
+      let failure = null;
+      try {
+        await handler(job);
+      } catch (error) {
+        failure = error;
+        onError(error, job);
+      }
+      await settle(job, failure);
+    } catch (error) {
+      onError(error, job);
+    } finally {
+      running--;
+      poll();
+    }
+  };
+
+  // Claims jobs until the concurrency limit is reached or none are due
+  const poll = async () => {
+    if (!timer || polling) return;
+    polling = true;
+    try {
+      while (timer && running < concurrency) {
+        const job = await claim();
+        if (!job) break;
+        run(job);
+      }
+    } catch (error) {
+      onError(error);
+    } finally {
+      polling = false;
+    }
+  };
+
+  // Jobs whose worker died mid-run go back in the queue, or fail if that was
+  // their last attempt
+  const recoverStale = async () => {
+    const stale = { status: 'running', startedAt: { $lt: new Date(Date.now() - staleAfterMs) } };
+    const interrupted = 'Worker stopped before the job finished';
+    await Job.updateMany(
+      { ...stale, $expr: { $lt: ['$attempts', '$maxAttempts'] } },
+      { $set: { status: 'queued', runAt: new Date(), lastError: interrupted } }
+    );
+    const exhausted = await Job.find({ ...stale, $expr: { $gte: ['$attempts', '$maxAttempts'] } });
+    for (const job of exhausted) {
+      await settle(job, Object.assign(new Error(interrupted), { permanent: true }));
+    }
+  };
+
+  const enqueue = async (fields) => {
+    const job = await Job.create({ ...fields, status: 'queued', attempts: 0, maxAttempts, runAt: new Date() });
+    poll();
+    return job;
+  };
+
+  const start = async () => {
+    if (timer) return;
+    timer = setInterval(poll, pollIntervalMs);
+    timer.unref();
+    staleTimer = setInterval(() => recoverStale().catch(onError), staleAfterMs / 2);
+    staleTimer.unref();
+    await recoverStale();
+    poll();
+  };
+
+  // Stops claiming new jobs; the ones in progress run on. Jobs enqueued from
+  // here on wait for the next start(), in this process or another.
+  const pause = () => {
+    clearInterval(timer);
+    clearInterval(staleTimer);
+    timer = null;
+    staleTimer = null;
+  };
+
+  // Resolves once no job is in progress, counting one a poll is still claiming
+  const drain = async () => {
+    while (running > 0 || polling) {
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+  };
+
+  // Stops claiming new jobs and waits for the ones in progress
+  const stop = async () => {
+    pause();
+    await drain();
+  };
+
+  return {
+    enqueue,
+    start,
+    pause,
+    drain,
+    stop,
+    get active() {
+      return running;
+    }
+  };
+};
+
+module.exports = {
+  readQueueConfig,
+  createJobQueue
+};
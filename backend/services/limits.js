@@ -0,0 +1,95 @@
+// Per-essay length limits. A limit counts words or characters and is either
+// hard (an application portal will refuse the essay) or soft (a guideline),
+// which decides how heavily an overrun is penalized.
+
+const { LIMIT_UNITS, LIMIT_MODES } = require('../models/constants');
+
+const PENALTIES = {
+  hard: { over: -25, under: -12 },
+  soft: { over: -6, under: -6 }
+};
+
+const toBound = (value) => {
+  const number = Number(value);
+  return value !== null && value !== '' && value !== undefined && Number.isFinite(number) && number >= 0
+    ? Math.floor(number)
+    : null;
+};
+
+// Cleans limits from a request. Returns null when no bound is set; throws
+// when the bounds contradict each other.
+const normalizeLimits = (limits) => {
+  if (!limits || typeof limits !== 'object') return null;
+  const min = toBound(limits.min);
+  const max = toBound(limits.max);
+  if (min === null && max === null) return null;
+  if (min !== null && max !== null && min > max) {
+    throw new Error('Minimum limit cannot be greater than the maximum');
+  }
+  return {
+    unit: LIMIT_UNITS.includes(limits.unit) ? limits.unit : 'words',
+    min,
+    max,
+    mode: LIMIT_MODES.includes(limits.mode) ? limits.mode : 'soft'
+  };
+};
+
+// Catalog word limits are the school's own, so they are enforced as hard limits
+const limitsFromProgram = (program) => {
+  const wordLimit = program && program.wordLimit;
+  if (!wordLimit) return null;
+  return normalizeLimits({ unit: 'words', min: wordLimit.min, max: wordLimit.max, mode: 'hard' });
+};
+
+// "250-650 word limit", "650-word maximum" or "250-word minimum"
+const describeRange = ({ min, max, unit }) => {
+  const singular = unit.slice(0, -1);
+  if (min !== null && max !== null) return `${min}-${max} ${singular} limit`;
+  if (max !== null) return `${max}-${singular} maximum`;
+  return `${min}-${singular} minimum`;
+};
+
+// Compares the essay's counts with its limits and describes the result as a
+// scoring signal for the structure dimension.
+const checkLimits = ({ wordCount, charCount }, limits) => {
+  if (!limits) return null;
+  const count = limits.unit === 'characters' ? charCount : wordCount;
+  const range = describeRange(limits);
+
+  let status = 'within';
+  let difference = 0;
+  if (limits.max !== null && count > limits.max) {
+    status = 'over';
+    difference = count - limits.max;
+  } else if (limits.min !== null && count < limits.min) {
+    status = 'under';
+    difference = limits.min - count;
+  }
+
+  let signal;
+  if (status === 'within') {
+    signal = { signal: `Length of ${count} ${limits.unit} fits the ${range}`, impact: 10 };
+  } else if (status === 'over') {
+    signal = limits.mode === 'hard'
+      ? { signal: `${difference} ${limits.unit} over the hard ${range}; portals will reject it as written`, impact: PENALTIES.hard.over }
+      : { signal: `${difference} ${limits.unit} over the ${range}`, impact: PENALTIES.soft.over };
+  } else {
+    signal = limits.mode === 'hard'
+      ? { signal: `${difference} ${limits.unit} short of the required ${range}`, impact: PENALTIES.hard.under }
+      : { signal: `${difference} ${limits.unit} short of the ${range}`, impact: PENALTIES.soft.under };
+  }
+
+  return {
+    ...limits,
+    count,
+    status,
+    difference,
+    signal
+  };
+};
+
+module.exports = {
+  normalizeLimits,
+  limitsFromProgram,
+  checkLimits
+};
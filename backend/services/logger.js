@@ -0,0 +1,77 @@
+// Structured logger: one JSON object per line on stdout. Lines below
+// LOG_LEVEL (default 'info') are dropped. Fields set with withLogContext —
+// the request id, for one — are added to every line logged inside it, however
+// deep in the call stack.
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LOG_LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40
+};
+
+const context = new AsyncLocalStorage();
+
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  ...(error.code !== undefined && { code: error.code }),
+  stack: error.stack
+});
+
+const serializeFields = (fields) => Object.keys(fields).reduce((serialized, key) => {
+  const value = fields[key];
+  serialized[key] = value instanceof Error ? serializeError(value) : value;
+  return serialized;
+}, {});
+
+const createLogger = ({ level, bindings = {}, write = line => process.stdout.write(`${line}\n`) } = {}) => {
+  // Read on every call so LOG_LEVEL from .env applies once dotenv has loaded it
+  const threshold = () => LOG_LEVELS[level || process.env.LOG_LEVEL] || LOG_LEVELS.info;
+
+  const enabled = (lineLevel) => LOG_LEVELS[lineLevel] >= threshold();
+
+  const format = (lineLevel, message, fields = {}) => JSON.stringify({
+    time: new Date().toISOString(),
+    level: lineLevel,
+    message,
+    ...bindings,
+    ...context.getStore(),
+    ...serializeFields(fields)
+  });
+
+  const log = (lineLevel) => (message, fields) => {
+    if (enabled(lineLevel)) write(format(lineLevel, message, fields));
+  };
+
+  return {
+    debug: log('debug'),
+    info: log('info'),
+    warn: log('warn'),
+    error: log('error'),
+    enabled,
+    format,
+    child: (more) => createLogger({ level, bindings: { ...bindings, ...more }, write })
+  };
+};
+
+const logger = createLogger();
+
+// Runs fn with fields added to the log context of everything it calls
+const withLogContext = (fields, fn) => context.run({ ...context.getStore(), ...fields }, fn);
+
+// Adds fields to the current context, e.g. the user once a request is authenticated
+const addLogContext = (fields) => {
+  const store = context.getStore();
+  if (store) Object.assign(store, fields);
+};
+
+module.exports = {
+  LOG_LEVELS,
+  createLogger,
+  logger,
+  withLogContext,
+  addLogContext
+};
@@ -0,0 +1,139 @@
+// Prometheus metrics, served at /metrics. Everything is registered on one
+// registry with the orbit_ prefix, alongside Node's default process metrics.
+
+const mongoose = require('mongoose');
+const client = require('prom-client');
+
+const PREFIX = 'orbit_';
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: PREFIX });
+
+const httpRequestsTotal = new client.Counter({
+  name: `${PREFIX}http_requests_total`,
+  help: 'HTTP requests served, by route pattern and status code',
+  labelNames: ['method', 'route', 'status_code'],
+  registers: [register]
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: `${PREFIX}http_request_duration_seconds`,
+  help: 'HTTP request latency, by route pattern and status code',
+  labelNames: ['method', 'route', 'status_code'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [register]
+});
+
+const errorsTotal = new client.Counter({
+  name: `${PREFIX}errors_total`,
+  help: 'Errors, by where they happened: request (5xx responses), evaluation or database',
+  labelNames: ['source'],
+  registers: [register]
+});
+
+const evaluationsTotal = new client.Counter({
+  name: `${PREFIX}evaluations_total`,
+  help: 'Completed evaluations, by essay level and the provider that scored them',
+  labelNames: ['level', 'provider'],
+  registers: [register]
+});
+
+const evaluationDuration = new client.Histogram({
+  name: `${PREFIX}evaluation_duration_seconds`,
+  help: 'Time to evaluate an essay, model call included',
+  labelNames: ['level', 'provider'],
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60],
+  registers: [register]
+});
+
+const evaluationStageDuration = new client.Histogram({
+  name: `${PREFIX}evaluation_stage_duration_seconds`,
+  help: 'Time spent in each heuristic analyzer',
+  labelNames: ['stage'],
+  buckets: [0.0005, 0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1],
+  registers: [register]
+});
+
+const evaluationScore = new client.Histogram({
+  name: `${PREFIX}evaluation_score`,
+  help: 'Overall scores given, by essay level',
+  labelNames: ['level'],
+  buckets: [10, 20, 30, 40, 50, 60, 70, 80, 90, 100],
+  registers: [register]
+});
+
+// Read from mongoose on every scrape
+new client.Gauge({
+  name: `${PREFIX}mongodb_connection_state`,
+  help: 'Mongoose connection state: 0 disconnected, 1 connected, 2 connecting, 3 disconnecting',
+  registers: [register],
+  collect() {
+    this.set(mongoose.connection.readyState);
+  }
+});
+
+// Labels requests by the route that matched, so ids in paths don't create a
+// series per document
+const routeLabel = (req) => {
+  if (!req.route) return 'unmatched';
+  return req.route.path === '/' && req.baseUrl ? req.baseUrl : `${req.baseUrl}${req.route.path}`;
+};
+
+const metricsMiddleware = (req, res, next) => {
+  const endTimer = httpRequestDuration.startTimer();
+  res.on('finish', () => {
+    const labels = { method: req.method, route: routeLabel(req), status_code: res.statusCode };
+    endTimer(labels);
+    httpRequestsTotal.inc(labels);
+    if (res.statusCode >= 500) errorsTotal.inc({ source: 'request' });
+  });
+  next();
+};
+
+const recordEvaluation = ({ level, provider, overallScore, durationMs }) => {
+  const labels = { level: level || 'undergrad', provider };
+  evaluationsTotal.inc(labels);
+  evaluationDuration.observe(labels, durationMs / 1000);
+  if (typeof overallScore === 'number') {
+    evaluationScore.observe({ level: labels.level }, overallScore);
+  }
+};
+
+const recordEvaluationStage = (stage, durationMs) => {
+  evaluationStageDuration.observe({ stage }, durationMs / 1000);
+};
+
+const recordError = (source) => {
+  errorsTotal.inc({ source });
+};
+
+// Serves the registry; with a `token` (METRICS_TOKEN), scrapers must send it
+// as a bearer token
+const createMetricsHandler = ({ token }) => async (req, res) => {
+  if (token && req.get('Authorization') !== `Bearer ${token}`) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required'
+    });
+  }
+
+  try {
+    res.set('Content-Type', register.contentType);
+    res.send(await register.metrics());
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to collect metrics',
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  register,
+  metricsMiddleware,
+  createMetricsHandler,
+  recordEvaluation,
+  recordEvaluationStage,
+  recordError
+};
@@ -0,0 +1,111 @@
+// Measures how closely an essay follows the prompt it answers. The prompt is
+// split into its sub-questions and each one is checked for the key terms the
+// essay reuses, so a multi-part prompt reports exactly which parts are missing.
+
+const { tokenize, splitSentences } = require('@orbit/text-analysis');
+
+// Function words plus the instruction vocabulary prompts are written in
+const IGNORED_TERMS = new Set([
+  'the', 'a', 'an', 'and', 'or', 'but', 'of', 'to', 'in', 'on', 'at', 'for', 'with',
+  'is', 'are', 'was', 'were', 'be', 'been', 'it', 'this', 'that', 'these', 'those',
+  'i', 'my', 'me', 'we', 'our', 'you', 'your', 'yours', 'yourself', 'he', 'she', 'they',
+  'them', 'his', 'her', 'their', 'as', 'by', 'from', 'have', 'has', 'had', 'not', 'so',
+  'if', 'do', 'did', 'does', 'will', 'would', 'can', 'could', 'should', 'may', 'might',
+  'how', 'what', 'why', 'when', 'where', 'which', 'who', 'whom', 'whose', 'about',
+  'into', 'any', 'some', 'such', 'each', 'other', 'more', 'most', 'there', 'then',
+  'than', 'also', 'both', 'all', 'following', 'please', 'describe', 'explain',
+  'discuss', 'tell', 'us', 'share', 'essay', 'answer', 'respond', 'response', 'question', 'prompt', 'word', 'words',
+  'limit', 'maximum', 'minimum', 'using', 'use', 'example', 'examples', 'specific'
+]);
+
+const MAX_PARTS = 8;
+
+// Enumerations inside a sentence: "(1) ... (2) ...", "a) ... b) ..."
+const ENUMERATION = /\s*(?:\(\d+\)|\([a-z]\)|\b\d+\)|\b[a-z]\))\s+/i;
+
+// Light suffix stripping so "leading", "leader" and "leads" meet halfway
+const stem = (word) => {
+  let w = word.replace(/['’]s$/, '');
+  if (w.length > 4 && /ies$/.test(w)) return `${w.slice(0, -3)}y`;
+  if (w.length > 5 && /ing$/.test(w)) return w.slice(0, -3);
+  if (w.length > 4 && /ed$/.test(w)) return w.slice(0, -2);
+  if (w.length > 4 && /er$/.test(w)) return w.slice(0, -2);
+  if (w.length > 4 && /ly$/.test(w)) return w.slice(0, -2);
+  if (w.length > 3 && /[^s]s$/.test(w)) w = w.slice(0, -1);
+  return w;
+};
+
+const contentTerms = (text) => {
+  const terms = new Map();
+  tokenize(text)
+    .filter(token => token.type === 'word')
+    .map(token => token.text.toLowerCase())
+    .filter(word => word.length > 2 && !IGNORED_TERMS.has(word))
+    .forEach((word) => {
+      const key = stem(word);
+      if (!terms.has(key)) terms.set(key, word);
+    });
+  return terms;
+};
+
+const splitPromptParts = (prompt) => splitSentences(prompt)
+  .flatMap(sentence => sentence.text.split(/;\s+/))
+  .flatMap(clause => clause.split(ENUMERATION))
+  .map(part => part.trim())
+  .filter(part => contentTerms(part).size > 0)
+  .slice(0, MAX_PARTS);
+
+// A part counts as addressed when the essay uses at least half of its key
+// terms, or three of them for long sub-questions.
+const isCovered = (matched, total) => matched / total >= 0.5 || matched >= 3;
+
+const analyzePromptAdherence = (prompt, essayText) => {
+  if (!prompt || !prompt.trim()) return null;
+
+  const essayTerms = contentTerms(essayText);
+  const promptTerms = contentTerms(prompt);
+  const matchedPromptTerms = [...promptTerms.keys()].filter(key => essayTerms.has(key));
+  const overlap = promptTerms.size ? Math.round(matchedPromptTerms.length / promptTerms.size * 100) : 0;
+
+  const parts = splitPromptParts(prompt).map((text) => {
+    const terms = contentTerms(text);
+    const matchedTerms = [];
+    const missingTerms = [];
+    terms.forEach((word, key) => (essayTerms.has(key) ? matchedTerms : missingTerms).push(word));
+    return {
+      text,
+      covered: isCovered(matchedTerms.length, terms.size),
+      coverage: Math.round(matchedTerms.length / terms.size * 100),
+      matchedTerms,
+      missingTerms
+    };
+  });
+
+  const signals = [];
+  if (overlap >= 50) {
+    signals.push({ signal: `Stays on the prompt's topic (${overlap}% of its key terms addressed)`, impact: 6 });
+  } else if (overlap < 25) {
+    signals.push({ signal: `Uses only ${overlap}% of the prompt's key terms; the essay may be off topic`, impact: -10 });
+  }
+
+  // Single-part prompts are already judged by the overall overlap. `gaps`
+  // holds the per-part signals so callers can report every one of them.
+  const gaps = parts.length > 1
+    ? parts
+      .filter(part => !part.covered)
+      .map(part => ({ signal: `Prompt part not addressed: "${part.text}"`, impact: -5 }))
+    : [];
+  signals.push(...gaps);
+
+  return {
+    overlap,
+    parts,
+    signals,
+    gaps
+  };
+};
+
+module.exports = {
+  analyzePromptAdherence,
+  splitPromptParts
+};
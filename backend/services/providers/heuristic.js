@@ -0,0 +1,8 @@
+const { evaluateEssayAI } = require('../scoring');
+
+const createHeuristicProvider = () => ({
+  name: 'heuristic',
+  evaluate: async (text, options = {}) => evaluateEssayAI(text, options.level, options)
+});
+
+module.exports = { createHeuristicProvider };
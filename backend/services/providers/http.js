@@ -0,0 +1,68 @@
+const http = require('http');
+const https = require('https');
+
+// Minimal JSON POST helper built on the core http modules so providers work
+// without extra dependencies and can be pointed at a local stub server.
+// An optional AbortSignal cancels the request; a response body larger than
+// maxBytes is abandoned rather than buffered.
+const postJson = (url, body, {
+  headers = {},
+  timeoutMs = 30000,
+  maxBytes = 1024 * 1024,
+  signal
+} = {}) => new Promise((resolve, reject) => {
+  const target = new URL(url);
+  const transport = target.protocol === 'https:' ? https : http;
+  const payload = JSON.stringify(body);
+
+  const req = transport.request(target, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(payload),
+      ...headers
+    }
+  }, (res) => {
+    const chunks = [];
+    let received = 0;
+    res.on('data', (chunk) => {
+      received += chunk.length;
+      if (received > maxBytes) {
+        res.destroy();
+        reject(new Error(`Provider response exceeded ${maxBytes} bytes`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    // Cancelling or timing out mid-response destroys the request, which
+    // surfaces here
+    res.on('error', reject);
+    res.on('end', () => {
+      const raw = Buffer.concat(chunks).toString('utf8');
+      if (res.statusCode < 200 || res.statusCode >= 300) {
+        return reject(new Error(`Provider responded with HTTP ${res.statusCode}`));
+      }
+      try {
+        resolve(JSON.parse(raw));
+      } catch (error) {
+        reject(new Error('Provider returned invalid JSON'));
+      }
+    });
+  });
+
+  req.setTimeout(timeoutMs, () => {
+    req.destroy(new Error(`Provider timed out after ${timeoutMs}ms`));
+  });
+  req.on('error', reject);
+  if (signal) {
+    if (signal.aborted) {
+      req.destroy(new Error('Request cancelled'));
+    } else {
+      signal.addEventListener('abort', () => req.destroy(new Error('Request cancelled')), { once: true });
+    }
+  }
+  req.write(payload);
+  req.end();
+});
+
+module.exports = { postJson };
@@ -0,0 +1,197 @@
+const { performance } = require('perf_hooks');
+const { EVALUATION_STAGES, evaluationStages, computeOverallScore } = require('../scoring');
+const { createHeuristicProvider } = require('./heuristic');
+const { createOpenAIProvider } = require('./openai');
+const { createOllamaProvider } = require('./ollama');
+const { anchorSuggestions } = require('../suggestions');
+const { validateResults, pickResults } = require('./schema');
+const { logger } = require('../logger');
+const { recordEvaluationStage } = require('../metrics');
+
+const DEFAULT_BASE_URLS = {
+  openai: 'https://api.openai.com/v1',
+  ollama: 'http://localhost:11434'
+};
+
+const DEFAULT_MODELS = {
+  openai: 'gpt-4o-mini',
+  ollama: 'llama3.1'
+};
+
+const readProviderConfig = (env = process.env) => {
+  const name = (env.EVALUATION_PROVIDER || 'heuristic').toLowerCase();
+  return {
+    name,
+    baseUrl: env.LLM_BASE_URL || DEFAULT_BASE_URLS[name],
+    apiKey: env.LLM_API_KEY,
+    model: env.LLM_MODEL || DEFAULT_MODELS[name],
+    timeoutMs: parseInt(env.LLM_TIMEOUT_MS, 10) || 30000,
+    maxResponseBytes: parseInt(env.LLM_MAX_RESPONSE_BYTES, 10) || 1024 * 1024
+  };
+};
+
+const createProvider = (config = readProviderConfig()) => {
+  switch (config.name) {
+    case 'heuristic':
+      return createHeuristicProvider();
+    case 'openai':
+      return createOpenAIProvider(config);
+    case 'ollama':
+      return createOllamaProvider(config);
+    default:
+      throw new Error(`Unknown evaluation provider "${config.name}"`);
+  }
+};
+
+const elapsed = (started) => Math.round((performance.now() - started) * 100) / 100;
+
+// Rejections carry the same name as a cancelled fetch
+const throwIfCancelled = (signal) => {
+  if (signal && signal.aborted) {
+    const error = new Error('Evaluation cancelled');
+    error.name = 'AbortError';
+    throw error;
+  }
+};
+
+// Grammar fixes from the heuristic checker are exact and can be applied as
+// they are, so model suggestions overlapping one are dropped to keep every
+// highlight distinct. Model suggestions that couldn't be anchored go last.
+const mergeSuggestions = (grammarFixes, modelSuggestions) => {
+  const anchored = [...grammarFixes];
+  const unanchored = [];
+  modelSuggestions.forEach((suggestion) => {
+    if (!Number.isInteger(suggestion.start)) {
+      unanchored.push(suggestion);
+    } else if (!anchored.some(other => suggestion.start < other.end && other.start < suggestion.end)) {
+      anchored.push(suggestion);
+    }
+  });
+  return [...anchored.sort((a, b) => a.start - b.start), ...unanchored];
+};
+
+// Merges the provider's result into the heuristic one and guarantees a
+// schema-valid result. Word and character counts, the per-dimension factors
+// and grammar fixes always come from the heuristic engine; when the model
+// errors or returns malformed JSON the full heuristic result is used. The
+// overall score is recomputed from the final breakdown, so limit penalties
+// and a catalog `program`'s weights apply either way. Cancellation is never
+// treated as a model failure.
+const completeEvaluation = async (text, options, heuristic, provider) => {
+  if (provider.name === 'heuristic') {
+    return { ...heuristic, provider: 'heuristic' };
+  }
+
+  const started = performance.now();
+
+  try {
+    const modelResults = await provider.evaluate(text, options);
+    logger.info('Evaluation model finished', { provider: provider.name, durationMs: elapsed(started) });
+    const errors = validateResults(modelResults);
+    if (errors.length > 0) {
+      throw new Error(`Model output failed validation: ${errors.join('; ')}`);
+    }
+
+    const picked = pickResults(modelResults);
+    // Limit overruns are checked locally so the mode's penalty applies to model scores too
+    const limitCheck = heuristic.limitCheck;
+    if (limitCheck && limitCheck.status !== 'within') {
+      picked.breakdown.structure = Math.max(0, picked.breakdown.structure + limitCheck.impact);
+      picked.improvements = [limitCheck.message, ...picked.improvements];
+    }
+    return {
+      wordCount: heuristic.wordCount,
+      charCount: heuristic.charCount,
+      estimatedReadTime: heuristic.estimatedReadTime,
+      grammar: heuristic.grammar,
+      readabilityGrade: heuristic.readabilityGrade,
+      readabilityMetrics: heuristic.readabilityMetrics,
+      limitCheck,
+      promptAdherence: heuristic.promptAdherence,
+      ...picked,
+      factors: heuristic.factors,
+      // Prompt gaps are measured locally and reported whatever the model says
+      improvements: heuristic.promptAdherence
+        ? [...heuristic.promptAdherence.gaps, ...picked.improvements]
+        : picked.improvements,
+      overallScore: computeOverallScore(picked.breakdown, options.program && options.program.rubricWeights),
+      suggestions: mergeSuggestions(
+        heuristic.suggestions.filter(suggestion => suggestion.category),
+        anchorSuggestions(text, picked.suggestions)
+      ),
+      provider: provider.name
+    };
+  } catch (error) {
+    throwIfCancelled(options.signal);
+    logger.warn('Evaluation provider failed, using heuristic', {
+      provider: provider.name,
+      durationMs: elapsed(started),
+      error
+    });
+    return {
+      ...heuristic,
+      provider: 'heuristic',
+      fallbackReason: error.message
+    };
+  }
+};
+
+// Runs the heuristic analyzers in order, calling onStage with each partial
+// result, and logs and records how long each analyzer took. Time spent in
+// onStage is not counted.
+const runAnalyzers = async (text, options, onStage) => {
+  const durations = {};
+  const run = evaluationStages(text, options.level, options);
+  let started = performance.now();
+  let step = run.next();
+  while (!step.done) {
+    durations[step.value.stage] = elapsed(started);
+    recordEvaluationStage(step.value.stage, durations[step.value.stage]);
+    if (onStage) await onStage(step.value);
+    started = performance.now();
+    step = run.next();
+  }
+  
+  logger.info('Evaluation analyzers finished', {
+    essayLevel: options.level,
+    wordCount: step.value.wordCount,
+    durationMs: Math.round(Object.values(durations).reduce((sum, ms) => sum + ms, 0) * 100) / 100,
+    stages: durations
+  });
+  return step.value;
+};
+
+// Runs the configured provider on top of the heuristic engine.
+const evaluateEssay = async (text, options = {}, provider = createProvider()) =>
+  completeEvaluation(text, options, await runAnalyzers(text, options), provider);
+
+const nextTick = () => new Promise(resolve => setImmediate(resolve));
+
+// Same result as evaluateEssay, but reports each analyzer as it completes:
+// onProgress receives { stage, completed, total, ...partial result }. The
+// event loop gets a turn between analyzers so progress is flushed to the
+// client as it happens and options.signal can cancel the run.
+const streamEvaluation = async (text, options = {}, provider = createProvider(), onProgress = () => {}) => {
+  const total = EVALUATION_STAGES.length + (provider.name === 'heuristic' ? 0 : 1);
+  let completed = 0;
+
+  const heuristic = await runAnalyzers(text, options, async (stage) => {
+    onProgress({ ...stage, completed: ++completed, total });
+    await nextTick();
+    throwIfCancelled(options.signal);
+  });
+
+  const results = await completeEvaluation(text, options, heuristic, provider);
+  throwIfCancelled(options.signal);
+  if (provider.name !== 'heuristic') {
+    onProgress({ stage: 'model', provider: results.provider, completed: ++completed, total });
+  }
+  return results;
+};
+
+module.exports = {
+  readProviderConfig,
+  createProvider,
+  evaluateEssay,
+  streamEvaluation
+};
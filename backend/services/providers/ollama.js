@@ -0,0 +1,19 @@
+const { postJson } = require('./http');
+const { buildMessages, parseModelJson } = require('./prompt');
+
+const createOllamaProvider = ({ baseUrl, model, timeoutMs, maxResponseBytes }) => ({
+  name: 'ollama',
+  evaluate: async (text, options) => {
+    const response = await postJson(`${baseUrl.replace(/\/$/, '')}/api/chat`, {
+      model,
+      messages: buildMessages(text, options),
+      stream: false,
+      format: 'json',
+      options: { temperature: 0 }
+    }, { timeoutMs, maxBytes: maxResponseBytes, signal: options.signal });
+
+    return parseModelJson(response.message ? response.message.content : undefined);
+  }
+});
+
+module.exports = { createOllamaProvider };
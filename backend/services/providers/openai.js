@@ -0,0 +1,23 @@
+const { postJson } = require('./http');
+const { buildMessages, parseModelJson } = require('./prompt');
+
+// Works with any OpenAI-compatible chat-completions server.
+const createOpenAIProvider = ({ baseUrl, apiKey, model, timeoutMs, maxResponseBytes }) => ({
+  name: 'openai',
+  evaluate: async (text, options) => {
+    const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+    const response = await postJson(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+      model,
+      messages: buildMessages(text, options),
+      temperature: 0,
+      response_format: { type: 'json_object' }
+    }, { headers, timeoutMs, maxBytes: maxResponseBytes, signal: options.signal });
+
+    const content = response.choices && response.choices[0] && response.choices[0].message
+      ? response.choices[0].message.content
+      : undefined;
+    return parseModelJson(content);
+  }
+});
+
+module.exports = { createOpenAIProvider };
@@ -0,0 +1,64 @@
+const { DIMENSIONS } = require('../../models/constants');
+
+const SYSTEM_PROMPT = [
+  'You are an admissions essay evaluator.',
+  'Respond with a single JSON object and nothing else, using exactly this shape:',
+  '{',
+  '  "overallScore": number 0-100,',
+  `  "breakdown": { ${DIMENSIONS.map(d => `"${d}": number 0-100`).join(', ')} },`,
+  '  "strengths": [string],',
+  '  "improvements": [string],',
+  '  "suggestions": [{ "original": string quoted from the essay, "improved": string, "reason": string }],',
+  '  "readability": string such as "College Level"',
+  '}'
+].join('\n');
+
+const describeWordLimit = ({ min, max } = {}) => {
+  if (min != null && max != null) return `${min}-${max} words`;
+  if (max != null) return `at most ${max} words`;
+  if (min != null) return `at least ${min} words`;
+  return null;
+};
+
+const buildMessages = (text, { level, university, program, prompt } = {}) => {
+  const wordLimit = program && describeWordLimit(program.wordLimit);
+  const weights = program && program.rubricWeights
+    ? DIMENSIONS.filter(d => program.rubricWeights[d] != null).map(d => `${d} x${program.rubricWeights[d]}`)
+    : [];
+  const context = [
+    `Program level: ${level === 'mba' ? 'MBA' : 'Undergraduate'}`,
+    university ? `Target university: ${university}` : null,
+    program ? `Program: ${program.name}${program.essayType ? ` (${program.essayType})` : ''}` : null,
+    program && program.prompts && program.prompts.length ? `Essay prompt(s):\n- ${program.prompts.join('\n- ')}` : null,
+    wordLimit ? `Word limit: ${wordLimit}` : null,
+    prompt ? `The student is answering this prompt; judge how fully each part is addressed:\n${prompt}` : null,
+    weights.length ? `Rubric weights: ${weights.join(', ')}` : null
+  ].filter(Boolean).join('\n');
+
+  return [
+    { role: 'system', content: SYSTEM_PROMPT },
+    { role: 'user', content: `${context}\n\nEssay:\n${text}` }
+  ];
+};
+
+// Models sometimes wrap JSON in prose or code fences; pull out the outermost object.
+const parseModelJson = (content) => {
+  if (typeof content !== 'string') {
+    throw new Error('Model response has no text content');
+  }
+  const start = content.indexOf('{');
+  const end = content.lastIndexOf('}');
+  if (start === -1 || end <= start) {
+    throw new Error('Model response does not contain a JSON object');
+  }
+  try {
+    return JSON.parse(content.slice(start, end + 1));
+  } catch (error) {
+    throw new Error('Model response is not valid JSON');
+  }
+};
+
+module.exports = {
+  buildMessages,
+  parseModelJson
+};
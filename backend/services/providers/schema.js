@@ -0,0 +1,72 @@
+const { DIMENSIONS } = require('../../models/constants');
+
+const isScore = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= 100;
+
+const isStringArray = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+// Checks a model response against the results schema stored on Essay.
+// Returns a list of human-readable problems; an empty list means valid.
+const validateResults = (results) => {
+  const errors = [];
+
+  if (!results || typeof results !== 'object' || Array.isArray(results)) {
+    return ['results must be an object'];
+  }
+
+  if (!isScore(results.overallScore)) {
+    errors.push('overallScore must be a number between 0 and 100');
+  }
+
+  if (!results.breakdown || typeof results.breakdown !== 'object') {
+    errors.push('breakdown must be an object');
+  } else {
+    DIMENSIONS.forEach((dimension) => {
+      if (!isScore(results.breakdown[dimension])) {
+        errors.push(`breakdown.${dimension} must be a number between 0 and 100`);
+      }
+    });
+  }
+
+  if (!isStringArray(results.strengths)) {
+    errors.push('strengths must be an array of strings');
+  }
+  if (!isStringArray(results.improvements)) {
+    errors.push('improvements must be an array of strings');
+  }
+
+  if (!Array.isArray(results.suggestions)) {
+    errors.push('suggestions must be an array');
+  } else {
+    results.suggestions.forEach((suggestion, idx) => {
+      const valid = suggestion && ['original', 'improved', 'reason']
+        .every(field => typeof suggestion[field] === 'string');
+      if (!valid) {
+        errors.push(`suggestions[${idx}] must have string original, improved and reason`);
+      }
+    });
+  }
+
+  if (typeof results.readability !== 'string' || !results.readability) {
+    errors.push('readability must be a non-empty string');
+  }
+
+  return errors;
+};
+
+// Keeps only the fields the schema knows about so stray model output is not persisted.
+const pickResults = (results) => ({
+  overallScore: results.overallScore,
+  breakdown: DIMENSIONS.reduce((acc, dimension) => {
+    acc[dimension] = results.breakdown[dimension];
+    return acc;
+  }, {}),
+  strengths: results.strengths,
+  improvements: results.improvements,
+  suggestions: results.suggestions.map(({ original, improved, reason }) => ({ original, improved, reason })),
+  readability: results.readability
+});
+
+module.exports = {
+  validateResults,
+  pickResults
+};
@@ -0,0 +1,142 @@
+const { analyzeText } = require('@orbit/text-analysis');
+const { round1 } = require('./common');
+
+// Standard readability formulas with a dictionary-free syllable counter.
+// Targets come from the essay level: MBA essays are expected to read at a
+// higher grade than undergraduate personal statements.
+
+const LEVEL_TARGETS = {
+  undergrad: {
+    fleschReadingEase: { min: 50, max: 70 },
+    gradeLevel: { min: 10, max: 14 }
+  },
+  mba: {
+    fleschReadingEase: { min: 30, max: 60 },
+    gradeLevel: { min: 12, max: 17 }
+  }
+};
+
+const SYLLABLE_EXCEPTIONS = {
+  the: 1, every: 3, business: 2, different: 3, family: 3, interest: 3, several: 3,
+  evening: 3, people: 2, create: 2, created: 3, idea: 3, area: 3, being: 2, science: 2,
+  experience: 4, university: 5, really: 3, poem: 2, quiet: 2, society: 4
+};
+
+const countSyllables = (rawWord) => {
+  const word = rawWord.toLowerCase().replace(/[^a-z]/g, '');
+  if (!word) return 0;
+  if (SYLLABLE_EXCEPTIONS[word]) return SYLLABLE_EXCEPTIONS[word];
+  if (word.length <= 3) return 1;
+
+  // Silent endings: "walked", "makes", "make" (but not "wanted", "churches", "table")
+  let stem = word;
+  if (/ed$/.test(stem) && !/[td]ed$/.test(stem)) {
+    stem = stem.slice(0, -2);
+  } else if (/es$/.test(stem) && !/(?:s|x|z|ch|sh|ce|ge)es$/.test(stem)) {
+    stem = stem.slice(0, -2);
+  } else if (/[^aeiouyl]e$/.test(stem)) {
+    stem = stem.slice(0, -1);
+  }
+
+  const groups = stem.replace(/^y/, '').match(/[aeiouy]+/g);
+  return Math.max(1, groups ? groups.length : 1);
+};
+
+const gradeStatus = (value, target) => {
+  if (value < target.min) return 'below';
+  if (value > target.max) return 'above';
+  return 'within';
+};
+
+const describeEase = (score) => {
+  if (score >= 80) return 'Very easy to read; conversational';
+  if (score >= 70) return 'Easy to read';
+  if (score >= 60) return 'Plain English, readable by most teenagers';
+  if (score >= 50) return 'Fairly difficult; typical of college writing';
+  if (score >= 30) return 'Difficult; typical of academic and professional writing';
+  return 'Very difficult; best understood by university graduates';
+};
+
+// A lower Reading Ease score means harder text, so "below" the band is harder
+const describeEaseAgainstTarget = (score, status) => {
+  const comparison = {
+    below: 'harder than the target for this level',
+    within: 'on target for this level',
+    above: 'easier than the target for this level'
+  }[status];
+  return `${describeEase(score)}; ${comparison}`;
+};
+
+const describeGrade = (grade, status) => {
+  const level = grade < 12.5
+    ? `U.S. grade ${Math.max(1, Math.round(grade))}`
+    : `${Math.round(grade - 12)} year(s) of college`;
+  const comparison = {
+    below: 'simpler than expected for this level',
+    within: 'on target for this level',
+    above: 'more complex than expected for this level'
+  }[status];
+  return `Readable at ${level}; ${comparison}`;
+};
+
+const analyzeReadability = (essayText, level = 'undergrad', analysis = analyzeText(essayText)) => {
+  const targets = LEVEL_TARGETS[level] || LEVEL_TARGETS.undergrad;
+  const words = analysis.words.filter(w => w.type === 'word').map(w => w.text);
+  const sentenceCount = Math.max(1, analysis.sentences.length);
+  const wordCount = Math.max(1, words.length);
+
+  const syllables = words.map(countSyllables);
+  const syllableCount = syllables.reduce((sum, n) => sum + n, 0);
+  const polysyllableCount = syllables.filter(n => n >= 3).length;
+  const letterCount = words.reduce((sum, w) => sum + w.replace(/[^A-Za-z]/g, '').length, 0);
+  const characterCount = words.reduce((sum, w) => sum + w.length, 0);
+
+  const wordsPerSentence = wordCount / sentenceCount;
+  const syllablesPerWord = syllableCount / wordCount;
+
+  const raw = {
+    fleschReadingEase: 206.835 - 1.015 * wordsPerSentence - 84.6 * syllablesPerWord,
+    fleschKincaidGrade: 0.39 * wordsPerSentence + 11.8 * syllablesPerWord - 15.59,
+    gunningFog: 0.4 * (wordsPerSentence + 100 * (polysyllableCount / wordCount)),
+    smog: 1.043 * Math.sqrt(polysyllableCount * (30 / sentenceCount)) + 3.1291,
+    colemanLiau: 0.0588 * (letterCount / wordCount * 100) - 0.296 * (sentenceCount / wordCount * 100) - 15.8,
+    automatedReadabilityIndex: 4.71 * (characterCount / wordCount) + 0.5 * wordsPerSentence - 21.43
+  };
+
+  const metrics = {};
+  Object.keys(raw).forEach((key) => {
+    const value = round1(raw[key]);
+    const target = key === 'fleschReadingEase' ? targets.fleschReadingEase : targets.gradeLevel;
+    const status = gradeStatus(value, target);
+    metrics[key] = {
+      value,
+      min: target.min,
+      max: target.max,
+      status,
+      interpretation: key === 'fleschReadingEase'
+        ? describeEaseAgainstTarget(value, status)
+        : describeGrade(value, status)
+    };
+  });
+
+  const averageGrade = (raw.fleschKincaidGrade + raw.gunningFog + raw.smog + raw.colemanLiau + raw.automatedReadabilityIndex) / 5;
+
+  let label = 'College Level';
+  if (averageGrade <= 12) {
+    label = 'High School Level';
+  } else if (averageGrade > 16) {
+    label = 'Graduate Level';
+  }
+
+  return {
+    label,
+    averageGrade: round1(averageGrade),
+    metrics
+  };
+};
+
+module.exports = {
+  analyzeReadability,
+  countSyllables,
+  LEVEL_TARGETS
+};
@@ -0,0 +1,176 @@
+const {
+  Document,
+  Packer,
+  Paragraph,
+  TextRun,
+  HeadingLevel,
+  CommentRangeStart,
+  CommentRangeEnd,
+  CommentReference
+} = require('docx');
+
+const COLORS = {
+  accent: '7E22CE',
+  text: '1E293B',
+  muted: '64748B',
+  track: 'E2E8F0',
+  good: '16A34A',
+  fair: 'CA8A04',
+  poor: 'DC2626'
+};
+
+// Each block of a breakdown bar stands for five points
+const BAR_BLOCKS = 20;
+
+const scoreColor = (score) => {
+  if (score >= 80) return COLORS.good;
+  if (score >= 60) return COLORS.fair;
+  return COLORS.poor;
+};
+
+const heading = (text) => new Paragraph({
+  heading: HeadingLevel.HEADING_2,
+  spacing: { before: 320, after: 120 },
+  children: [new TextRun({ text, color: COLORS.accent, bold: true })]
+});
+
+const bulletList = (items, empty) => (items.length === 0
+  ? [new Paragraph({ children: [new TextRun({ text: empty, color: COLORS.muted })] })]
+  : items.map(item => new Paragraph({ text: item, bullet: { level: 0 } })));
+
+const breakdownBar = (row) => {
+  const score = Math.max(0, Math.min(100, Math.round(row.score)));
+  const filled = Math.round(score / 100 * BAR_BLOCKS);
+  return new Paragraph({
+    spacing: { after: 80 },
+    children: [
+      new TextRun({ text: row.band ? `${row.label} · ${row.band}` : row.label, color: COLORS.text }),
+      new TextRun({ text: '\t' }),
+      new TextRun({ text: '█'.repeat(filled), color: scoreColor(score) }),
+      new TextRun({ text: '█'.repeat(BAR_BLOCKS - filled), color: COLORS.track }),
+      new TextRun({ text: `  ${score}`, bold: true })
+    ],
+    tabStops: [{ type: 'left', position: 3600 }]
+  });
+};
+
+const suggestionParagraphs = (suggestions) => {
+  if (suggestions.length === 0) {
+    return [new Paragraph({ children: [new TextRun({ text: 'No specific edits suggested', color: COLORS.muted })] })];
+  }
+  return suggestions.flatMap((suggestion, idx) => [
+    new Paragraph({
+      spacing: { before: 160 },
+      children: [
+        new TextRun({ text: `${idx + 1}. ${suggestion.reason}`, bold: true }),
+        ...(suggestion.status !== 'pending'
+          ? [new TextRun({ text: ` (${suggestion.status})`, color: COLORS.muted })]
+          : [])
+      ]
+    }),
+    new Paragraph({
+      indent: { left: 360 },
+      children: [new TextRun({ text: `Original: ${suggestion.original}`, color: COLORS.poor })]
+    }),
+    new Paragraph({
+      indent: { left: 360 },
+      children: [new TextRun({ text: `Improved: ${suggestion.improved}`, color: COLORS.good })]
+    })
+  ]);
+};
+
+// Essay paragraphs; annotated segments become Word comments anchored on the
+// passage, so the notes sit in the margin next to the text they refer to
+const essayParagraphs = (segments) => {
+  const paragraphs = [];
+  let runs = [];
+  const flush = () => {
+    paragraphs.push(new Paragraph({ spacing: { after: 160, line: 320 }, children: runs }));
+    runs = [];
+  };
+
+  segments.forEach((segment) => {
+    segment.text.split(/\n+/).forEach((piece, idx) => {
+      if (idx > 0) flush();
+      if (!piece) return;
+      if (segment.note == null) {
+        runs.push(new TextRun({ text: piece, font: 'Times New Roman', size: 24 }));
+        return;
+      }
+      runs.push(
+        new CommentRangeStart(segment.note),
+        new TextRun({ text: piece, font: 'Times New Roman', size: 24, highlight: 'yellow' }),
+        new CommentRangeEnd(segment.note),
+        new TextRun({ children: [new CommentReference(segment.note)] })
+      );
+    });
+  });
+  if (runs.length > 0) flush();
+
+  return paragraphs;
+};
+
+const noteComments = (notes) => notes.map(note => ({
+  id: note.number,
+  author: 'Orbit AI',
+  initials: 'OA',
+  children: [
+    new Paragraph({ children: [new TextRun({ text: note.reason + (note.category ? ` (${note.category})` : ''), bold: true })] }),
+    ...(note.improved ? [new Paragraph({ text: `Try: "${note.improved}"` })] : [])
+  ]
+}));
+
+const renderDocx = (report) => {
+  const doc = new Document({
+    title: report.title,
+    creator: 'Orbit AI',
+    comments: { children: noteComments(report.notes) },
+    styles: {
+      default: { document: { run: { font: 'Calibri', size: 22, color: COLORS.text } } }
+    },
+    sections: [{
+      children: [
+        new Paragraph({
+          heading: HeadingLevel.TITLE,
+          children: [new TextRun({ text: report.title, color: COLORS.accent, bold: true })]
+        }),
+        new Paragraph({ children: [new TextRun({ text: report.details.join(' · '), color: COLORS.muted })] }),
+        ...(report.prompt
+          ? [new Paragraph({ spacing: { before: 160 }, children: [new TextRun({ text: `Prompt: ${report.prompt}`, italics: true })] })]
+          : []),
+
+        heading('Overall Score'),
+        new Paragraph({
+          children: [
+            new TextRun({ text: String(report.overallScore), bold: true, size: 64, color: scoreColor(report.overallScore) }),
+            new TextRun({ text: ' / 100', size: 28, color: COLORS.muted })
+          ]
+        }),
+        ...(report.rubric
+          ? [new Paragraph({ children: [new TextRun({ text: `Scored with ${report.rubric}`, color: COLORS.muted, size: 19 })] })]
+          : []),
+
+        heading('Score Breakdown'),
+        ...report.breakdown.map(breakdownBar),
+
+        heading('Strengths'),
+        ...bulletList(report.strengths, 'No strengths recorded'),
+
+        heading('Areas for Improvement'),
+        ...bulletList(report.improvements, 'No improvements recorded'),
+
+        heading('Suggested Edits'),
+        ...suggestionParagraphs(report.suggestions),
+
+        new Paragraph({ pageBreakBefore: true, heading: HeadingLevel.HEADING_2, children: [new TextRun({ text: 'Essay', color: COLORS.accent, bold: true })] }),
+        ...essayParagraphs(report.essay)
+      ]
+    }]
+  });
+
+  return Packer.toBuffer(doc);
+};
+
+module.exports = {
+  renderDocx
+};
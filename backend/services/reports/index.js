@@ -0,0 +1,114 @@
+// Evaluation reports. buildReport turns a stored essay into a format-neutral
+// report; the renderers lay it out as PDF or DOCX entirely in-process. PDFs
+// embed the DejaVu fonts, so they look the same everywhere and render
+// accented, Greek and Cyrillic text; DOCX files name their fonts and leave
+// rendering to the word processor.
+
+const { renderPdf } = require('./pdf');
+const { renderDocx } = require('./docx');
+
+const REPORT_FORMATS = {
+  pdf: {
+    contentType: 'application/pdf',
+    render: renderPdf
+  },
+  docx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    render: renderDocx
+  }
+};
+
+const LEVEL_LABELS = {
+  undergrad: 'Undergraduate',
+  mba: 'MBA'
+};
+
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+// Rubric criteria carry display names; older results only have the breakdown
+const breakdownRows = (results) => {
+  if (results.criteria && results.criteria.length > 0) {
+    return results.criteria.map(criterion => ({
+      label: criterion.name,
+      score: criterion.score,
+      band: criterion.band
+    }));
+  }
+  const breakdown = results.breakdown instanceof Map
+    ? Object.fromEntries(results.breakdown)
+    : results.breakdown || {};
+  return Object.entries(breakdown).map(([key, score]) => ({ label: capitalize(key), score }));
+};
+
+// Splits the essay at anchored suggestions so each one can be marked in place
+// and numbered against its note. Overlapping suggestions keep the first.
+const annotateText = (text, suggestions) => {
+  const anchored = suggestions
+    .filter(s => s.start != null && s.end != null && s.end > s.start && s.end <= text.length)
+    .sort((a, b) => a.start - b.start);
+
+  const segments = [];
+  const notes = [];
+  let cursor = 0;
+  anchored.forEach((suggestion) => {
+    if (suggestion.start < cursor) return;
+    if (suggestion.start > cursor) segments.push({ text: text.slice(cursor, suggestion.start) });
+    const note = {
+      number: notes.length + 1,
+      reason: suggestion.reason,
+      improved: suggestion.improved,
+      category: suggestion.category
+    };
+    notes.push(note);
+    segments.push({ text: text.slice(suggestion.start, suggestion.end), note: note.number });
+    cursor = suggestion.end;
+  });
+  if (cursor < text.length) segments.push({ text: text.slice(cursor) });
+
+  return { segments, notes };
+};
+
+const buildReport = (essay, { annotations = false } = {}) => {
+  const results = essay.results || {};
+  const suggestions = results.suggestions || [];
+  const annotated = annotations
+    ? annotateText(essay.text, suggestions)
+    : { segments: [{ text: essay.text }], notes: [] };
+
+  return {
+    title: 'Essay Evaluation Report',
+    details: [
+      essay.university,
+      LEVEL_LABELS[essay.level] || essay.level,
+      `${essay.wordCount} words`,
+      new Date(essay.updatedAt || Date.now()).toLocaleDateString('en-US', { dateStyle: 'long' })
+    ].filter(Boolean),
+    prompt: essay.prompt,
+    overallScore: Math.round(results.overallScore || 0),
+    rubric: results.rubric && results.rubric.name
+      ? `${results.rubric.name} (v${results.rubric.version})`
+      : null,
+    breakdown: breakdownRows(results),
+    strengths: results.strengths || [],
+    improvements: results.improvements || [],
+    suggestions: suggestions.map(s => ({
+      original: s.original,
+      improved: s.improved,
+      reason: s.reason,
+      status: s.status
+    })),
+    essay: annotated.segments,
+    notes: annotated.notes
+  };
+};
+
+const renderReport = async (report, format) => {
+  const { contentType, render } = REPORT_FORMATS[format];
+  return { contentType, buffer: await render(report) };
+};
+
+module.exports = {
+  REPORT_FORMATS: Object.keys(REPORT_FORMATS),
+  buildReport,
+  renderReport
+};
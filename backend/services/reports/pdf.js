@@ -0,0 +1,184 @@
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+
+// The PDF standard fonts only cover Latin-1, so DejaVu is embedded instead;
+// it also covers Latin Extended, Greek and Cyrillic. Only the glyphs used end
+// up in each file.
+const FONT_FILES = {
+  regular: 'DejaVuSans.ttf',
+  bold: 'DejaVuSans-Bold.ttf',
+  italic: 'DejaVuSans-Oblique.ttf',
+  serif: 'DejaVuSerif.ttf'
+};
+
+const FONTS = {
+  regular: 'Sans',
+  bold: 'Sans-Bold',
+  italic: 'Sans-Oblique',
+  serif: 'Serif'
+};
+
+let fontData = null;
+
+const loadFonts = () => {
+  if (!fontData) {
+    const dir = path.join(path.dirname(require.resolve('dejavu-fonts-ttf/package.json')), 'ttf');
+    fontData = Object.entries(FONT_FILES).map(([key, file]) => [FONTS[key], fs.readFileSync(path.join(dir, file))]);
+  }
+  return fontData;
+};
+
+const COLORS = {
+  accent: '#7e22ce',
+  text: '#1e293b',
+  muted: '#64748b',
+  track: '#e2e8f0',
+  good: '#16a34a',
+  fair: '#ca8a04',
+  poor: '#dc2626',
+  highlight: '#fef3c7'
+};
+
+const scoreColor = (score) => {
+  if (score >= 80) return COLORS.good;
+  if (score >= 60) return COLORS.fair;
+  return COLORS.poor;
+};
+
+const heading = (doc, text) => {
+  doc.moveDown(1)
+    .font(FONTS.bold).fontSize(13).fillColor(COLORS.accent)
+    .text(text)
+    .moveDown(0.4);
+};
+
+const bulletList = (doc, items, empty) => {
+  doc.font(FONTS.regular).fontSize(10.5).fillColor(COLORS.text);
+  if (items.length === 0) {
+    doc.fillColor(COLORS.muted).text(empty);
+    return;
+  }
+  doc.list(items, { bulletRadius: 2, textIndent: 12, paragraphGap: 3 });
+};
+
+const breakdownBars = (doc, rows) => {
+  const labelWidth = 150;
+  const barWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right - labelWidth - 40;
+  const x = doc.page.margins.left;
+
+  rows.forEach((row) => {
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 20) doc.addPage();
+    const y = doc.y;
+    const score = Math.max(0, Math.min(100, Math.round(row.score)));
+    doc.font(FONTS.regular).fontSize(10).fillColor(COLORS.text)
+      .text(row.band ? `${row.label} · ${row.band}` : row.label, x, y, { width: labelWidth - 8, lineBreak: false, ellipsis: true });
+    doc.roundedRect(x + labelWidth, y + 1, barWidth, 8, 4).fill(COLORS.track);
+    if (score > 0) {
+      doc.roundedRect(x + labelWidth, y + 1, barWidth * score / 100, 8, 4).fill(scoreColor(score));
+    }
+    doc.font(FONTS.bold).fillColor(COLORS.text)
+      .text(String(score), x + labelWidth + barWidth + 8, y, { width: 32, align: 'right', lineBreak: false });
+    doc.x = x;
+    doc.y = y + 18;
+  });
+};
+
+const suggestionList = (doc, suggestions) => {
+  if (suggestions.length === 0) {
+    doc.font(FONTS.regular).fontSize(10.5).fillColor(COLORS.muted).text('No specific edits suggested');
+    return;
+  }
+  suggestions.forEach((suggestion, idx) => {
+    doc.font(FONTS.bold).fontSize(10.5).fillColor(COLORS.text)
+      .text(`${idx + 1}. ${suggestion.reason}`, { continued: suggestion.status !== 'pending' })
+      .font(FONTS.regular).fillColor(COLORS.muted);
+    if (suggestion.status !== 'pending') doc.text(` (${suggestion.status})`);
+    doc.font(FONTS.regular).fontSize(10).fillColor(COLORS.poor).text(`Original: ${suggestion.original}`, { indent: 12 });
+    doc.fillColor(COLORS.good).text(`Improved: ${suggestion.improved}`, { indent: 12 });
+    doc.moveDown(0.5);
+  });
+};
+
+// Essay body; annotated segments are highlighted and followed by their note number
+const essayBody = (doc, segments) => {
+  doc.font(FONTS.serif).fontSize(11.5).fillColor(COLORS.text);
+  segments.forEach((segment, idx) => {
+    const continued = idx < segments.length - 1;
+    if (segment.note == null) {
+      doc.font(FONTS.serif).fillColor(COLORS.text).text(segment.text, { continued, lineGap: 3 });
+      return;
+    }
+    doc.font(FONTS.serif).fillColor(COLORS.accent)
+      .text(segment.text, { continued: true, underline: true, lineGap: 3 })
+      .font(FONTS.bold).fontSize(7.5)
+      .text(`[${segment.note}]`, { continued, underline: false })
+      .fontSize(11.5);
+  });
+};
+
+const notesList = (doc, notes) => {
+  notes.forEach((note) => {
+    doc.font(FONTS.bold).fontSize(10).fillColor(COLORS.accent)
+      .text(`[${note.number}] `, { continued: true })
+      .fillColor(COLORS.text).text(note.reason + (note.category ? ` (${note.category})` : ''), { continued: Boolean(note.improved) });
+    if (note.improved) {
+      doc.font(FONTS.regular).fillColor(COLORS.muted).text(` Try: "${note.improved}"`);
+    }
+    doc.moveDown(0.3);
+  });
+};
+
+const renderPdf = (report) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 56,
+    info: { Title: report.title, Creator: 'Orbit AI' }
+  });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+  loadFonts().forEach(([name, data]) => doc.registerFont(name, data));
+
+  doc.font(FONTS.bold).fontSize(20).fillColor(COLORS.accent).text(report.title);
+  doc.font(FONTS.regular).fontSize(10).fillColor(COLORS.muted).text(report.details.join(' · '));
+  if (report.prompt) {
+    doc.moveDown(0.6).font(FONTS.italic).fontSize(10.5).fillColor(COLORS.text).text(`Prompt: ${report.prompt}`);
+  }
+
+  heading(doc, 'Overall Score');
+  doc.font(FONTS.bold).fontSize(32).fillColor(scoreColor(report.overallScore))
+    .text(String(report.overallScore), { continued: true })
+    .font(FONTS.regular).fontSize(14).fillColor(COLORS.muted).text(' / 100');
+  if (report.rubric) {
+    doc.fontSize(9.5).text(`Scored with ${report.rubric}`);
+  }
+
+  heading(doc, 'Score Breakdown');
+  breakdownBars(doc, report.breakdown);
+
+  heading(doc, 'Strengths');
+  bulletList(doc, report.strengths, 'No strengths recorded');
+
+  heading(doc, 'Areas for Improvement');
+  bulletList(doc, report.improvements, 'No improvements recorded');
+
+  heading(doc, 'Suggested Edits');
+  suggestionList(doc, report.suggestions);
+
+  doc.addPage();
+  heading(doc, 'Essay');
+  essayBody(doc, report.essay);
+
+  if (report.notes.length > 0) {
+    heading(doc, 'Annotations');
+    notesList(doc, report.notes);
+  }
+
+  doc.end();
+});
+
+module.exports = {
+  renderPdf
+};
@@ -0,0 +1,61 @@
+// Essay history: numbered revisions and the fingerprint index kept in step
+// with the latest text
+const { Essay, Revision, EssayFingerprint } = require('../models');
+const { fingerprintText } = require('./fingerprint');
+const { logger } = require('./logger');
+
+const indexEssayFingerprints = (essay) => EssayFingerprint.updateOne(
+  { essayId: essay._id },
+  { userId: essay.userId, fingerprints: fingerprintText(essay.text) },
+  { upsert: true }
+);
+
+// Indexes essays saved before fingerprinting existed, one at a time
+const indexMissingFingerprints = async () => {
+  const indexed = await EssayFingerprint.distinct('essayId');
+  const cursor = Essay.find({ _id: { $nin: indexed } }).select('userId text').cursor();
+  let count = 0;
+  for (let essay = await cursor.next(); essay; essay = await cursor.next()) {
+    await indexEssayFingerprints(essay);
+    count++;
+  }
+  if (count > 0) {
+    logger.info('Indexed essay fingerprints', { count });
+  }
+};
+
+// Records the essay's current text as its next revision. `snapshot` (text,
+// wordCount, charCount, results) records something else under the essay's
+// next version number, such as an evaluation of text it no longer has.
+const recordRevision = async (essay, type, snapshot = essay) => {
+  // Taken with an atomic $inc so concurrent saves never claim the same version
+  const updated = await Essay.findOneAndUpdate(
+    { _id: essay._id },
+    { $inc: { currentVersion: 1 } },
+    { new: true, projection: { currentVersion: 1 } }
+  );
+  if (!updated) {
+    throw new Error('Essay not found');
+  }
+  // Already saved; a later essay.save() must not write it back over a newer version
+  essay.currentVersion = updated.currentVersion;
+  essay.unmarkModified('currentVersion');
+
+  await indexEssayFingerprints(essay);
+  return Revision.create({
+    essayId: essay._id,
+    userId: essay.userId,
+    version: essay.currentVersion,
+    type,
+    text: snapshot.text,
+    wordCount: snapshot.wordCount,
+    charCount: snapshot.charCount,
+    results: type === 'evaluation' ? snapshot.results : undefined
+  });
+};
+
+module.exports = {
+  indexEssayFingerprints,
+  indexMissingFingerprints,
+  recordRevision
+};
@@ -0,0 +1,234 @@
+// Rubrics turn the dimension scores into the criteria a counselor cares
+// about. A criterion either reuses one of the built-in dimensions or is a
+// keyword criterion ("Leadership", "Impact") scored from marker phrases, so
+// new criteria need no code changes. Score bands attach a label and
+// descriptor to each criterion score.
+
+const { countWords } = require('@orbit/text-analysis');
+const { CRITERION_SOURCES, DIMENSIONS } = require('../models/constants');
+const { BASE_SCORE, computeOverallScore } = require('./scoring');
+const { clamp, round1, escapeRegExp } = require('./common');
+
+const DEFAULT_BANDS = [
+  { min: 90, label: 'Exceptional', descriptor: 'Admissions-ready; polish only.' },
+  { min: 80, label: 'Strong', descriptor: 'Clearly effective with minor gaps.' },
+  { min: 70, label: 'Competent', descriptor: 'Solid foundation that needs sharper execution.' },
+  { min: 60, label: 'Developing', descriptor: 'Noticeable weaknesses that readers will catch.' },
+  { min: 0, label: 'Needs work', descriptor: 'Revise substantially before submitting.' }
+];
+
+const CRITERION_NAMES = {
+  grammar: 'Grammar',
+  structure: 'Structure',
+  coherence: 'Coherence',
+  vocabulary: 'Vocabulary',
+  arguments: 'Arguments'
+};
+
+// Used whenever no stored rubric applies; version 0 marks it as built in
+const defaultRubric = (level = 'undergrad') => ({
+  name: 'Standard rubric',
+  level,
+  version: 0,
+  criteria: DIMENSIONS.map(dimension => ({
+    key: dimension,
+    name: CRITERION_NAMES[dimension],
+    source: dimension,
+    weight: 1
+  })),
+  bands: DEFAULT_BANDS
+});
+
+const slugify = (value) => value
+  .toLowerCase()
+  .trim()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+const CRITERION_KEY_PATTERN = /^[a-z0-9_-]+$/;
+
+// Checks counselor-supplied rubric data. Returns a list of human-readable
+// problems; an empty list means valid.
+const validateRubric = (rubric) => {
+  const errors = [];
+
+  if (!rubric || typeof rubric !== 'object') {
+    return ['rubric must be an object'];
+  }
+  if (typeof rubric.name !== 'string' || !rubric.name.trim()) {
+    errors.push('name is required');
+  }
+  if (rubric.level !== undefined && !['undergrad', 'mba'].includes(rubric.level)) {
+    errors.push('level must be "undergrad" or "mba"');
+  }
+
+  if (!Array.isArray(rubric.criteria) || rubric.criteria.length === 0) {
+    errors.push('criteria must be a non-empty array');
+  } else {
+    const keys = new Set();
+    rubric.criteria.forEach((criterion, idx) => {
+      if (!criterion || typeof criterion.name !== 'string' || !slugify(criterion.name)) {
+        errors.push(`criteria[${idx}].name is required`);
+        return;
+      }
+      const key = criterion.key || slugify(criterion.name);
+      // Keys name fields of the stored results, where '.' and '$' can't appear
+      if (typeof key !== 'string' || !CRITERION_KEY_PATTERN.test(key)) {
+        errors.push(`criteria[${idx}].key may only contain lowercase letters, digits, "-" and "_"`);
+      }
+      if (keys.has(key)) {
+        errors.push(`criteria[${idx}] duplicates the criterion "${key}"`);
+      }
+      keys.add(key);
+
+      if (!CRITERION_SOURCES.includes(criterion.source)) {
+        errors.push(`criteria[${idx}].source must be one of ${CRITERION_SOURCES.join(', ')}`);
+      }
+      if (criterion.source === 'keywords' && (!Array.isArray(criterion.keywords) || criterion.keywords.length === 0)) {
+        errors.push(`criteria[${idx}].keywords must list at least one phrase`);
+      }
+      if (criterion.weight !== undefined && !(typeof criterion.weight === 'number' && criterion.weight >= 0)) {
+        errors.push(`criteria[${idx}].weight must be a non-negative number`);
+      }
+    });
+  }
+
+  if (rubric.bands !== undefined) {
+    if (!Array.isArray(rubric.bands) || rubric.bands.length === 0) {
+      errors.push('bands must be a non-empty array');
+    } else {
+      rubric.bands.forEach((band, idx) => {
+        if (!band || typeof band.min !== 'number' || band.min < 0 || band.min > 100) {
+          errors.push(`bands[${idx}].min must be a number between 0 and 100`);
+        }
+        if (!band || typeof band.label !== 'string' || !band.label.trim()) {
+          errors.push(`bands[${idx}].label is required`);
+        }
+      });
+      if (!rubric.bands.some(band => band && band.min === 0)) {
+        errors.push('bands must include one starting at 0 so every score has a band');
+      }
+    }
+  }
+
+  return errors;
+};
+
+// Fills in keys, default weights and bands, and orders bands from the top down
+const normalizeRubric = (rubric) => ({
+  name: rubric.name.trim(),
+  description: rubric.description || '',
+  level: rubric.level || 'undergrad',
+  criteria: rubric.criteria.map(criterion => ({
+    key: criterion.key || slugify(criterion.name),
+    name: criterion.name.trim(),
+    description: criterion.description || '',
+    source: criterion.source,
+    keywords: criterion.source === 'keywords'
+      ? criterion.keywords.map(k => String(k).toLowerCase().trim()).filter(Boolean)
+      : [],
+    weight: criterion.weight !== undefined ? criterion.weight : 1
+  })),
+  bands: (rubric.bands || DEFAULT_BANDS)
+    .map(({ min, label, descriptor }) => ({ min, label: label.trim(), descriptor: descriptor || '' }))
+    .sort((a, b) => b.min - a.min)
+});
+
+const findBand = (bands, score) => bands.find(band => score >= band.min) || bands[bands.length - 1];
+
+// Scores a keyword criterion from how many of its marker phrases the essay
+// uses and how often, relative to the essay's length.
+const scoreKeywordCriterion = (text, criterion) => {
+  const lowerText = text.toLowerCase();
+  const hits = criterion.keywords
+    .map((keyword) => {
+      const pattern = new RegExp(`\\b${escapeRegExp(keyword).replace(/ /g, '\\s+')}\\b`, 'g');
+      return { keyword, count: (lowerText.match(pattern) || []).length };
+    })
+    .filter(hit => hit.count > 0);
+
+  const signals = [];
+  if (hits.length === 0) {
+    signals.push({
+      signal: `No evidence of ${criterion.name.toLowerCase()} (looked for: ${criterion.keywords.slice(0, 5).join(', ')})`,
+      impact: -15
+    });
+  } else {
+    const occurrences = hits.reduce((sum, hit) => sum + hit.count, 0);
+    const per100Words = occurrences / Math.max(1, countWords(text)) * 100;
+    signals.push({
+      signal: `${criterion.name} shown through ${hits.map(hit => `"${hit.keyword}"`).join(', ')}`,
+      impact: Math.min(20, hits.length * 4)
+    });
+    if (per100Words >= 1) {
+      signals.push({ signal: `${criterion.name} is a recurring theme (${round1(per100Words)} mentions per 100 words)`, impact: 6 });
+    }
+  }
+
+  return {
+    score: round1(clamp(BASE_SCORE + signals.reduce((sum, s) => sum + s.impact, 0), 0, 100)),
+    signals
+  };
+};
+
+// Re-expresses provider results in terms of the rubric's criteria. Program
+// rubric weights from the university catalog override the weight of the
+// built-in dimension they name.
+const applyRubric = (results, text, rubric, program) => {
+  const programWeights = (program && program.rubricWeights) || {};
+  const breakdown = {};
+  const factors = {};
+  const weights = {};
+  const gaps = [];
+
+  const criteria = rubric.criteria.map((criterion) => {
+    let score;
+    if (criterion.source === 'keywords') {
+      const keywordResult = scoreKeywordCriterion(text, criterion);
+      score = keywordResult.score;
+      factors[criterion.key] = keywordResult.signals;
+      keywordResult.signals.filter(s => s.impact < 0).forEach(s => gaps.push(s.signal));
+    } else {
+      score = results.breakdown[criterion.source];
+      if (results.factors && results.factors[criterion.source]) {
+        factors[criterion.key] = results.factors[criterion.source];
+      }
+    }
+
+    const weight = programWeights[criterion.source] != null ? programWeights[criterion.source] : criterion.weight;
+    const band = findBand(rubric.bands, score);
+    breakdown[criterion.key] = score;
+    weights[criterion.key] = weight;
+
+    return {
+      key: criterion.key,
+      name: criterion.name,
+      weight,
+      score,
+      band: band.label,
+      descriptor: band.descriptor
+    };
+  });
+
+  return {
+    ...results,
+    overallScore: computeOverallScore(breakdown, weights),
+    breakdown,
+    factors,
+    improvements: [...gaps, ...results.improvements],
+    criteria,
+    rubric: {
+      rubricId: rubric._id || null,
+      name: rubric.name,
+      version: rubric.version
+    }
+  };
+};
+
+module.exports = {
+  DEFAULT_BANDS,
+  defaultRubric,
+  validateRubric,
+  normalizeRubric,
+  applyRubric
+};
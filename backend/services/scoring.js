@@ -0,0 +1,452 @@
+// Deterministic rule-based essay scoring.
+// Every dimension starts from a fixed base score and is adjusted by signals
+// measured from the text, so identical input always yields identical output.
+
+const { analyzeText } = require('@orbit/text-analysis');
+const { checkGrammar } = require('./grammar');
+const { analyzeReadability } = require('./readability');
+const { analyzePromptAdherence } = require('./promptAdherence');
+const { checkLimits } = require('./limits');
+const { clamp, round1 } = require('./common');
+
+const BASE_SCORE = 70;
+
+const LEVEL_PROFILES = {
+  undergrad: {
+    minWords: 300,
+    maxWords: 800,
+    minSentenceLength: 15,
+    maxSentenceLength: 25
+  },
+  mba: {
+    minWords: 350,
+    maxWords: 1000,
+    minSentenceLength: 16,
+    maxSentenceLength: 28
+  }
+};
+
+const TRANSITIONS = [
+  'however', 'therefore', 'moreover', 'furthermore', 'consequently', 'meanwhile',
+  'additionally', 'nevertheless', 'similarly', 'finally', 'first', 'second',
+  'third', 'in addition', 'as a result', 'for this reason', 'on the other hand',
+  'in contrast', 'in conclusion', 'ultimately', 'because of this', 'instead'
+];
+
+const EVIDENCE_MARKERS = [
+  'for example', 'for instance', 'such as', 'specifically', 'according to',
+  'in particular', 'to illustrate', 'evidence', 'research', 'data'
+];
+
+const REASONING_MARKERS = ['because', 'since', 'therefore', 'thus', 'which means', 'so that', 'as a result'];
+
+const HEDGE_WORDS = ['maybe', 'perhaps', 'kind of', 'sort of', 'i think', 'i guess', 'probably'];
+
+const STOP_WORDS = new Set([
+  'the', 'a', 'an', 'and', 'or', 'but', 'of', 'to', 'in', 'on', 'at', 'for', 'with',
+  'is', 'are', 'was', 'were', 'be', 'been', 'it', 'this', 'that', 'i', 'my', 'me',
+  'we', 'our', 'you', 'your', 'he', 'she', 'they', 'them', 'his', 'her', 'their',
+  'as', 'by', 'from', 'have', 'has', 'had', 'not', 'so', 'if', 'do', 'did'
+]);
+
+const countPhrases = (lowerText, phrases) => phrases.reduce((total, phrase) => {
+  const pattern = new RegExp(`\\b${phrase.replace(/ /g, '\\s+')}\\b`, 'g');
+  return total + (lowerText.match(pattern) || []).length;
+}, 0);
+
+const extractFeatures = (essayText) => {
+  const text = essayText.trim();
+  const lowerText = text.toLowerCase();
+  const analysis = analyzeText(essayText);
+  const words = analysis.words.map(w => w.text.toLowerCase());
+  const sentences = analysis.sentences.map(s => s.text);
+  const paragraphs = analysis.paragraphs.map(p => p.text);
+
+  const sentenceLengths = analysis.sentences.map(s => s.wordCount);
+  const wordCount = analysis.wordCount;
+  const avgSentenceLength = sentences.length ? wordCount / sentences.length : wordCount;
+  const sentenceLengthVariance = sentenceLengths.length
+    ? sentenceLengths.reduce((sum, len) => sum + Math.pow(len - avgSentenceLength, 2), 0) / sentenceLengths.length
+    : 0;
+
+  const uniqueWords = new Set(words);
+  const contentWords = words.filter(w => !STOP_WORDS.has(w));
+  const frequency = {};
+  contentWords.forEach(w => { frequency[w] = (frequency[w] || 0) + 1; });
+  const overusedWords = Object.keys(frequency)
+    .filter(w => w.length > 3 && frequency[w] >= 4 && frequency[w] / Math.max(1, contentWords.length) > 0.03)
+    .sort();
+
+  return {
+    text,
+    lowerText,
+    analysis,
+    wordCount,
+    charCount: essayText.length,
+    words,
+    sentences,
+    sentenceLengths,
+    paragraphs,
+    avgSentenceLength,
+    sentenceLengthStdDev: Math.sqrt(sentenceLengthVariance),
+    vocabularyRichness: words.length ? uniqueWords.size / words.length : 0,
+    longWordRatio: words.length ? words.filter(w => w.length >= 7).length / words.length : 0,
+    overusedWords,
+    grammar: checkGrammar(essayText, analysis),
+    transitionCount: countPhrases(lowerText, TRANSITIONS),
+    evidenceCount: countPhrases(lowerText, EVIDENCE_MARKERS),
+    reasoningCount: countPhrases(lowerText, REASONING_MARKERS),
+    hedgeCount: countPhrases(lowerText, HEDGE_WORDS),
+    numberCount: (text.match(/\b\d+(?:[.,]\d+)?%?/g) || []).length
+  };
+};
+
+// Penalty per issue and the most a single category can cost
+const GRAMMAR_PENALTIES = {
+  spelling: { perIssue: 3, max: 15, label: 'misspelled word(s)' },
+  agreement: { perIssue: 4, max: 12, label: 'subject-verb agreement error(s)' },
+  usage: { perIssue: 3, max: 12, label: 'commonly confused word(s)' },
+  repetition: { perIssue: 3, max: 9, label: 'repeated word(s)' },
+  article: { perIssue: 2, max: 8, label: 'a/an misuse(s)' },
+  punctuation: { perIssue: 3, max: 9, label: 'punctuation problem(s) such as comma splices' },
+  capitalization: { perIssue: 3, max: 9, label: 'capitalization error(s)' },
+  spacing: { perIssue: 1, max: 4, label: 'spacing issue(s)' }
+};
+
+// Each scorer returns the list of signals that moved the dimension away from
+// BASE_SCORE. `impact` is the number of points added (positive) or removed.
+const scoreGrammar = (f) => {
+  const signals = [];
+  const { counts, issueCount, errorsPer100Words } = f.grammar;
+
+  Object.keys(GRAMMAR_PENALTIES).forEach((category) => {
+    const count = counts[category];
+    if (count > 0) {
+      const { perIssue, max, label } = GRAMMAR_PENALTIES[category];
+      signals.push({ signal: `${count} ${label}`, impact: -Math.min(max, count * perIssue) });
+    }
+  });
+
+  if (issueCount === 0) {
+    signals.push({ signal: 'No grammar or spelling issues detected', impact: 18 });
+  } else if (errorsPer100Words < 1) {
+    signals.push({ signal: `Only ${errorsPer100Words} issue(s) per 100 words`, impact: 8 });
+  }
+  return signals;
+};
+
+const scoreStructure = (f, profile) => {
+  const signals = [];
+  // An explicit essay limit replaces the level's length target
+  if (f.limitCheck) {
+    signals.push(f.limitCheck.signal);
+  } else if (f.wordCount >= profile.minWords && f.wordCount <= profile.maxWords) {
+    signals.push({ signal: `Length of ${f.wordCount} words is within the ${profile.minWords}-${profile.maxWords} target`, impact: 10 });
+  } else if (f.wordCount < 100) {
+    signals.push({ signal: `Only ${f.wordCount} words; too short to develop a structure`, impact: -15 });
+  } else if (f.wordCount < profile.minWords) {
+    signals.push({ signal: `${f.wordCount} words is below the ${profile.minWords}-word target`, impact: -6 });
+  } else {
+    signals.push({ signal: `${f.wordCount} words exceeds the ${profile.maxWords}-word target`, impact: -6 });
+  }
+
+  if (f.paragraphs.length >= 3) {
+    signals.push({ signal: `${f.paragraphs.length} paragraphs give a clear introduction, body and conclusion`, impact: 10 });
+  } else if (f.paragraphs.length === 1 && f.wordCount > 150) {
+    signals.push({ signal: 'Essay is a single block of text with no paragraph breaks', impact: -10 });
+  }
+
+  if (f.avgSentenceLength >= profile.minSentenceLength && f.avgSentenceLength <= profile.maxSentenceLength) {
+    signals.push({ signal: `Average sentence length of ${round1(f.avgSentenceLength)} words is in the ideal range`, impact: 5 });
+  } else if (f.avgSentenceLength > 30) {
+    signals.push({ signal: `Average sentence length of ${round1(f.avgSentenceLength)} words is hard to follow`, impact: -6 });
+  }
+  return signals;
+};
+
+const scoreCoherence = (f) => {
+  const signals = [];
+  const transitionsPer100 = f.wordCount ? (f.transitionCount / f.wordCount) * 100 : 0;
+  if (transitionsPer100 >= 1) {
+    signals.push({ signal: `${f.transitionCount} transition phrase(s) connect ideas`, impact: 12 });
+  } else if (f.transitionCount > 0) {
+    signals.push({ signal: `Only ${f.transitionCount} transition phrase(s) used`, impact: 4 });
+  } else if (f.sentences.length > 3) {
+    signals.push({ signal: 'No transition phrases between ideas', impact: -10 });
+  }
+
+  if (f.sentences.length > 3 && f.sentenceLengthStdDev >= 4) {
+    signals.push({ signal: 'Varied sentence lengths create natural rhythm', impact: 6 });
+  } else if (f.sentences.length > 3 && f.sentenceLengthStdDev < 2) {
+    signals.push({ signal: 'Sentences are uniformly long or short', impact: -5 });
+  }
+
+  if (f.avgSentenceLength > 30) {
+    signals.push({ signal: 'Long, complex sentences reduce clarity', impact: -6 });
+  }
+  return signals;
+};
+
+const scoreVocabulary = (f) => {
+  const signals = [];
+  if (f.vocabularyRichness > 0.65) {
+    signals.push({ signal: `High lexical diversity (${Math.round(f.vocabularyRichness * 100)}% unique words)`, impact: 14 });
+  } else if (f.vocabularyRichness > 0.5) {
+    signals.push({ signal: `Moderate lexical diversity (${Math.round(f.vocabularyRichness * 100)}% unique words)`, impact: 6 });
+  } else if (f.words.length > 50) {
+    signals.push({ signal: `Low lexical diversity (${Math.round(f.vocabularyRichness * 100)}% unique words)`, impact: -8 });
+  }
+
+  if (f.longWordRatio >= 0.2) {
+    signals.push({ signal: 'Frequent use of precise, multi-syllable words', impact: 6 });
+  } else if (f.longWordRatio < 0.1 && f.words.length > 50) {
+    signals.push({ signal: 'Word choice is mostly short and simple', impact: -4 });
+  }
+
+  if (f.overusedWords.length > 0) {
+    signals.push({ signal: `Overused words: ${f.overusedWords.slice(0, 3).join(', ')}`, impact: -Math.min(8, f.overusedWords.length * 3) });
+  }
+  return signals;
+};
+
+const scoreArguments = (f) => {
+  const signals = [];
+  if (f.evidenceCount + f.numberCount >= 2) {
+    signals.push({ signal: `${f.evidenceCount + f.numberCount} piece(s) of concrete evidence or examples`, impact: 12 });
+  } else if (f.evidenceCount + f.numberCount === 0 && f.wordCount > 100) {
+    signals.push({ signal: 'No specific examples or evidence cited', impact: -8 });
+  }
+
+  if (f.reasoningCount >= 2) {
+    signals.push({ signal: `${f.reasoningCount} explicit reasoning link(s) such as "because"`, impact: 8 });
+  }
+
+  if (f.hedgeCount >= 2) {
+    signals.push({ signal: `${f.hedgeCount} hedging phrase(s) weaken claims`, impact: -Math.min(10, f.hedgeCount * 3) });
+  }
+
+  if (f.wordCount < 300) {
+    signals.push({ signal: 'Limited length leaves arguments underdeveloped', impact: -5 });
+  }
+
+  if (f.promptAdherence) {
+    signals.push(...f.promptAdherence.signals);
+  }
+  return signals;
+};
+
+const SCORERS = {
+  grammar: scoreGrammar,
+  structure: scoreStructure,
+  coherence: scoreCoherence,
+  vocabulary: scoreVocabulary,
+  arguments: scoreArguments
+};
+
+const totalImpact = (signals) => signals.reduce((sum, s) => sum + s.impact, 0);
+
+// Suggestions carry `start`/`end` offsets into the essay. Grammar fixes
+// also carry a `replacement` that can be applied directly; advisory ones don't,
+// and issues without a single fix show their hint instead.
+const buildSuggestions = (f) => {
+  const suggestions = [];
+  const spans = f.analysis.sentences;
+
+  f.grammar.issues.forEach((issue) => {
+    suggestions.push({
+      original: issue.original,
+      improved: issue.replacement !== undefined ? issue.replacement : issue.hint || issue.message,
+      replacement: issue.replacement,
+      reason: issue.message,
+      category: issue.category,
+      start: issue.start,
+      end: issue.end
+    });
+  });
+
+  const opening = spans[0];
+  if (opening && opening.text.length < 80) {
+    suggestions.push({
+      original: opening.text,
+      improved: 'Consider expanding your opening statement to provide more context and engage the reader immediately.',
+      reason: 'Stronger opening statement',
+      start: opening.start,
+      end: opening.end
+    });
+  }
+
+  spans.forEach((span) => {
+    if (span.wordCount > 40) {
+      suggestions.push({
+        original: span.text,
+        improved: 'Split this sentence into two or three shorter sentences, each carrying a single idea.',
+        reason: `Sentence is ${span.wordCount} words long`,
+        start: span.start,
+        end: span.end
+      });
+    }
+  });
+
+  // Earlier entries win when spans overlap so every highlight stays distinct
+  const kept = [];
+  suggestions.forEach((suggestion) => {
+    const overlaps = kept.some(other => suggestion.start < other.end && other.start < suggestion.end);
+    if (!overlaps) kept.push(suggestion);
+  });
+
+  return kept
+    .sort((a, b) => a.start - b.start)
+    .slice(0, 25);
+};
+
+// Stored form of a limit check: the signal is flattened into message and impact
+const describeLimitCheck = ({ signal, ...limitCheck }) => ({
+  ...limitCheck,
+  message: signal.signal,
+  impact: signal.impact
+});
+
+// A program profile from the university catalog can narrow the word target
+// and weight the dimensions differently; missing values fall back to the level.
+const resolveProfile = (level, program = {}) => {
+  const profile = { ...(LEVEL_PROFILES[level] || LEVEL_PROFILES.undergrad) };
+  const wordLimit = program.wordLimit || {};
+  if (wordLimit.min != null) profile.minWords = wordLimit.min;
+  if (wordLimit.max != null) profile.maxWords = wordLimit.max;
+  return profile;
+};
+
+// Weighted mean of the dimension scores. Unweighted dimensions count once;
+// a weight of 0 leaves the dimension out of the overall score.
+const computeOverallScore = (breakdown, weights = {}) => {
+  let total = 0;
+  let weightSum = 0;
+  Object.keys(breakdown).forEach((dimension) => {
+    const weight = weights[dimension] != null ? weights[dimension] : 1;
+    total += breakdown[dimension] * weight;
+    weightSum += weight;
+  });
+  return round1(clamp(weightSum > 0 ? total / weightSum : 0, 0, 100));
+};
+
+// Analyzers in the order evaluationStages runs them
+const EVALUATION_STAGES = ['analysis', 'requirements', ...Object.keys(SCORERS), 'readability', 'feedback'];
+
+// Runs the evaluation one analyzer at a time, yielding each stage's partial
+// result as { stage, ...data }, and returns the complete results. Callers that
+// only want the final result use evaluateEssayAI; streaming callers step
+// through it to report progress between analyzers.
+// `options.program` is a catalog program profile, `options.prompt` the
+// question the essay answers and `options.limits` normalized length limits
+// (see ./limits); all are optional.
+function* evaluationStages(essayText, level = 'undergrad', options = {}) {
+  const { program, prompt, limits } = options;
+  const profile = resolveProfile(level, program);
+  const f = extractFeatures(essayText);
+  yield {
+    stage: 'analysis',
+    wordCount: f.wordCount,
+    charCount: f.charCount,
+    grammar: {
+      issueCount: f.grammar.issueCount,
+      errorsPer100Words: f.grammar.errorsPer100Words,
+      counts: f.grammar.counts
+    }
+  };
+
+  f.promptAdherence = analyzePromptAdherence(prompt, essayText);
+  f.limitCheck = checkLimits(f, limits);
+  // Uncovered prompt parts are always reported, ahead of the other improvements
+  const promptGaps = f.promptAdherence ? f.promptAdherence.gaps : [];
+  const promptAdherence = f.promptAdherence
+    ? {
+      overlap: f.promptAdherence.overlap,
+      parts: f.promptAdherence.parts,
+      gaps: promptGaps.map(s => s.signal)
+    }
+    : undefined;
+  const limitCheck = f.limitCheck ? describeLimitCheck(f.limitCheck) : undefined;
+  yield { stage: 'requirements', promptAdherence, limitCheck };
+
+  const breakdown = {};
+  const factors = {};
+  for (const dimension of Object.keys(SCORERS)) {
+    const signals = SCORERS[dimension](f, profile);
+    breakdown[dimension] = round1(clamp(BASE_SCORE + totalImpact(signals), 0, 100));
+    factors[dimension] = signals;
+    yield { stage: dimension, score: breakdown[dimension], factors: signals };
+  }
+
+  const readability = analyzeReadability(essayText, level, f.analysis);
+  yield {
+    stage: 'readability',
+    readability: readability.label,
+    readabilityGrade: readability.averageGrade,
+    readabilityMetrics: readability.metrics
+  };
+
+  const overallScore = computeOverallScore(breakdown, program && program.rubricWeights);
+
+  const allSignals = Object.values(factors).reduce((all, signals) => all.concat(signals), []);
+  const strengths = allSignals
+    .filter(s => s.impact >= 6)
+    .sort((a, b) => b.impact - a.impact)
+    .slice(0, 4)
+    .map(s => s.signal);
+  const improvements = [
+    ...promptGaps,
+    ...allSignals
+      .filter(s => s.impact < 0 && !promptGaps.includes(s))
+      .sort((a, b) => a.impact - b.impact)
+      .slice(0, 4)
+  ].map(s => s.signal);
+
+  const feedback = {
+    overallScore,
+    strengths: strengths.length > 0 ? strengths : ['Clear writing style', 'Good effort in addressing the topic'],
+    improvements: improvements.length > 0 ? improvements : ['Continue refining your arguments', 'Consider adding more specific examples'],
+    suggestions: buildSuggestions(f)
+  };
+  yield { stage: 'feedback', ...feedback };
+
+  return {
+    overallScore,
+    breakdown,
+    factors,
+    strengths: feedback.strengths,
+    improvements: feedback.improvements,
+    suggestions: feedback.suggestions,
+    grammar: {
+      issueCount: f.grammar.issueCount,
+      errorsPer100Words: f.grammar.errorsPer100Words,
+      counts: f.grammar.counts
+    },
+    wordCount: f.wordCount,
+    charCount: f.charCount,
+    readability: readability.label,
+    readabilityGrade: readability.averageGrade,
+    readabilityMetrics: readability.metrics,
+    estimatedReadTime: Math.ceil(f.wordCount / 200),
+    limitCheck,
+    promptAdherence
+  };
+}
+
+const evaluateEssayAI = (essayText, level = 'undergrad', options = {}) => {
+  const stages = evaluationStages(essayText, level, options);
+  let step = stages.next();
+  while (!step.done) {
+    step = stages.next();
+  }
+  return step.value;
+};
+
+module.exports = {
+  BASE_SCORE,
+  EVALUATION_STAGES,
+  evaluationStages,
+  evaluateEssayAI,
+  extractFeatures,
+  computeOverallScore,
+  LEVEL_PROFILES
+};
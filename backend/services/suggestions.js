@@ -0,0 +1,44 @@
+// Helpers for suggestions anchored to character offsets in the essay text.
+// `start`/`end` delimit the span the suggestion refers to; `replacement`,
+// when present, is the exact text that accepting the suggestion inserts.
+// Rebasing offsets after an edit lives in @orbit/text-analysis, which the
+// editor shares.
+
+// Locates each suggestion's `original` text in the essay. Suggestions that
+// already carry offsets are kept; ones that cannot be found stay unanchored.
+const anchorSuggestions = (text, suggestions) => {
+  let searchFrom = 0;
+  return suggestions.map((suggestion) => {
+    if (Number.isInteger(suggestion.start) && Number.isInteger(suggestion.end)) {
+      return suggestion;
+    }
+
+    const quoted = (suggestion.original || '').trim();
+    const needle = quoted.replace(/[.!?]+$/, '');
+    if (!needle) return suggestion;
+    // The terminal punctuation stays in the essay, so drop it from the replacement too
+    const improved = needle.length < quoted.length
+      ? (suggestion.improved || '').replace(/[.!?]+$/, '')
+      : suggestion.improved;
+
+    let start = text.indexOf(needle, searchFrom);
+    if (start === -1) start = text.indexOf(needle);
+    if (start === -1) {
+      start = text.toLowerCase().indexOf(needle.toLowerCase());
+    }
+    if (start === -1) return suggestion;
+
+    searchFrom = start + needle.length;
+    return {
+      ...suggestion,
+      original: text.slice(start, start + needle.length),
+      start,
+      end: start + needle.length,
+      replacement: suggestion.replacement ?? improved
+    };
+  });
+};
+
+module.exports = {
+  anchorSuggestions
+};
@@ -0,0 +1,40 @@
+// Sets a user's role: npm run set-role -- someone@example.com counselor
+// Counselors may publish rubrics; admins may also change the university
+// catalog; 'student' takes either away. The user picks up the change the
+// next time their access token is refreshed.
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const mongoose = require('mongoose');
+const { User } = require('./models');
+const { USER_ROLES } = require('./models/constants');
+const { readDatabaseConfig, connectDatabase } = require('./services/database');
+const { logger } = require('./services/logger');
+
+const setRole = async (email, role) => {
+  if (!email || !USER_ROLES.includes(role)) {
+    throw new Error(`Usage: npm run set-role -- <email> <${USER_ROLES.join('|')}>`);
+  }
+  const config = readDatabaseConfig();
+  if (!config.uri) {
+    throw new Error('MONGODB_URI is not set');
+  }
+  await connectDatabase(config);
+
+  const user = await User.findOneAndUpdate({ email: email.toLowerCase() }, { role }, { new: true });
+  if (!user) {
+    throw new Error(`No user with email ${email}`);
+  }
+  logger.info('Updated user role', { email: user.email, role });
+};
+
+const [email, role] = process.argv.slice(2);
+
+setRole(email, role)
+  .then(() => mongoose.connection.close())
+  .catch(async (error) => {
+    logger.error('Updating user role failed', { error });
+    await mongoose.connection.close().catch(() => {});
+    process.exit(1);
+  });
@@ -0,0 +1,98 @@
+const request = require('supertest');
+const db = require('./helpers/db');
+const { createTestApp, signUp } = require('./helpers/app');
+
+const app = createTestApp();
+
+// The first run downloads the MongoDB binary
+beforeAll(db.connect, 120000);
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+describe('health checks', () => {
+  it('reports the database as connected', async () => {
+    const res = await request(app).get('/api/health').expect(200);
+    expect(res.body.database).toBe('Connected');
+  });
+
+  it('is ready once the database is connected', async () => {
+    await request(app).get('/api/health/ready').expect(200);
+  });
+});
+
+describe('auth routes', () => {
+  it('registers, then logs in with the same credentials', async () => {
+    const { user } = await signUp(app, { email: 'Ada@Example.com' });
+    expect(user.email).toBe('ada@example.com');
+
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'ada@example.com', password: 'correct horse battery' })
+      .expect(200);
+    expect(res.body.data.accessToken).toEqual(expect.any(String));
+  });
+
+  it('rejects a second account with the same email', async () => {
+    await signUp(app, { email: 'ada@example.com' });
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Ada', email: 'ada@example.com', password: 'another password' })
+      .expect(409);
+    expect(res.body.success).toBe(false);
+  });
+
+  it('lists every invalid field', async () => {
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'not-an-email', password: 'short' })
+      .expect(400);
+    expect(res.body.details.map(d => d.field).sort()).toEqual(['email', 'name', 'password']);
+  });
+
+  it('rejects a wrong password', async () => {
+    await signUp(app, { email: 'ada@example.com' });
+    await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'ada@example.com', password: 'wrong password' })
+      .expect(401);
+  });
+
+  it('limits failed sign-in attempts per address', async () => {
+    const limited = createTestApp({ AUTH_RATE_LIMIT_MAX: '2' });
+    const credentials = { email: 'grace@example.com', password: 'correct horse battery' };
+    // Successful attempts don't count towards the limit
+    await signUp(limited, { email: credentials.email });
+    await request(limited).post('/api/auth/login').send(credentials).expect(200);
+
+    await request(limited).post('/api/auth/login').send({ ...credentials, password: 'wrong password' }).expect(401);
+    await request(limited).post('/api/auth/login').send({ ...credentials, password: 'wrong password' }).expect(401);
+
+    const res = await request(limited).post('/api/auth/login').send(credentials).expect(429);
+    expect(res.body.error).toBe('Too many failed attempts, please try again later');
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+    await request(limited).post('/api/auth/register').send({ name: 'Eve', ...credentials }).expect(429);
+  });
+
+  it('returns the signed-in user', async () => {
+    const { user, auth } = await signUp(app);
+    const res = await request(app).get('/api/auth/me').set('Authorization', auth).expect(200);
+    expect(res.body.data.id).toBe(user.id);
+  });
+
+  it('revokes refresh tokens on logout', async () => {
+    const { auth, refreshToken } = await signUp(app);
+    await request(app).post('/api/auth/refresh').send({ refreshToken }).expect(200);
+    await request(app).post('/api/auth/logout').set('Authorization', auth).expect(200);
+    await request(app).post('/api/auth/refresh').send({ refreshToken }).expect(401);
+  });
+
+  it('requires a token for the API', async () => {
+    await request(app).get('/api/essays').expect(401);
+    await request(app).get('/api/essays').set('Authorization', 'Bearer nonsense').expect(401);
+  });
+});
+
+it('answers 404 for unknown routes', async () => {
+  const res = await request(app).get('/api/nowhere').expect(404);
+  expect(res.body.error).toBe('Route not found');
+});
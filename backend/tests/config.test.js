@@ -0,0 +1,56 @@
+const request = require('supertest');
+const { loadConfig } = require('../config');
+const { createTestApp } = require('./helpers/app');
+
+const REQUIRED = { MONGODB_URI: 'mongodb://127.0.0.1:27017/orbit-ai', JWT_SECRET: 'secret' };
+
+describe('loadConfig', () => {
+  it('reads the auth, metrics and access log settings', () => {
+    const config = loadConfig({
+      ...REQUIRED,
+      JWT_EXPIRES_IN: '5m',
+      JWT_REFRESH_EXPIRES_IN: '30d',
+      METRICS_TOKEN: 'scrape',
+      ACCESS_LOG_FORMAT: 'dev'
+    });
+
+    expect(config.auth).toEqual({
+      accessSecret: 'secret',
+      refreshSecret: 'secret:refresh',
+      accessTokenTtl: '5m',
+      refreshTokenTtl: '30d'
+    });
+    expect(config.metricsToken).toBe('scrape');
+    expect(config.accessLogFormat).toBe('dev');
+  });
+
+  it('reads the rate limit settings, including the stricter one for signing in', () => {
+    const config = loadConfig({ ...REQUIRED, RATE_LIMIT_IP_MAX: '500', AUTH_RATE_LIMIT_MAX: '5' });
+
+    expect(config.rateLimits).toMatchObject({ ipMax: 500, authMax: 5, authWindowMs: 15 * 60 * 1000 });
+    expect(() => loadConfig({ ...REQUIRED, AUTH_RATE_LIMIT_MAX: '0' }))
+      .toThrow('AUTH_RATE_LIMIT_MAX must be a positive whole number');
+  });
+
+  it('lists every invalid setting', () => {
+    expect(() => loadConfig({ JWT_EXPIRES_IN: '15 minutes', JWT_REFRESH_EXPIRES_IN: '7', ACCESS_LOG_FORMAT: 'xml' }))
+      .toThrow(expect.objectContaining({
+        details: [
+          'MONGODB_URI is required',
+          'JWT_SECRET is required',
+          'JWT_EXPIRES_IN must be a duration such as 15m, 12h or 7d',
+          'JWT_REFRESH_EXPIRES_IN must be a duration such as 15m, 12h or 7d',
+          expect.stringMatching(/^ACCESS_LOG_FORMAT must be one of: json, off/)
+        ]
+      }));
+  });
+});
+
+describe('configured app', () => {
+  it('requires METRICS_TOKEN to scrape /metrics when set', async () => {
+    const app = createTestApp({ METRICS_TOKEN: 'scrape' });
+
+    await request(app).get('/metrics').expect(401);
+    await request(app).get('/metrics').set('Authorization', 'Bearer scrape').expect(200);
+  });
+});
@@ -0,0 +1,67 @@
+const { diffWords } = require('../services/diff');
+
+const sideOf = (changes, skip) => changes.filter(c => c.type !== skip).map(c => c.text).join('');
+
+// Seeded pseudo-random numbers (mulberry32), so every run diffs the same texts
+const seededRandom = (seed) => () => {
+  seed = (seed + 0x6d2b79f5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), seed | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+describe('diffWords', () => {
+  it('marks replaced words and keeps whitespace intact', () => {
+    const { changes, stats } = diffWords('The quick brown fox\n\njumps.', 'The slow brown fox\n\nleaps.');
+    expect(changes).toEqual([
+      { type: 'equal', text: 'The ' },
+      { type: 'delete', text: 'quick' },
+      { type: 'insert', text: 'slow' },
+      { type: 'equal', text: ' brown fox\n\n' },
+      { type: 'delete', text: 'jumps.' },
+      { type: 'insert', text: 'leaps.' }
+    ]);
+    expect(stats).toEqual({ insertions: 2, deletions: 2 });
+  });
+
+  it('handles empty and identical texts', () => {
+    expect(diffWords('', 'Hello there').changes).toEqual([{ type: 'insert', text: 'Hello there' }]);
+    expect(diffWords('Hello there', '').changes).toEqual([{ type: 'delete', text: 'Hello there' }]);
+    expect(diffWords('Same text', 'Same text').stats).toEqual({ insertions: 0, deletions: 0 });
+  });
+
+  it('finds a shortest edit script', () => {
+    const { stats } = diffWords('a b c a b b a', 'c b a b a c');
+    // The longest common subsequence has four words
+    expect(stats).toEqual({ insertions: 2, deletions: 3 });
+  });
+
+  it('reproduces both texts from random edits', () => {
+    const words = ['the', 'essay', 'argues', 'that', 'students', 'learn', '.'];
+    const random = seededRandom(42);
+    const randomText = () => Array.from({ length: 40 }, (_, i) => words[(i * 7 + Math.floor(random() * 5)) % words.length])
+      .join(' ');
+    for (let i = 0; i < 50; i++) {
+      const from = randomText();
+      const to = randomText();
+      const { changes } = diffWords(from, to);
+      expect(sideOf(changes, 'insert')).toBe(from);
+      expect(sideOf(changes, 'delete')).toBe(to);
+    }
+  });
+
+  describe('at the 100,000 character limit', () => {
+    const words = Array.from({ length: 15000 }, (_, i) => `word${(i * 7919) % 1000}`);
+    const from = words.join(' ');
+
+    it('diffs edited essays word by word', () => {
+      const to = words.map((word, i) => (i % 10 === 0 ? 'changed' : word)).join(' ');
+      expect(diffWords(from, to).stats).toEqual({ insertions: 1500, deletions: 1500 });
+    });
+
+    it('gives up on a word-by-word match of unrelated texts instead of searching', () => {
+      const other = Array.from({ length: 15000 }, (_, i) => `other${i}`).join(' ');
+      expect(diffWords(from, other).changes.map(c => c.type)).toEqual(['delete', 'insert']);
+    });
+  });
+});
@@ -0,0 +1,400 @@
+const request = require('supertest');
+const db = require('./helpers/db');
+const { createTestApp, signUp } = require('./helpers/app');
+const { EvaluationJob } = require('../models');
+const { createProvider, readProviderConfig } = require('../services/providers');
+const { runEvaluationJob, markEvaluationFailed } = require('../services/evaluation');
+const { EVALUATION_STAGES } = require('../services/scoring');
+
+const app = createTestApp();
+
+const DRAFT = 'My grandmother taught me to bake bread. Every Sunday we measured flour together.';
+
+let student;
+
+// The first run downloads the MongoDB binary
+beforeAll(db.connect, 120000);
+beforeEach(async () => {
+  student = await signUp(app);
+});
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+const createDraft = (auth, fields = {}) => request(app)
+  .post('/api/essays')
+  .set('Authorization', auth)
+  .send({ text: DRAFT, ...fields })
+  .expect(201)
+  .then(res => res.body.data);
+
+describe('POST /api/essays', () => {
+  it('saves a draft with its word count and first revision', async () => {
+    const essay = await createDraft(student.auth, { level: 'mba' });
+    expect(essay).toMatchObject({ status: 'draft', level: 'mba', wordCount: 13, currentVersion: 1 });
+
+    const res = await request(app)
+      .get(`/api/essays/${essay._id}/revisions`)
+      .set('Authorization', student.auth)
+      .expect(200);
+    expect(res.body.data.map(r => r.version)).toEqual([1]);
+  });
+
+  it('rejects text that is too short', async () => {
+    const res = await request(app)
+      .post('/api/essays')
+      .set('Authorization', student.auth)
+      .send({ text: 'Too short', level: 'phd' })
+      .expect(400);
+    expect(res.body.details.map(d => d.field).sort()).toEqual(['level', 'text']);
+  });
+
+  it('saves the essay\'s length limits', async () => {
+    const essay = await createDraft(student.auth, { limits: { max: '650', mode: 'hard' } });
+    expect(essay.limits).toEqual({ unit: 'words', min: null, max: 650, mode: 'hard' });
+  });
+
+  it('rejects a minimum limit above the maximum', async () => {
+    const res = await request(app)
+      .post('/api/essays')
+      .set('Authorization', student.auth)
+      .send({ text: DRAFT, limits: { min: 500, max: 250 } })
+      .expect(400);
+    expect(res.body.error).toBe('Minimum limit cannot be greater than the maximum');
+  });
+});
+
+describe('GET /api/essays', () => {
+  it('lists only the signed-in student\'s essays', async () => {
+    const other = await signUp(app);
+    await createDraft(student.auth);
+    await createDraft(other.auth);
+
+    const res = await request(app).get('/api/essays').set('Authorization', student.auth).expect(200);
+    expect(res.body.data).toHaveLength(1);
+    expect(res.body.pagination).toMatchObject({ page: 1, total: 1 });
+  });
+
+  it('rejects sort fields outside the allow-list', async () => {
+    await request(app)
+      .get('/api/essays?sortBy=userId')
+      .set('Authorization', student.auth)
+      .expect(400);
+  });
+
+  it('hides other students\' essays and malformed ids behind a 404', async () => {
+    const other = await signUp(app);
+    const essay = await createDraft(other.auth);
+
+    await request(app).get(`/api/essays/${essay._id}`).set('Authorization', student.auth).expect(404);
+    await request(app).get('/api/essays/not-an-id').set('Authorization', student.auth).expect(404);
+  });
+});
+
+describe('PUT /api/essays/:id', () => {
+  it('records a revision when the text changes and diffs the two', async () => {
+    const essay = await createDraft(student.auth);
+    const res = await request(app)
+      .put(`/api/essays/${essay._id}`)
+      .set('Authorization', student.auth)
+      .send({ text: DRAFT.replace('Sunday', 'Saturday') })
+      .expect(200);
+    expect(res.body.data.currentVersion).toBe(2);
+
+    const diff = await request(app)
+      .get(`/api/essays/${essay._id}/diff?from=1&to=2`)
+      .set('Authorization', student.auth)
+      .expect(200);
+    expect(diff.body.data.stats).toEqual({ insertions: 1, deletions: 1 });
+  });
+
+  it('leaves the revision history alone when the text is unchanged', async () => {
+    const essay = await createDraft(student.auth);
+    const res = await request(app)
+      .put(`/api/essays/${essay._id}`)
+      .set('Authorization', student.auth)
+      .send({ prompt: 'Describe a tradition.' })
+      .expect(200);
+    expect(res.body.data.currentVersion).toBe(1);
+  });
+  it('autosaves drafts shorter than the evaluation minimum', async () => {
+    const essay = await createDraft(student.auth);
+    const res = await request(app)
+      .put(`/api/essays/${essay._id}`)
+      .set('Authorization', student.auth)
+      .send({ text: 'My' })
+      .expect(200);
+    expect(res.body.data).toMatchObject({ text: 'My', wordCount: 1, currentVersion: 2 });
+  });
+
+  it('numbers concurrent edits without gaps or collisions', async () => {
+    const essay = await createDraft(student.auth);
+    await Promise.all([1, 2, 3, 4].map(n => request(app)
+      .put(`/api/essays/${essay._id}`)
+      .set('Authorization', student.auth)
+      .send({ text: `${DRAFT} Edit ${n}.` })
+      .expect(200)));
+
+    const revisions = await request(app)
+      .get(`/api/essays/${essay._id}/revisions`)
+      .set('Authorization', student.auth)
+      .expect(200);
+    expect(revisions.body.data.map(r => r.version)).toEqual([5, 4, 3, 2, 1]);
+  });
+
+  it.each(['evaluating', 'failed'])('does not let clients set the status to %s', async (status) => {
+    const essay = await createDraft(student.auth);
+    const res = await request(app)
+      .put(`/api/essays/${essay._id}`)
+      .set('Authorization', student.auth)
+      .send({ status })
+      .expect(400);
+    expect(res.body.details[0].field).toBe('status');
+  });
+});
+
+describe('POST /api/essays/evaluate', () => {
+  it('queues a job and marks the essay as evaluating', async () => {
+    const res = await request(app)
+      .post('/api/essays/evaluate')
+      .set('Authorization', student.auth)
+      .send({ text: DRAFT })
+      .expect(202);
+    expect(res.body.data.status).toBe('queued');
+
+    const job = await request(app)
+      .get(`/api/jobs/${res.body.data.jobId}`)
+      .set('Authorization', student.auth)
+      .expect(200);
+    expect(job.body.data.essayId).toBe(res.body.data.essayId);
+
+    const essay = await request(app)
+      .get(`/api/essays/${res.body.data.essayId}`)
+      .set('Authorization', student.auth)
+      .expect(200);
+    expect(essay.body.data.status).toBe('evaluating');
+    expect(await EvaluationJob.countDocuments()).toBe(1);
+  });
+
+  it('limits evaluations per student', async () => {
+    const limited = createTestApp({ EVALUATION_RATE_LIMIT_MAX: '1' });
+    await request(limited).post('/api/essays/evaluate').set('Authorization', student.auth).send({ text: DRAFT }).expect(202);
+
+    const res = await request(limited).post('/api/essays/evaluate').set('Authorization', student.auth).send({ text: DRAFT }).expect(429);
+    expect(res.body.error).toBe('Evaluation limit reached, please try again later');
+    expect(res.headers['retry-after']).toBeDefined();
+    // Other routes keep working
+    await request(limited).get('/api/essays').set('Authorization', student.auth).expect(200);
+  });
+
+  it('restores the essay status when the job cannot be queued', async () => {
+    const queueDown = createTestApp({}, {
+      evaluationQueue: { enqueue: async () => { throw new Error('queue unavailable'); } }
+    });
+    const draft = await createDraft(student.auth);
+
+    await request(queueDown)
+      .post('/api/essays/evaluate')
+      .set('Authorization', student.auth)
+      .send({ essayId: draft._id, text: DRAFT })
+      .expect(500);
+
+    const essay = await request(app).get(`/api/essays/${draft._id}`).set('Authorization', student.auth).expect(200);
+    expect(essay.body.data.status).toBe('draft');
+  });
+
+  describe('when the job runs', () => {
+    const provider = createProvider(readProviderConfig({}));
+
+    const queueEvaluation = async (essayId) => {
+      const res = await request(app)
+        .post('/api/essays/evaluate')
+        .set('Authorization', student.auth)
+        .send({ essayId, text: DRAFT })
+        .expect(202);
+      return EvaluationJob.findById(res.body.data.jobId);
+    };
+
+    it('saves the results to the essay', async () => {
+      const draft = await createDraft(student.auth);
+      await runEvaluationJob(await queueEvaluation(draft._id), provider);
+
+      const essay = await request(app).get(`/api/essays/${draft._id}`).set('Authorization', student.auth).expect(200);
+      expect(essay.body.data).toMatchObject({ status: 'evaluated', text: DRAFT, currentVersion: 2 });
+      expect(essay.body.data.results.overallScore).toEqual(expect.any(Number));
+      expect(essay.body.data.results.readabilityMetrics.fleschReadingEase)
+        .toMatchObject({ value: expect.any(Number), status: expect.any(String), interpretation: expect.any(String) });
+    });
+
+    it('checks the essay against the prompt it answers', async () => {
+      const prompt = 'Describe a family tradition. What did it teach you about patience?';
+      const res = await request(app)
+        .post('/api/essays/evaluate')
+        .set('Authorization', student.auth)
+        .send({ text: DRAFT, prompt })
+        .expect(202);
+      await runEvaluationJob(await EvaluationJob.findById(res.body.data.jobId), provider);
+
+      const essay = await request(app).get(`/api/essays/${res.body.data.essayId}`).set('Authorization', student.auth).expect(200);
+      expect(essay.body.data.prompt).toBe(prompt);
+      expect(essay.body.data.results.promptAdherence.parts).toHaveLength(2);
+      expect(essay.body.data.results.improvements).toEqual(
+        expect.arrayContaining(essay.body.data.results.promptAdherence.gaps)
+      );
+    });
+
+    it('keeps a student\'s later edit and files the results in the history', async () => {
+      const draft = await createDraft(student.auth);
+      const job = await queueEvaluation(draft._id);
+      const edited = `${DRAFT} Later I started baking on my own.`;
+      await request(app)
+        .put(`/api/essays/${draft._id}`)
+        .set('Authorization', student.auth)
+        .send({ text: edited })
+        .expect(200);
+
+      await runEvaluationJob(job, provider);
+
+      const essay = await request(app).get(`/api/essays/${draft._id}`).set('Authorization', student.auth).expect(200);
+      expect(essay.body.data).toMatchObject({ status: 'draft', text: edited, currentVersion: 3 });
+      expect(essay.body.data.results?.overallScore).toBeUndefined();
+
+      const revisions = await request(app)
+        .get(`/api/essays/${draft._id}/revisions`)
+        .set('Authorization', student.auth)
+        .expect(200);
+      expect(revisions.body.data.map(r => [r.version, r.type])).toEqual([[3, 'evaluation'], [2, 'edit'], [1, 'edit']]);
+    });
+
+    it('marks the essay failed only once no other evaluation of it is pending', async () => {
+      const draft = await createDraft(student.auth);
+      const first = await queueEvaluation(draft._id);
+      const second = await queueEvaluation(draft._id);
+      const statusOf = async () => (await request(app)
+        .get(`/api/essays/${draft._id}`)
+        .set('Authorization', student.auth)
+        .expect(200)).body.data.status;
+
+      await EvaluationJob.updateOne({ _id: first._id }, { status: 'failed' });
+      await markEvaluationFailed(first);
+      expect(await statusOf()).toBe('evaluating');
+
+      await EvaluationJob.updateOne({ _id: second._id }, { status: 'failed' });
+      await markEvaluationFailed(second);
+      expect(await statusOf()).toBe('failed');
+    });
+  });
+});
+
+describe('POST /api/essays/evaluate/stream', () => {
+  const parseEvents = body => body.trim().split('\n\n').map((block) => {
+    const [, event] = block.match(/^event: (.+)$/m);
+    const [, data] = block.match(/^data: (.+)$/m);
+    return { event, data: JSON.parse(data) };
+  });
+
+  it('streams each analyzer\'s progress and then the saved essay', async () => {
+    const draft = await createDraft(student.auth);
+    const res = await request(app)
+      .post('/api/essays/evaluate/stream')
+      .set('Authorization', student.auth)
+      .send({ essayId: draft._id, text: DRAFT })
+      .buffer(true)
+      .expect('Content-Type', /text\/event-stream/)
+      .expect(200);
+
+    const events = parseEvents(res.text);
+    const progress = events.filter(e => e.event === 'progress').map(e => e.data);
+    expect(progress.map(p => p.stage)).toEqual(EVALUATION_STAGES);
+    expect(progress[progress.length - 1]).toMatchObject({ completed: EVALUATION_STAGES.length, total: EVALUATION_STAGES.length });
+
+    const result = events[events.length - 1];
+    expect(result.event).toBe('result');
+    expect(result.data).toMatchObject({ _id: draft._id, status: 'evaluated' });
+    expect(result.data.results.overallScore).toEqual(expect.any(Number));
+  });
+
+  it('answers with JSON when the evaluation cannot start', async () => {
+    const res = await request(app)
+      .post('/api/essays/evaluate/stream')
+      .set('Authorization', student.auth)
+      .send({ text: DRAFT, rubricId: '64b000000000000000000000' })
+      .expect('Content-Type', /json/)
+      .expect(404);
+    expect(res.body.error).toBe('Rubric not found');
+  });
+});
+
+describe('GET /api/essays/:id/overlaps', () => {
+  const SOURCE = 'Every summer my grandfather and I repaired old fishing boats in the harbour, '
+    + 'sanding hulls until our hands ached and painting them in colours the owners chose.';
+
+  it('finds passages copied from another student\'s essay', async () => {
+    const other = await signUp(app);
+    const source = await createDraft(other.auth, { text: SOURCE });
+    const copy = await createDraft(student.auth, {
+      text: `I love the sea. ${SOURCE.slice(0, 112)}. That is why I want to study engineering.`
+    });
+
+    const res = await request(app)
+      .get(`/api/essays/${copy._id}/overlaps`)
+      .set('Authorization', student.auth)
+      .expect(200);
+    expect(res.body.data.similarity).toBeGreaterThan(0);
+    expect(res.body.data.sources).toEqual([
+      expect.objectContaining({ essayId: source._id, sameAuthor: false })
+    ]);
+    expect(res.body.data.passages[0].sources).toEqual([source._id]);
+  });
+
+  it('marks reuse of the student\'s own essays', async () => {
+    const earlier = await createDraft(student.auth, { text: SOURCE });
+    const later = await createDraft(student.auth, { text: `${SOURCE} I still go back every year.` });
+
+    const res = await request(app)
+      .get(`/api/essays/${later._id}/overlaps`)
+      .set('Authorization', student.auth)
+      .expect(200);
+    expect(res.body.data.sources).toEqual([
+      expect.objectContaining({ essayId: earlier._id, sameAuthor: true })
+    ]);
+  });
+
+  it('reports nothing for an essay of its own', async () => {
+    const draft = await createDraft(student.auth);
+
+    const res = await request(app)
+      .get(`/api/essays/${draft._id}/overlaps`)
+      .set('Authorization', student.auth)
+      .expect(200);
+    expect(res.body.data).toMatchObject({ similarity: 0, passages: [], sources: [] });
+  });
+});
+
+describe('DELETE /api/essays/:id', () => {
+  it('removes the essay and its revisions', async () => {
+    const essay = await createDraft(student.auth);
+    await request(app).delete(`/api/essays/${essay._id}`).set('Authorization', student.auth).expect(200);
+    await request(app).get(`/api/essays/${essay._id}/revisions`).set('Authorization', student.auth).expect(404);
+  });
+});
+
+describe('POST /api/essays/import', () => {
+  const importFile = (filename) => request(app)
+    .post('/api/essays/import')
+    .set('Authorization', student.auth)
+    .set('Content-Type', 'text/plain')
+    .set('X-Filename', filename)
+    .send(DRAFT);
+
+  it('extracts text from a file with a URI-encoded name', async () => {
+    const res = await importFile('my%20essay.txt').expect(200);
+    expect(res.body.data).toMatchObject({ filename: 'my essay.txt', format: 'txt', text: DRAFT });
+  });
+
+  it('rejects a filename that is not valid URI encoding', async () => {
+    const res = await importFile('draft%E0%A4%A.txt').expect(400);
+    expect(res.body.details).toEqual([
+      expect.objectContaining({ field: 'x-filename', message: 'Must be URI-encoded' })
+    ]);
+  });
+});
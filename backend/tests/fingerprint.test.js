@@ -0,0 +1,39 @@
+const { fingerprintText, findOverlaps } = require('../services/fingerprint');
+
+const ORIGINAL = 'Every summer my grandfather and I repaired old fishing boats in the harbour, '
+  + 'sanding hulls until our hands ached and painting them in colours the owners chose.';
+const COPIED = 'I have always loved the sea. every summer, my grandfather and I repaired old fishing boats '
+  + 'in the harbour; sanding hulls until our hands ached. That is why I want to study engineering.';
+const UNRELATED = 'Debate club taught me to listen before answering, and to change my mind when the '
+  + 'evidence asked me to, which is harder than it sounds.';
+
+const source = (essayId, text) => ({ essayId, userId: 'u1', fingerprints: fingerprintText(text) });
+
+describe('fingerprintText', () => {
+  it('ignores case, punctuation and spacing', () => {
+    const hashes = text => fingerprintText(text).map(f => f.hash);
+    expect(hashes(ORIGINAL.toUpperCase().replace(/,/g, ' ;'))).toEqual(hashes(ORIGINAL));
+  });
+
+  it('has nothing to fingerprint in texts shorter than a shingle', () => {
+    expect(fingerprintText('Too short to copy')).toEqual([]);
+  });
+});
+
+describe('findOverlaps', () => {
+  it('finds a copied passage and its source', () => {
+    const report = findOverlaps(COPIED, fingerprintText(COPIED), [source('a', ORIGINAL), source('b', UNRELATED)]);
+
+    expect(report.sources.map(s => s.essayId)).toEqual(['a']);
+    expect(report.passages).toHaveLength(1);
+    expect(report.passages[0].sources).toEqual(['a']);
+    expect(report.passages[0].text).toMatch(/grandfather and I repaired old fishing boats in the harbour/);
+    expect(report.similarity).toBeGreaterThan(30);
+    expect(report.similarity).toBeLessThan(100);
+  });
+
+  it('reports no overlap between unrelated essays', () => {
+    expect(findOverlaps(UNRELATED, fingerprintText(UNRELATED), [source('a', ORIGINAL)]))
+      .toEqual({ similarity: 0, passages: [], sources: [] });
+  });
+});
@@ -0,0 +1,86 @@
+const { checkGrammar } = require('../services/grammar');
+
+const issuesFor = (text, category) => checkGrammar(text).issues
+  .filter(issue => !category || issue.category === category)
+  .map(issue => ({ rule: issue.rule, original: issue.original, replacement: issue.replacement }));
+
+describe('spelling', () => {
+  it('fixes listed typos and suggests fixes for other unknown words', () => {
+    const text = 'I recieve letters abuot the qwxz.';
+    const issues = checkGrammar(text).issues.filter(issue => issue.category === 'spelling');
+
+    expect(issues.map(issue => [issue.rule, issue.original, issue.replacement])).toEqual([
+      ['misspelling', 'recieve', 'receive'],
+      ['unknown-word', 'abuot', undefined],
+      ['unknown-word', 'qwxz', undefined]
+    ]);
+    expect(issues[1].hint).toMatch(/about/);
+    expect(text.slice(issues[2].start, issues[2].end)).toBe('qwxz');
+  });
+
+  it('accepts American and British spellings, contractions and possessives', () => {
+    expect(issuesFor("The colour of the center didn't matter to the students' organisers or organizers.", 'spelling'))
+      .toEqual([]);
+  });
+
+  it('checks each part of a hyphenated word', () => {
+    const issues = checkGrammar('It was a well-knwon fact.').issues.filter(issue => issue.category === 'spelling');
+
+    expect(issues).toHaveLength(1);
+    expect(issues[0]).toMatchObject({ original: 'knwon', start: 14, end: 19 });
+  });
+
+  it('leaves names, acronyms and words the dictionary has nothing close to alone', () => {
+    expect(issuesFor('Okonkwo joined UNICEF in Lagos. The work was transformative.', 'spelling')).toEqual([]);
+  });
+
+  describe('suggestion lookup limits', () => {
+    // Unknown words that all have dictionary candidates
+    const TYPOS = [
+      'abuot', 'mountian', 'scholl', 'famliy', 'wrok', 'lerned', 'studnet', 'hapy', 'langauge', 'probelm', 'gorw',
+      'fuure', 'dreem', 'helpfull', 'importnat', 'somthing', 'whitch', 'chanllenge', 'gardn', 'travle', 'musci', 'teachr'
+    ];
+    const flagged = (text) => checkGrammar(text).issues.filter(issue => issue.rule === 'unknown-word');
+
+    afterEach(() => jest.restoreAllMocks());
+
+    it('looks up at most 20 distinct words and flags only those', () => {
+      jest.spyOn(Date, 'now').mockReturnValue(0);
+      const issues = flagged(`${TYPOS.join(' ')}.`);
+
+      expect(issues.map(issue => issue.original)).toEqual(TYPOS.slice(0, 20));
+      issues.forEach(issue => expect(issue.hint).toMatch(/^Did you mean /));
+    });
+
+    it('starts no new lookup once lookups have taken a second', () => {
+      let now = 0;
+      jest.spyOn(Date, 'now').mockImplementation(() => (now += 600));
+
+      expect(flagged('abuot mountian scholl.').map(issue => issue.original)).toEqual(['abuot', 'mountian']);
+    });
+  });
+});
+
+describe('articles', () => {
+  it('reads word acronyms as words and other acronyms letter by letter', () => {
+    expect(issuesFor('I won a NASA grant and an FBI internship.', 'article')).toEqual([]);
+    expect(issuesFor('I won an NASA grant and a FBI internship.', 'article')).toEqual([
+      { rule: 'a-an', original: 'an', replacement: 'a' },
+      { rule: 'a-an', original: 'a', replacement: 'an' }
+    ]);
+  });
+});
+
+describe('subject-verb agreement', () => {
+  it('checks pronouns followed by an adverb and determiner subjects', () => {
+    expect(issuesFor('She always have a plan. Every student have a dream. These ideas is good.', 'agreement')).toEqual([
+      { rule: 'subject-verb', original: 'have', replacement: 'has' },
+      { rule: 'subject-verb', original: 'have', replacement: 'has' },
+      { rule: 'subject-verb', original: 'is', replacement: 'are' }
+    ]);
+  });
+
+  it('allows nouns that take either verb form', () => {
+    expect(issuesFor('A lot have changed. A number of students are here.', 'agreement')).toEqual([]);
+  });
+});
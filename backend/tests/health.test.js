@@ -0,0 +1,81 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { createTestApp } = require('./helpers/app');
+const { connectWithRetry } = require('../services/database');
+
+// readyState is a non-configurable getter on the prototype, so the test
+// shadows it on the connection and removes the override afterwards
+const connected = () => Object.defineProperty(mongoose.connection, 'readyState', { get: () => 1, configurable: true });
+
+afterEach(() => delete mongoose.connection.readyState);
+
+describe('health checks', () => {
+  it('answers liveness whatever the database state', async () => {
+    const res = await request(createTestApp()).get('/api/health/live').expect(200);
+
+    expect(res.body).toMatchObject({ status: 'OK' });
+  });
+
+  it('is ready once the database is connected', async () => {
+    connected();
+    const res = await request(createTestApp()).get('/api/health/ready').expect(200);
+
+    expect(res.body).toMatchObject({ status: 'Ready', database: 'Connected', shuttingDown: false });
+  });
+
+  it('is unavailable while the database is disconnected', async () => {
+    const res = await request(createTestApp()).get('/api/health/ready').expect(503);
+
+    expect(res.body).toMatchObject({ status: 'Unavailable', database: 'Disconnected', shuttingDown: false });
+  });
+
+  it('is unavailable and closes keep-alive connections once shutdown has started', async () => {
+    connected();
+    const res = await request(createTestApp({}, { isShuttingDown: () => true })).get('/api/health/ready').expect(503);
+
+    expect(res.body).toMatchObject({ status: 'Unavailable', database: 'Connected', shuttingDown: true });
+    expect(res.headers.connection).toBe('close');
+  });
+});
+
+describe('requireDatabase', () => {
+  it('answers API requests with a 503 while the database is unreachable', async () => {
+    const res = await request(createTestApp()).get('/api/essays').expect(503);
+
+    expect(res.headers['retry-after']).toBe('5');
+    expect(res.body).toMatchObject({
+      success: false,
+      error: 'The database is unavailable, please try again shortly'
+    });
+  });
+});
+
+describe('connectWithRetry', () => {
+  const settings = { maxAttempts: 4, retryDelayMs: 1, maxRetryDelayMs: 3 };
+
+  it('retries with a doubling delay up to the maximum until connect succeeds', async () => {
+    const retries = [];
+    let attempts = 0;
+    const connect = async () => {
+      attempts += 1;
+      if (attempts < 4) throw new Error(`refused ${attempts}`);
+      return 'connected';
+    };
+
+    await expect(connectWithRetry(connect, settings, (error, attempt, delayMs) => {
+      retries.push([error.message, attempt, delayMs]);
+    })).resolves.toBe('connected');
+    expect(retries).toEqual([['refused 1', 1, 1], ['refused 2', 2, 2], ['refused 3', 3, 3]]);
+  });
+
+  it('throws the last error once every attempt has failed', async () => {
+    let attempts = 0;
+    const connect = async () => {
+      attempts += 1;
+      throw new Error(`refused ${attempts}`);
+    };
+
+    await expect(connectWithRetry(connect, settings)).rejects.toThrow('refused 4');
+    expect(attempts).toBe(4);
+  });
+});
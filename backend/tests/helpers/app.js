@@ -0,0 +1,66 @@
+// Builds the app the way server.js does, minus listen() and the queue
+// workers: queued evaluations stay 'queued' unless a test runs them.
+const request = require('supertest');
+const { loadConfig } = require('../../config');
+const { createApp } = require('../../app');
+const { createProvider } = require('../../services/providers');
+const { createEvaluationQueue } = require('../../services/evaluation');
+const { User } = require('../../models');
+
+const TEST_ENV = {
+  NODE_ENV: 'test',
+  MONGODB_URI: 'mongodb://127.0.0.1:27017/orbit-ai-test',
+  JWT_SECRET: 'test-secret',
+  ACCESS_LOG_FORMAT: 'off'
+};
+
+// `deps` replaces any of the app's dependencies, such as evaluationQueue
+const createTestApp = (env = {}, deps = {}) => {
+  const config = loadConfig({ ...TEST_ENV, ...env });
+  const provider = createProvider(config.provider);
+  const evaluationQueue = createEvaluationQueue(provider, config.queue);
+  return createApp({ config, provider, evaluationQueue, ...deps });
+};
+
+let accounts = 0;
+
+// Registers a fresh account and returns it with an Authorization header value
+const signUp = async (app, fields = {}) => {
+  accounts += 1;
+  const res = await request(app)
+    .post('/api/auth/register')
+    .send({
+      name: `Student ${accounts}`,
+      email: `student${accounts}@example.com`,
+      password: 'correct horse battery',
+      ...fields
+    })
+    .expect(201);
+  return {
+    user: res.body.data.user,
+    auth: `Bearer ${res.body.data.accessToken}`,
+    refreshToken: res.body.data.refreshToken
+  };
+};
+
+// Signs up a user with `role`. The role is read from the access token, so
+// the user signs in again after being promoted.
+const signUpAs = async (app, role, fields = {}) => {
+  const { user } = await signUp(app, fields);
+  await User.updateOne({ _id: user.id }, { role });
+  const res = await request(app)
+    .post('/api/auth/login')
+    .send({ email: user.email, password: 'correct horse battery' })
+    .expect(200);
+  return {
+    user: res.body.data.user,
+    auth: `Bearer ${res.body.data.accessToken}`,
+    refreshToken: res.body.data.refreshToken
+  };
+};
+
+module.exports = {
+  createTestApp,
+  signUp,
+  signUpAs
+};
@@ -0,0 +1,32 @@
+// In-memory MongoDB for route tests. Each test file gets its own server;
+// clear() empties every collection between tests.
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+let server = null;
+
+const connect = async () => {
+  server = await MongoMemoryServer.create();
+  await mongoose.connect(server.getUri());
+  // Unique indexes have to exist before tests rely on them
+  await Promise.all(mongoose.modelNames().map(name => mongoose.model(name).init()));
+};
+
+const clear = async () => {
+  if (mongoose.connection.readyState !== 1) return;
+  await Promise.all(
+    Object.values(mongoose.connection.collections).map(collection => collection.deleteMany({}))
+  );
+};
+
+const disconnect = async () => {
+  await mongoose.disconnect();
+  if (server) await server.stop();
+  server = null;
+};
+
+module.exports = {
+  connect,
+  clear,
+  disconnect
+};
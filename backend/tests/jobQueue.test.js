@@ -0,0 +1,85 @@
+const { createJobQueue } = require('../services/jobQueue');
+
+// In-memory stand-in for a Job model, covering the queries the queue makes
+const createJobStore = () => {
+  const jobs = [];
+  const byId = (id) => jobs.find(job => job._id === id);
+
+  return {
+    jobs,
+    create: async (fields) => {
+      const job = { _id: jobs.length + 1, ...fields };
+      jobs.push(job);
+      return { ...job };
+    },
+    findOneAndUpdate: async (filter, { $set, $inc }) => {
+      const job = jobs
+        .filter(j => j.status === filter.status && j.runAt <= filter.runAt.$lte)
+        .sort((a, b) => a.runAt - b.runAt)[0];
+      if (!job) return null;
+      Object.assign(job, $set, { attempts: job.attempts + $inc.attempts });
+      return { ...job };
+    },
+    updateOne: async ({ _id }, { $set }) => {
+      Object.assign(byId(_id), $set);
+    },
+    updateMany: async () => {},
+    find: async () => []
+  };
+};
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('createJobQueue', () => {
+  let Job;
+  let release;
+  let queue;
+
+  beforeEach(() => {
+    Job = createJobStore();
+    queue = createJobQueue({
+      Job,
+      handler: () => new Promise((resolve) => { release = resolve; }),
+      concurrency: 1,
+      maxAttempts: 1,
+      retryDelayMs: 1000,
+      pollIntervalMs: 60000,
+      staleAfterMs: 60000
+    });
+  });
+
+  afterEach(() => queue.stop());
+
+  it('stops claiming jobs on pause while drain waits for the running one', async () => {
+    await queue.start();
+    await queue.enqueue({ name: 'first' });
+    await flush();
+    expect(queue.active).toBe(1);
+
+    queue.pause();
+    await queue.enqueue({ name: 'second' });
+    let drained = false;
+    const draining = queue.drain().then(() => { drained = true; });
+    await flush();
+    expect(drained).toBe(false);
+
+    release();
+    await draining;
+    expect(Job.jobs.map(job => [job.name, job.status])).toEqual([['first', 'done'], ['second', 'queued']]);
+  });
+
+  it('picks up jobs queued while paused on the next start', async () => {
+    await queue.start();
+    queue.pause();
+    await queue.enqueue({ name: 'first' });
+    await flush();
+    expect(queue.active).toBe(0);
+
+    await queue.start();
+    await flush();
+    expect(queue.active).toBe(1);
+    release();
+    await queue.drain();
+    expect(Job.jobs[0].status).toBe('done');
+  });
+});
@@ -0,0 +1,62 @@
+const { normalizeLimits, limitsFromProgram, checkLimits } = require('../services/limits');
+const { evaluateEssayAI } = require('../services/scoring');
+
+const COUNTS = { wordCount: 120, charCount: 700 };
+
+describe('normalizeLimits', () => {
+  it('fills in the unit and mode and drops unset bounds', () => {
+    expect(normalizeLimits({ max: '650.7', min: '' })).toEqual({ unit: 'words', min: null, max: 650, mode: 'soft' });
+    expect(normalizeLimits({ unit: 'characters', min: 100, mode: 'hard' }))
+      .toEqual({ unit: 'characters', min: 100, max: null, mode: 'hard' });
+  });
+
+  it('treats limits without a bound as none', () => {
+    expect(normalizeLimits(undefined)).toBeNull();
+    expect(normalizeLimits({ unit: 'words', min: -5, max: 'lots' })).toBeNull();
+  });
+
+  it('rejects a minimum above the maximum', () => {
+    expect(() => normalizeLimits({ min: 500, max: 250 })).toThrow('Minimum limit cannot be greater than the maximum');
+  });
+});
+
+describe('limitsFromProgram', () => {
+  it('enforces a catalog word limit as a hard limit', () => {
+    expect(limitsFromProgram({ wordLimit: { min: 250, max: 650 } })).toEqual({ unit: 'words', min: 250, max: 650, mode: 'hard' });
+    expect(limitsFromProgram({ name: 'No limit' })).toBeNull();
+  });
+});
+
+describe('checkLimits', () => {
+  it.each([
+    ['within', { max: 150, mode: 'hard' }, 0, 10, 'Length of 120 words fits the 150-word maximum'],
+    ['over a hard limit', { max: 100, mode: 'hard' }, 20, -25, '20 words over the hard 100-word maximum; portals will reject it as written'],
+    ['over a soft limit', { max: 100, mode: 'soft' }, 20, -6, '20 words over the 100-word maximum'],
+    ['under a hard limit', { min: 200, max: 400, mode: 'hard' }, 80, -12, '80 words short of the required 200-400 word limit'],
+    ['under a soft limit', { min: 200, mode: 'soft' }, 80, -6, '80 words short of the 200-word minimum']
+  ])('scores an essay %s', (label, limits, difference, impact, signal) => {
+    const result = checkLimits(COUNTS, normalizeLimits(limits));
+
+    expect(result.difference).toBe(difference);
+    expect(result.signal).toEqual({ signal, impact });
+  });
+
+  it('counts characters when the limit is in characters', () => {
+    expect(checkLimits(COUNTS, normalizeLimits({ unit: 'characters', max: 650 })))
+      .toMatchObject({ count: 700, status: 'over', difference: 50 });
+  });
+});
+
+describe('evaluateEssayAI with limits', () => {
+  const essay = 'I learned to code by fixing the bugs in my school website. '.repeat(10);
+
+  it('flags an overrun and lets it move the structure score', () => {
+    const within = evaluateEssayAI(essay, 'undergrad', { limits: normalizeLimits({ max: 200, mode: 'hard' }) });
+    const over = evaluateEssayAI(essay, 'undergrad', { limits: normalizeLimits({ max: 50, mode: 'hard' }) });
+
+    expect(over.limitCheck).toMatchObject({ status: 'over', mode: 'hard', impact: -25 });
+    expect(over.limitCheck.message).toMatch(/over the hard 50-word maximum/);
+    expect(over.factors.structure).toContainEqual({ signal: over.limitCheck.message, impact: -25 });
+    expect(within.breakdown.structure - over.breakdown.structure).toBe(35);
+  });
+});
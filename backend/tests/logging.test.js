@@ -0,0 +1,129 @@
+const request = require('supertest');
+const { createTestApp } = require('./helpers/app');
+const { createLogger, withLogContext, addLogContext } = require('../services/logger');
+const { createProvider, readProviderConfig, evaluateEssay } = require('../services/providers');
+const { EVALUATION_STAGES } = require('../services/scoring');
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Collects the JSON lines a logger writes
+const capture = () => {
+  const lines = [];
+  return { lines, write: line => lines.push(JSON.parse(line)) };
+};
+
+// Collects the JSON lines written to stdout while `fn` runs, at LOG_LEVEL=info
+const stdoutLines = async (fn) => {
+  const lines = [];
+  const level = process.env.LOG_LEVEL;
+  process.env.LOG_LEVEL = 'info';
+  const spy = jest.spyOn(process.stdout, 'write').mockImplementation((chunk) => {
+    lines.push(...String(chunk).split('\n').filter(Boolean).map(line => JSON.parse(line)));
+    return true;
+  });
+  try {
+    await fn();
+  } finally {
+    spy.mockRestore();
+    process.env.LOG_LEVEL = level;
+  }
+  return lines;
+};
+
+describe('createLogger', () => {
+  it('writes one JSON object per line and drops lines below the level', () => {
+    const { lines, write } = capture();
+    const log = createLogger({ level: 'warn', write });
+
+    log.info('Not written');
+    log.warn('Slow query', { durationMs: 120 });
+
+    expect(lines).toEqual([
+      { time: expect.any(String), level: 'warn', message: 'Slow query', durationMs: 120 }
+    ]);
+    expect(log.enabled('error')).toBe(true);
+    expect(log.enabled('debug')).toBe(false);
+  });
+
+  it('serializes errors and keeps child bindings', () => {
+    const { lines, write } = capture();
+    const error = Object.assign(new Error('connection refused'), { code: 'ECONNREFUSED' });
+
+    createLogger({ level: 'info', write }).child({ component: 'queue' }).error('Job failed', { error });
+
+    expect(lines[0]).toMatchObject({
+      level: 'error',
+      component: 'queue',
+      error: { name: 'Error', message: 'connection refused', code: 'ECONNREFUSED', stack: expect.any(String) }
+    });
+  });
+
+  it('adds the log context to every line written inside it', async () => {
+    const { lines, write } = capture();
+    const log = createLogger({ level: 'info', write });
+
+    await withLogContext({ requestId: 'req-1' }, async () => {
+      addLogContext({ userId: 'user-1' });
+      await new Promise(resolve => setImmediate(resolve));
+      log.info('Inside');
+    });
+    log.info('Outside');
+
+    expect(lines[0]).toMatchObject({ message: 'Inside', requestId: 'req-1', userId: 'user-1' });
+    expect(lines[1]).not.toHaveProperty('requestId');
+  });
+});
+
+// No database here: /api requests answer 503, which is enough to see the ids
+describe('request ids', () => {
+  it('tags each response with a generated X-Request-Id', async () => {
+    const app = createTestApp();
+    const first = await request(app).get('/api/health/live').expect(200);
+    const second = await request(app).get('/api/health/live').expect(200);
+
+    expect(first.headers['x-request-id']).toMatch(UUID);
+    expect(second.headers['x-request-id']).not.toBe(first.headers['x-request-id']);
+  });
+
+  it('keeps a sane id from upstream and replaces anything else', async () => {
+    const app = createTestApp();
+    const kept = await request(app).get('/api/health/live').set('X-Request-Id', 'lb:4f2a-9c.1').expect(200);
+    const replaced = await request(app).get('/api/health/live').set('X-Request-Id', 'bad id <script>').expect(200);
+
+    expect(kept.headers['x-request-id']).toBe('lb:4f2a-9c.1');
+    expect(replaced.headers['x-request-id']).toMatch(UUID);
+  });
+
+  it('adds the id to error responses', async () => {
+    const res = await request(createTestApp()).get('/api/essays').set('X-Request-Id', 'trace-42').expect(503);
+
+    expect(res.body).toMatchObject({ success: false, requestId: 'trace-42' });
+  });
+
+  it('logs each request as a JSON line carrying its id', async () => {
+    const app = createTestApp({ ACCESS_LOG_FORMAT: 'json' });
+    const lines = await stdoutLines(() => request(app).get('/api/health/live').set('X-Request-Id', 'trace-43').expect(200));
+
+    expect(lines).toContainEqual(expect.objectContaining({
+      level: 'info',
+      message: 'Request completed',
+      requestId: 'trace-43',
+      method: 'GET',
+      url: '/api/health/live',
+      status: 200,
+      durationMs: expect.any(Number)
+    }));
+  });
+});
+
+describe('evaluation logging', () => {
+  it('logs how long each analyzer took, with the request id it ran under', async () => {
+    const provider = createProvider(readProviderConfig({ EVALUATION_PROVIDER: 'heuristic' }));
+    const text = 'I learned to listen before I lead. As a result, our team grew closer every season.';
+    const lines = await stdoutLines(() => withLogContext({ requestId: 'trace-44' }, () => evaluateEssay(text, { level: 'undergrad' }, provider)));
+
+    const line = lines.find(l => l.message === 'Evaluation analyzers finished');
+    expect(line).toMatchObject({ requestId: 'trace-44', essayLevel: 'undergrad', durationMs: expect.any(Number) });
+    expect(Object.keys(line.stages)).toEqual(EVALUATION_STAGES);
+  });
+});
@@ -0,0 +1,84 @@
+const request = require('supertest');
+const { createTestApp } = require('./helpers/app');
+const { register, recordEvaluation, recordError } = require('../services/metrics');
+const { createProvider, readProviderConfig, evaluateEssay } = require('../services/providers');
+const { EVALUATION_STAGES } = require('../services/scoring');
+
+// Current value of the series of `name` with exactly `labels`
+const valueOf = async (name, labels = {}) => {
+  const { values } = await register.getSingleMetric(name).get();
+  const series = values.find(v => Object.keys(labels).length === Object.keys(v.labels).length
+    && Object.entries(labels).every(([key, value]) => v.labels[key] === value));
+  return series ? series.value : 0;
+};
+
+const scrape = async (app) => {
+  const res = await request(app).get('/metrics').expect(200);
+  expect(res.headers['content-type']).toMatch(/^text\/plain/);
+  return res.text;
+};
+
+// No database here: /api requests past requireDatabase answer 503
+describe('/metrics', () => {
+  it('counts requests and their latency by route pattern', async () => {
+    const app = createTestApp();
+    const labels = { method: 'GET', route: '/api/health/live', status_code: 200 };
+    const before = await valueOf('orbit_http_requests_total', labels);
+
+    await request(app).get('/api/health/live').expect(200);
+    await request(app).get('/api/health/live').expect(200);
+    const text = await scrape(app);
+
+    expect(await valueOf('orbit_http_requests_total', labels)).toBe(before + 2);
+    expect(text).toMatch(/^orbit_http_requests_total\{method="GET",route="\/api\/health\/live",status_code="200"\} \d+$/m);
+    expect(text).toMatch(/^orbit_http_request_duration_seconds_bucket\{le="0\.005",method="GET",route="\/api\/health\/live",status_code="200"\} \d+$/m);
+  });
+
+  it('labels requests no route matched as unmatched and counts 5xx answers as errors', async () => {
+    const app = createTestApp();
+    const errorsBefore = await valueOf('orbit_errors_total', { source: 'request' });
+
+    await request(app).get('/api/essays/64b7f0c2a1d3e4f5a6b7c8d9').expect(503);
+
+    expect(await valueOf('orbit_http_requests_total', { method: 'GET', route: 'unmatched', status_code: 503 }))
+      .toBeGreaterThan(0);
+    expect(await valueOf('orbit_errors_total', { source: 'request' })).toBe(errorsBefore + 1);
+    expect(await scrape(app)).not.toMatch(/64b7f0c2a1d3e4f5a6b7c8d9/);
+  });
+
+  it('reports the MongoDB connection state and the default process metrics', async () => {
+    const text = await scrape(createTestApp());
+
+    expect(text).toMatch(/^orbit_mongodb_connection_state 0$/m);
+    expect(text).toMatch(/^orbit_process_cpu_user_seconds_total /m);
+  });
+});
+
+describe('evaluation metrics', () => {
+  it('records the time spent in each analyzer', async () => {
+    const provider = createProvider(readProviderConfig({ EVALUATION_PROVIDER: 'heuristic' }));
+    const observations = async () => {
+      const { values } = await register.getSingleMetric('orbit_evaluation_stage_duration_seconds').get();
+      return EVALUATION_STAGES.map(stage => values
+        .find(v => v.metricName === 'orbit_evaluation_stage_duration_seconds_count' && v.labels.stage === stage))
+        .map(series => (series ? series.value : 0));
+    };
+    const before = await observations();
+
+    await evaluateEssay('I learned to listen before I lead. As a result, our team grew closer.', { level: 'undergrad' }, provider);
+
+    expect(await observations()).toEqual(before.map(count => count + 1));
+  });
+
+  it('counts evaluations with their duration and score by level and provider', async () => {
+    recordEvaluation({ level: 'mba', provider: 'heuristic', overallScore: 72, durationMs: 300 });
+    recordError('evaluation');
+
+    const text = await scrape(createTestApp());
+    expect(text).toMatch(/^orbit_evaluations_total\{level="mba",provider="heuristic"\} 1$/m);
+    expect(text).toMatch(/^orbit_evaluation_duration_seconds_sum\{level="mba",provider="heuristic"\} 0\.3$/m);
+    expect(text).toMatch(/^orbit_evaluation_score_bucket\{le="70",level="mba"\} 0$/m);
+    expect(text).toMatch(/^orbit_evaluation_score_bucket\{le="80",level="mba"\} 1$/m);
+    expect(text).toMatch(/^orbit_errors_total\{source="evaluation"\} 1$/m);
+  });
+});
@@ -0,0 +1,62 @@
+const { analyzePromptAdherence, splitPromptParts } = require('../services/promptAdherence');
+const { evaluateEssayAI } = require('../services/scoring');
+
+const PROMPT = 'Describe a challenge you faced and how you overcame it. What did you learn about leadership? '
+  + '(1) your goals (2) your community.';
+const ESSAY = 'The biggest challenge I faced was losing our robotics sponsor. I overcame it by pitching local '
+  + 'businesses. Leading that effort taught me that leadership means listening.';
+
+describe('splitPromptParts', () => {
+  it('splits sentences, clauses and enumerated sub-questions', () => {
+    expect(splitPromptParts(`${PROMPT} Name a mentor; explain their influence.`)).toEqual([
+      'Describe a challenge you faced and how you overcame it.',
+      'What did you learn about leadership?',
+      'your goals',
+      'your community.',
+      'Name a mentor',
+      'explain their influence.'
+    ]);
+  });
+});
+
+describe('analyzePromptAdherence', () => {
+  it('reports which parts of the prompt the essay addresses', () => {
+    const { overlap, parts, gaps } = analyzePromptAdherence(PROMPT, ESSAY);
+
+    expect(overlap).toBe(57);
+    expect(parts.map(part => [part.text, part.covered])).toEqual([
+      ['Describe a challenge you faced and how you overcame it.', true],
+      ['What did you learn about leadership?', true],
+      ['your goals', false],
+      ['your community.', false]
+    ]);
+    expect(parts[1]).toMatchObject({ matchedTerms: ['leadership'], missingTerms: ['learn'], coverage: 50 });
+    expect(gaps.map(gap => gap.signal)).toEqual([
+      'Prompt part not addressed: "your goals"',
+      'Prompt part not addressed: "your community."'
+    ]);
+  });
+
+  it('flags an essay that ignores the prompt', () => {
+    const { overlap, signals } = analyzePromptAdherence(PROMPT, 'My favourite food is pasta with tomatoes.');
+
+    expect(overlap).toBe(0);
+    expect(signals[0]).toEqual({ signal: expect.stringMatching(/may be off topic/), impact: -10 });
+  });
+
+  it('judges a single-part prompt by its overall overlap only', () => {
+    expect(analyzePromptAdherence('Why engineering?', 'I love art.').gaps).toEqual([]);
+  });
+
+  it('skips essays without a prompt', () => {
+    expect(analyzePromptAdherence('', ESSAY)).toBeNull();
+    expect(evaluateEssayAI(ESSAY).promptAdherence).toBeUndefined();
+  });
+
+  it('puts uncovered prompt parts first among the evaluation\'s improvements', () => {
+    const { improvements, promptAdherence } = evaluateEssayAI(ESSAY, 'undergrad', { prompt: PROMPT });
+
+    expect(promptAdherence.gaps).toHaveLength(2);
+    expect(improvements.slice(0, 2)).toEqual(promptAdherence.gaps);
+  });
+});
@@ -0,0 +1,197 @@
+const http = require('http');
+const { readProviderConfig, createProvider, evaluateEssay, streamEvaluation } = require('../services/providers');
+const { EVALUATION_STAGES } = require('../services/scoring');
+
+const ESSAY = [
+  'When I started volunteering at the community garden, I did not expect it to change how I think about leadership.',
+  'For example, I learned that listening to the older volunteers mattered more than giving instructions.',
+  'As a result, our harvest doubled and the garden became a place where neighbours met every weekend.'
+].join(' ');
+
+const MODEL_RESULTS = {
+  overallScore: 90,
+  breakdown: { grammar: 80, structure: 70, coherence: 90, vocabulary: 60, arguments: 100 },
+  strengths: ['Vivid example'],
+  improvements: ['Say more about what you learned'],
+  suggestions: [{ original: 'did not expect', improved: 'never expected', reason: 'More direct' }],
+  readability: 'College Level'
+};
+
+// Local stand-in for the model server. `respond(req, body)` returns the
+// status and raw body to send.
+let respond;
+let requests;
+let baseUrl;
+
+const server = http.createServer((req, res) => {
+  let raw = '';
+  req.on('data', (chunk) => { raw += chunk; });
+  req.on('end', () => {
+    const body = JSON.parse(raw);
+    requests.push({ url: req.url, headers: req.headers, body });
+    const { status = 200, payload } = respond(req, body);
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(typeof payload === 'string' ? payload : JSON.stringify(payload));
+  });
+});
+
+const chatCompletion = content => ({ payload: { choices: [{ message: { content } }] } });
+
+const providerFor = (name, env = {}) => createProvider(readProviderConfig({
+  EVALUATION_PROVIDER: name,
+  LLM_BASE_URL: baseUrl,
+  ...env
+}));
+
+beforeAll(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+beforeEach(() => {
+  requests = [];
+  respond = () => chatCompletion(JSON.stringify(MODEL_RESULTS));
+});
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+describe('openai provider', () => {
+  it('sends the essay to chat/completions with the API key', async () => {
+    await evaluateEssay(ESSAY, { level: 'undergrad' }, providerFor('openai', { LLM_API_KEY: 'sk-test', LLM_MODEL: 'stub-model' }));
+
+    expect(requests).toHaveLength(1);
+    expect(requests[0].url).toBe('/chat/completions');
+    expect(requests[0].headers.authorization).toBe('Bearer sk-test');
+    expect(requests[0].body.model).toBe('stub-model');
+    expect(requests[0].body.messages[1].content).toContain(ESSAY);
+  });
+
+  it('uses the model\'s breakdown and keeps the heuristic counts and factors', async () => {
+    const results = await evaluateEssay(ESSAY, { level: 'undergrad' }, providerFor('openai'));
+
+    expect(results.provider).toBe('openai');
+    expect(results.breakdown).toEqual(MODEL_RESULTS.breakdown);
+    expect(results.strengths).toEqual(MODEL_RESULTS.strengths);
+    expect(results.wordCount).toBeGreaterThan(40);
+    expect(Object.keys(results.factors)).toEqual(expect.arrayContaining(['grammar', 'structure', 'arguments']));
+    // Recomputed from the breakdown, not taken from the model
+    expect(results.overallScore).toBe(80);
+  });
+
+  it('adds the heuristic grammar fixes to the model\'s suggestions', async () => {
+    const text = `${ESSAY} Every volunteer have a story, and I recieve them gladly.`;
+    respond = () => chatCompletion(JSON.stringify({
+      ...MODEL_RESULTS,
+      suggestions: [
+        ...MODEL_RESULTS.suggestions,
+        { original: 'Every volunteer have a story', improved: 'Each volunteer has a story', reason: 'Agreement' }
+      ]
+    }));
+    const results = await evaluateEssay(text, { level: 'undergrad' }, providerFor('openai'));
+
+    expect(results.suggestions.map(s => [s.original, s.replacement, s.category])).toEqual([
+      ['did not expect', 'never expected', undefined],
+      ['have', 'has', 'agreement'],
+      ['recieve', 'receive', 'spelling']
+    ]);
+    results.suggestions.forEach(s => expect(text.slice(s.start, s.end)).toBe(s.original));
+  });
+
+  it('applies the limit penalty to the overall score as well as the breakdown', async () => {
+    const results = await evaluateEssay(ESSAY, {
+      level: 'undergrad',
+      limits: { unit: 'words', min: 500, max: null, mode: 'hard' }
+    }, providerFor('openai'));
+
+    expect(results.limitCheck.status).not.toBe('within');
+    expect(results.breakdown.structure).toBeLessThan(MODEL_RESULTS.breakdown.structure);
+    expect(results.overallScore).toBeLessThan(80);
+  });
+
+  it('weights the overall score by the program\'s rubric', async () => {
+    const results = await evaluateEssay(ESSAY, {
+      level: 'undergrad',
+      program: { name: 'MBA', rubricWeights: { arguments: 3 } }
+    }, providerFor('openai'));
+
+    expect(results.overallScore).toBe(85.7);
+  });
+
+  it.each([
+    ['an HTTP error', () => ({ status: 500, payload: { error: 'boom' } }), /HTTP 500/],
+    ['a body that is not JSON', () => ({ payload: 'not json' }), /invalid JSON/],
+    ['model output without JSON', () => chatCompletion('Sorry, I cannot help.'), /does not contain a JSON object/],
+    ['model output outside the schema', () => chatCompletion('{"overallScore": 120}'), /failed validation/]
+  ])('falls back to the heuristic on %s', async (label, reply, reason) => {
+    respond = reply;
+    const results = await evaluateEssay(ESSAY, { level: 'undergrad' }, providerFor('openai'));
+
+    expect(results.provider).toBe('heuristic');
+    expect(results.fallbackReason).toMatch(reason);
+  });
+
+  it('abandons a response larger than LLM_MAX_RESPONSE_BYTES', async () => {
+    respond = () => chatCompletion(JSON.stringify({ ...MODEL_RESULTS, readability: 'x'.repeat(4096) }));
+    const results = await evaluateEssay(ESSAY, { level: 'undergrad' }, providerFor('openai', { LLM_MAX_RESPONSE_BYTES: '1024' }));
+
+    expect(results.provider).toBe('heuristic');
+    expect(results.fallbackReason).toMatch(/exceeded 1024 bytes/);
+  });
+
+  it('falls back when the model server is slower than LLM_TIMEOUT_MS', async () => {
+    const stalled = http.createServer(() => {});
+    await new Promise(resolve => stalled.listen(0, '127.0.0.1', resolve));
+    const provider = createProvider(readProviderConfig({
+      EVALUATION_PROVIDER: 'openai',
+      LLM_BASE_URL: `http://127.0.0.1:${stalled.address().port}`,
+      LLM_TIMEOUT_MS: '100'
+    }));
+
+    const results = await evaluateEssay(ESSAY, { level: 'undergrad' }, provider);
+    stalled.closeAllConnections();
+    await new Promise(resolve => stalled.close(resolve));
+
+    expect(results.provider).toBe('heuristic');
+    expect(results.fallbackReason).toMatch(/timed out after 100ms/);
+  });
+});
+
+describe('ollama provider', () => {
+  it('calls /api/chat and reads message.content', async () => {
+    respond = () => ({ payload: { message: { content: JSON.stringify(MODEL_RESULTS) } } });
+    const results = await evaluateEssay(ESSAY, { level: 'mba' }, providerFor('ollama'));
+
+    expect(requests[0].url).toBe('/api/chat');
+    expect(requests[0].body).toMatchObject({ stream: false, format: 'json' });
+    expect(results.provider).toBe('ollama');
+    expect(results.breakdown).toEqual(MODEL_RESULTS.breakdown);
+  });
+});
+
+describe('streamEvaluation', () => {
+  it('reports every analyzer, then the model, and resolves with the full result', async () => {
+    const progress = [];
+    const results = await streamEvaluation(ESSAY, { level: 'undergrad' }, providerFor('openai'), event => progress.push(event));
+
+    const total = EVALUATION_STAGES.length + 1;
+    expect(progress.map(event => event.stage)).toEqual([...EVALUATION_STAGES, 'model']);
+    expect(progress.map(event => [event.completed, event.total])).toEqual(progress.map((event, i) => [i + 1, total]));
+    expect(progress.find(event => event.stage === 'grammar')).toEqual(expect.objectContaining({
+      score: expect.any(Number),
+      factors: expect.any(Array)
+    }));
+    expect(progress[progress.length - 1].provider).toBe('openai');
+    expect(results.breakdown).toEqual(MODEL_RESULTS.breakdown);
+  });
+
+  it('stops when the evaluation is cancelled', async () => {
+    const controller = new AbortController();
+    const stages = [];
+    const run = streamEvaluation(ESSAY, { level: 'undergrad', signal: controller.signal }, providerFor('heuristic'), (event) => {
+      stages.push(event.stage);
+      if (event.stage === 'requirements') controller.abort();
+    });
+
+    await expect(run).rejects.toMatchObject({ name: 'AbortError' });
+    expect(stages).toEqual(['analysis', 'requirements']);
+    expect(requests).toHaveLength(0);
+  });
+});
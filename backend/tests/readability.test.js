@@ -0,0 +1,46 @@
+const { analyzeReadability, countSyllables } = require('../services/readability');
+
+describe('countSyllables', () => {
+  it.each([
+    ['walked', 1], ['wanted', 2], ['makes', 1], ['table', 2], ['churches', 2],
+    ['happy', 2], ['beautiful', 3], ['university', 5], ['idea', 3]
+  ])('counts %s as %i', (word, syllables) => {
+    expect(countSyllables(word)).toBe(syllables);
+  });
+});
+
+describe('analyzeReadability', () => {
+  // 9 words in 2 sentences, 10 syllables, no polysyllables, 27 letters
+  const SIMPLE = 'The cat sat on the mat. It was happy.';
+  const DENSE = 'Organizational leadership necessitates comprehensive understanding of institutional dynamics, '
+    + 'interdisciplinary collaboration and evidence-based decision-making methodologies.';
+
+  it('computes the standard formulas', () => {
+    const values = Object.fromEntries(Object.entries(analyzeReadability(SIMPLE).metrics)
+      .map(([key, metric]) => [key, metric.value]));
+
+    expect(values).toEqual({
+      fleschReadingEase: 108.3,
+      fleschKincaidGrade: -0.7,
+      gunningFog: 1.8,
+      smog: 3.1,
+      colemanLiau: -4.7,
+      automatedReadabilityIndex: -5.1
+    });
+  });
+
+  it('compares each metric with the targets for the level', () => {
+    const undergrad = analyzeReadability(SIMPLE).metrics;
+    const mba = analyzeReadability(SIMPLE, 'mba').metrics;
+
+    expect(undergrad.fleschReadingEase).toMatchObject({ min: 50, max: 70, status: 'above' });
+    expect(undergrad.fleschReadingEase.interpretation).toMatch(/easier than the target/);
+    expect(undergrad.gunningFog).toMatchObject({ min: 10, max: 14, status: 'below' });
+    expect(mba.gunningFog).toMatchObject({ min: 12, max: 17, status: 'below' });
+  });
+
+  it('labels the essay by its average grade', () => {
+    expect(analyzeReadability(SIMPLE)).toMatchObject({ label: 'High School Level', averageGrade: -1.1 });
+    expect(analyzeReadability(DENSE, 'mba').label).toBe('Graduate Level');
+  });
+});
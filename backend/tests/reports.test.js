@@ -0,0 +1,29 @@
+const pdfParse = require('pdf-parse/lib/pdf-parse');
+const { buildReport, renderReport } = require('../services/reports');
+
+const ESSAY = {
+  text: 'Моё эссе о Ελλάδα и Zürich — “ğ, ł, ő”.',
+  level: 'mba',
+  wordCount: 8,
+  university: 'Łódź University',
+  results: {
+    overallScore: 72,
+    breakdown: { grammar: 80, structure: 64 },
+    strengths: ['Ясная структура'],
+    improvements: [],
+    suggestions: []
+  }
+};
+
+describe('PDF reports', () => {
+  it('embeds fonts that cover non-Latin text', async () => {
+    const { contentType, buffer } = await renderReport(buildReport(ESSAY), 'pdf');
+
+    expect(contentType).toBe('application/pdf');
+    expect(buffer.toString('latin1')).toMatch(/\/BaseFont \/[A-Z]+\+DejaVuSerif/);
+    const { text } = await pdfParse(buffer);
+    expect(text).toContain(ESSAY.text);
+    expect(text).toContain('Łódź University');
+    expect(text).toContain('Ясная структура');
+  });
+});
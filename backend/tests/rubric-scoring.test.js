@@ -0,0 +1,122 @@
+const { validateRubric, normalizeRubric, applyRubric, defaultRubric } = require('../services/rubrics');
+
+const criterion = (fields = {}) => ({ name: 'Leadership', source: 'keywords', keywords: ['led'], ...fields });
+
+const RESULTS = {
+  overallScore: 75,
+  breakdown: { grammar: 80, structure: 70, coherence: 75, vocabulary: 72, arguments: 78 },
+  factors: { arguments: [{ signal: 'Uses examples', impact: 8 }] },
+  improvements: ['Vary sentence openings']
+};
+
+describe('validateRubric', () => {
+  it('accepts a complete rubric', () => {
+    expect(validateRubric({
+      name: 'Rubric',
+      level: 'mba',
+      criteria: [criterion(), { name: 'Arguments', source: 'arguments', weight: 2 }],
+      bands: [{ min: 0, label: 'Any' }]
+    })).toEqual([]);
+  });
+
+  it('reports every problem with the rubric', () => {
+    expect(validateRubric({
+      name: ' ',
+      level: 'phd',
+      criteria: [
+        criterion({ source: 'charm' }),
+        criterion({ keywords: [] }),
+        { name: 'Arguments', source: 'arguments', weight: -1 }
+      ],
+      bands: [{ min: 50, label: '' }]
+    })).toEqual([
+      'name is required',
+      'level must be "undergrad" or "mba"',
+      'criteria[0].source must be one of grammar, structure, coherence, vocabulary, arguments, keywords',
+      'criteria[1] duplicates the criterion "leadership"',
+      'criteria[1].keywords must list at least one phrase',
+      'criteria[2].weight must be a non-negative number',
+      'bands[0].label is required',
+      'bands must include one starting at 0 so every score has a band'
+    ]);
+  });
+
+  it('requires at least one criterion', () => {
+    expect(validateRubric({ name: 'Rubric', criteria: [] })).toEqual(['criteria must be a non-empty array']);
+  });
+
+  it.each(['lead.ership', '$where', 'Leadership', 'lead ership'])('rejects the criterion key %p', (key) => {
+    expect(validateRubric({ name: 'Rubric', criteria: [criterion({ key })] })).toEqual([
+      'criteria[0].key may only contain lowercase letters, digits, "-" and "_"'
+    ]);
+  });
+
+  it('slugifies names into keys when none is given', () => {
+    const rubric = { name: 'Rubric', criteria: [criterion({ name: 'Impact & Reach!' }), criterion({ key: 'team_work' })] };
+
+    expect(validateRubric(rubric)).toEqual([]);
+    expect(normalizeRubric(rubric).criteria.map(c => c.key)).toEqual(['impact-reach', 'team_work']);
+  });
+});
+
+describe('normalizeRubric', () => {
+  it('fills in defaults and orders bands from the top down', () => {
+    const rubric = normalizeRubric({
+      name: ' Rubric ',
+      criteria: [criterion({ keywords: [' Led ', ''] })],
+      bands: [{ min: 0, label: 'Low' }, { min: 80, label: 'High ' }]
+    });
+
+    expect(rubric).toMatchObject({ name: 'Rubric', level: 'undergrad', description: '' });
+    expect(rubric.criteria[0]).toMatchObject({ key: 'leadership', keywords: ['led'], weight: 1 });
+    expect(rubric.bands.map(band => band.label)).toEqual(['High', 'Low']);
+  });
+});
+
+describe('applyRubric', () => {
+  const rubric = normalizeRubric({
+    name: 'Leadership focus',
+    criteria: [
+      { name: 'Arguments', source: 'arguments', weight: 2 },
+      criterion({ keywords: ['led', 'team'] })
+    ],
+    bands: [{ min: 80, label: 'Strong' }, { min: 0, label: 'Developing' }]
+  });
+
+  it('scores keyword criteria from the phrases the essay uses', () => {
+    const result = applyRubric(RESULTS, 'I led the robotics team to a regional title.', rubric);
+
+    expect(result.breakdown).toEqual({ arguments: 78, leadership: 84 });
+    expect(result.factors.arguments).toEqual(RESULTS.factors.arguments);
+    expect(result.criteria).toEqual([
+      { key: 'arguments', name: 'Arguments', weight: 2, score: 78, band: 'Developing', descriptor: '' },
+      { key: 'leadership', name: 'Leadership', weight: 1, score: 84, band: 'Strong', descriptor: '' }
+    ]);
+    expect(result.overallScore).toBe(80);
+  });
+
+  it('lists missing keyword criteria as improvements', () => {
+    const result = applyRubric(RESULTS, 'I wrote a quiet essay about gardening.', rubric);
+
+    expect(result.breakdown.leadership).toBe(55);
+    expect(result.improvements).toEqual([
+      'No evidence of leadership (looked for: led, team)',
+      'Vary sentence openings'
+    ]);
+  });
+
+  it('lets program weights override the rubric weights', () => {
+    const result = applyRubric(RESULTS, 'I led the team.', rubric, { rubricWeights: { arguments: 0 } });
+
+    expect(result.criteria[0].weight).toBe(0);
+    expect(result.overallScore).toBe(result.breakdown.leadership);
+  });
+
+  it('keeps the built-in scores under the default rubric', () => {
+    const result = applyRubric(RESULTS, 'Any text.', defaultRubric());
+
+    expect(result.breakdown).toEqual(RESULTS.breakdown);
+    expect(result.overallScore).toBe(75);
+    expect(result.rubric).toEqual({ rubricId: null, name: 'Standard rubric', version: 0 });
+  });
+});
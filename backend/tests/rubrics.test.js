@@ -0,0 +1,77 @@
+const request = require('supertest');
+const db = require('./helpers/db');
+const { createTestApp, signUp, signUpAs } = require('./helpers/app');
+const { Rubric } = require('../models');
+
+const app = createTestApp();
+
+const RUBRIC = {
+  name: 'Leadership focus',
+  level: 'mba',
+  criteria: [
+    { name: 'Arguments', source: 'arguments', weight: 2 },
+    { name: 'Leadership', source: 'keywords', keywords: ['led', 'team'] }
+  ]
+};
+
+let student;
+let counselor;
+
+// The first run downloads the MongoDB binary
+beforeAll(db.connect, 120000);
+beforeEach(async () => {
+  student = await signUp(app);
+  counselor = await signUpAs(app, 'counselor');
+});
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+const createRubric = (auth, body = RUBRIC) => request(app)
+  .post('/api/rubrics')
+  .set('Authorization', auth)
+  .send(body);
+
+describe('POST /api/rubrics', () => {
+  it('lets counselors and admins publish rubrics', async () => {
+    const admin = await signUpAs(app, 'admin');
+
+    const res = await createRubric(counselor.auth).expect(201);
+    expect(res.body.data).toMatchObject({ version: 1, createdBy: counselor.user.id });
+    expect(res.body.data.criteria.map(c => c.key)).toEqual(['arguments', 'leadership']);
+    await createRubric(admin.auth, { ...RUBRIC, name: 'Admin rubric' }).expect(201);
+  });
+
+  it('returns 403 for students', async () => {
+    const res = await createRubric(student.auth).expect(403);
+    expect(res.body.error).toBe('Counselor or admin access required');
+    expect(await Rubric.countDocuments()).toBe(0);
+  });
+
+  it('rejects criterion keys that cannot be stored as result keys', async () => {
+    const res = await createRubric(counselor.auth, {
+      ...RUBRIC,
+      criteria: [{ key: 'lead.ership', name: 'Leadership', source: 'keywords', keywords: ['led'] }]
+    }).expect(400);
+    expect(res.body.details).toEqual([expect.stringMatching(/^criteria\[0\]\.key/)]);
+  });
+});
+
+describe('rubric ownership', () => {
+  it('lets only the author change a rubric', async () => {
+    const rubric = (await createRubric(counselor.auth).expect(201)).body.data;
+    const other = await signUpAs(app, 'counselor');
+
+    await request(app)
+      .put(`/api/rubrics/${rubric._id}`)
+      .set('Authorization', other.auth)
+      .send({ ...RUBRIC, name: 'Renamed' })
+      .expect(403);
+
+    const res = await request(app)
+      .put(`/api/rubrics/${rubric._id}`)
+      .set('Authorization', counselor.auth)
+      .send({ ...RUBRIC, name: 'Renamed' })
+      .expect(200);
+    expect(res.body.data).toMatchObject({ name: 'Renamed', version: 2 });
+  });
+});
@@ -0,0 +1,63 @@
+const { BASE_SCORE, EVALUATION_STAGES, evaluationStages, evaluateEssayAI, computeOverallScore } = require('../services/scoring');
+const { DIMENSIONS } = require('../models/constants');
+
+const ESSAY = [
+  'When I started volunteering at the community garden, I did not expect it to change how I think about leadership.',
+  'For example, I learned that listening to the older volunteers mattered more than giving instructions.',
+  'However, some weeks I was unsure, because the plans we made kind of fell apart.',
+  '',
+  'As a result, our harvest doubled and the garden became a place where neighbours met every weekend.',
+  'In conclusion, I want to study urban planning so that more communities can grow together.'
+].join('\n');
+
+const totalImpact = (signals) => signals.reduce((sum, s) => sum + s.impact, 0);
+
+describe('evaluateEssayAI', () => {
+  it('gives identical results for identical input', () => {
+    const first = evaluateEssayAI(ESSAY, 'undergrad', { prompt: 'Why do you want to study urban planning?' });
+    const second = evaluateEssayAI(ESSAY, 'undergrad', { prompt: 'Why do you want to study urban planning?' });
+
+    expect(second).toEqual(first);
+  });
+
+  it('explains every dimension score with the signals that moved it from the base score', () => {
+    const { breakdown, factors } = evaluateEssayAI(ESSAY);
+
+    expect(Object.keys(breakdown)).toEqual(DIMENSIONS);
+    expect(Object.keys(factors)).toEqual(DIMENSIONS);
+    DIMENSIONS.forEach((dimension) => {
+      factors[dimension].forEach(factor => expect(factor).toEqual({ signal: expect.any(String), impact: expect.any(Number) }));
+      const expected = Math.min(100, Math.max(0, BASE_SCORE + totalImpact(factors[dimension])));
+      expect(breakdown[dimension]).toBeCloseTo(expected, 1);
+    });
+  });
+
+  it('weights the overall score by the program rubric weights', () => {
+    const program = { rubricWeights: { grammar: 3, arguments: 0 } };
+    const results = evaluateEssayAI(ESSAY, 'undergrad', { program });
+
+    expect(results.overallScore).toBe(computeOverallScore(results.breakdown, program.rubricWeights));
+    expect(results.overallScore).not.toBe(evaluateEssayAI(ESSAY).overallScore);
+  });
+});
+
+describe('evaluationStages', () => {
+  it('yields each analyzer in order and returns the same results as evaluateEssayAI', () => {
+    const stages = evaluationStages(ESSAY);
+    const seen = [];
+    let step = stages.next();
+    while (!step.done) {
+      seen.push(step.value.stage);
+      step = stages.next();
+    }
+
+    expect(seen).toEqual(EVALUATION_STAGES);
+    expect(step.value).toEqual(evaluateEssayAI(ESSAY));
+  });
+});
+
+describe('computeOverallScore', () => {
+  it('counts unweighted dimensions once and leaves out zero weights', () => {
+    expect(computeOverallScore({ grammar: 80, structure: 60, arguments: 20 }, { structure: 3, arguments: 0 })).toBe(65);
+  });
+});
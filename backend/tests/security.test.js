@@ -0,0 +1,38 @@
+const request = require('supertest');
+const { createTestApp } = require('./helpers/app');
+
+// No database here: /api requests past the limiters answer 503, which is
+// enough to see the limiters and headers at work.
+describe('security middleware', () => {
+  it('sends a restrictive content security policy and the other helmet headers', async () => {
+    const res = await request(createTestApp()).get('/api/health/live').expect(200);
+
+    expect(res.headers['content-security-policy'])
+      .toBe("default-src 'none';base-uri 'none';form-action 'none';frame-ancestors 'none'");
+    expect(res.headers['x-content-type-options']).toBe('nosniff');
+    expect(res.headers['x-powered-by']).toBeUndefined();
+  });
+
+  it('compresses responses for clients that accept it', async () => {
+    const res = await request(createTestApp()).get('/metrics').set('Accept-Encoding', 'gzip').expect(200);
+
+    expect(res.headers['content-encoding']).toBe('gzip');
+  });
+
+  it('limits requests per address with a 429 and Retry-After', async () => {
+    const app = createTestApp({ RATE_LIMIT_IP_MAX: '2', RATE_LIMIT_WINDOW_MS: '60000' });
+    await request(app).get('/api/essays').expect(503);
+    await request(app).get('/api/essays').expect(503);
+
+    const res = await request(app).get('/api/essays').expect(429);
+    expect(res.body).toMatchObject({ success: false, error: 'Too many requests, please try again later' });
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+    expect(res.headers.ratelimit).toMatch(/limit=2, remaining=0/);
+  });
+
+  it('leaves health checks out of the per-address limit', async () => {
+    const app = createTestApp({ RATE_LIMIT_IP_MAX: '1' });
+    await request(app).get('/api/health/live').expect(200);
+    await request(app).get('/api/health/live').expect(200);
+  });
+});
@@ -0,0 +1,2 @@
+// Loaded before every test file; keeps the JSON logs out of the test output
+process.env.LOG_LEVEL = 'error';
@@ -0,0 +1,65 @@
+const { analyzeText, countWords, splitParagraphs, rebaseSuggestions } = require('@orbit/text-analysis');
+const fixtures = require('./fixtures/text-analysis.json');
+
+describe.each(fixtures)('analyzeText: $name', ({ text, words, sentences, paragraphSentenceCounts }) => {
+  const analysis = analyzeText(text);
+
+  it('finds the words', () => {
+    expect(analysis.words.map(word => word.text)).toEqual(words);
+    expect(analysis.wordCount).toBe(words.length);
+    expect(countWords(text)).toBe(words.length);
+  });
+
+  it('splits sentences within paragraphs', () => {
+    expect(analysis.sentences.map(sentence => sentence.text)).toEqual(sentences);
+    expect(analysis.paragraphs.map(paragraph => paragraph.sentenceCount)).toEqual(paragraphSentenceCounts);
+  });
+
+  it('reports offsets into the original text', () => {
+    [...analysis.tokens, ...analysis.sentences, ...analysis.paragraphs].forEach((unit) => {
+      expect(text.slice(unit.start, unit.end)).toBe(unit.text);
+    });
+    analysis.sentences.forEach((sentence) => {
+      const paragraph = analysis.paragraphs[sentence.paragraph];
+      expect(sentence.start).toBeGreaterThanOrEqual(paragraph.start);
+      expect(sentence.end).toBeLessThanOrEqual(paragraph.end);
+    });
+  });
+});
+
+describe('splitParagraphs', () => {
+  it('trims each paragraph and skips blank lines', () => {
+    expect(splitParagraphs(' One.\n\n  \nTwo. \n')).toEqual([
+      { text: 'One.', start: 1, end: 5 },
+      { text: 'Two.', start: 10, end: 14 }
+    ]);
+  });
+});
+
+describe('rebaseSuggestions', () => {
+  const OLD = 'I has a dog. He run fast.';
+  const suggestions = [
+    { original: 'has', start: 2, end: 5 },
+    { original: 'run', start: 16, end: 19 },
+    { original: 'Vary your sentences' }
+  ];
+  const anchored = (text, rebased) => rebased.map(s => (s.start === undefined ? null : text.slice(s.start, s.end)));
+
+  it('shifts spans after the edit and keeps the ones before it', () => {
+    const text = 'I has a big dog. He run fast.';
+
+    expect(anchored(text, rebaseSuggestions(suggestions, OLD, text))).toEqual(['has', 'run', null]);
+  });
+
+  it('unanchors spans the edit touched', () => {
+    const text = 'I have a dog. He run fast.';
+    const rebased = rebaseSuggestions(suggestions, OLD, text);
+
+    expect(rebased[0]).toMatchObject({ original: 'has', start: undefined, end: undefined });
+    expect(anchored(text, rebased)).toEqual([null, 'run', null]);
+  });
+
+  it('returns the same suggestions when the text is unchanged', () => {
+    expect(rebaseSuggestions(suggestions, OLD, OLD)).toBe(suggestions);
+  });
+});
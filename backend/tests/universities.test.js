@@ -0,0 +1,84 @@
+const request = require('supertest');
+const db = require('./helpers/db');
+const { createTestApp, signUp, signUpAs } = require('./helpers/app');
+const { University } = require('../models');
+
+const app = createTestApp();
+
+const UNIVERSITY = {
+  name: 'Northfield University',
+  country: 'United States',
+  programs: [{ name: 'MBA', level: 'mba', wordLimit: { min: 300, max: 750 } }]
+};
+
+let student;
+let admin;
+
+// The first run downloads the MongoDB binary
+beforeAll(db.connect, 120000);
+beforeEach(async () => {
+  student = await signUp(app);
+  admin = await signUpAs(app, 'admin');
+});
+afterEach(db.clear);
+afterAll(db.disconnect);
+
+describe('university catalog', () => {
+  it('lets any signed-in user browse', async () => {
+    await University.create(UNIVERSITY);
+
+    const res = await request(app)
+      .get('/api/universities')
+      .query({ level: 'mba' })
+      .set('Authorization', student.auth)
+      .expect(200);
+    expect(res.body.data.map(u => u.name)).toEqual([UNIVERSITY.name]);
+  });
+
+  it('lets admins create, update and delete universities', async () => {
+    const created = await request(app)
+      .post('/api/universities')
+      .set('Authorization', admin.auth)
+      .send(UNIVERSITY)
+      .expect(201);
+    const id = created.body.data._id;
+
+    await request(app)
+      .put(`/api/universities/${id}`)
+      .set('Authorization', admin.auth)
+      .send({ country: 'Canada' })
+      .expect(200);
+    expect((await University.findById(id)).country).toBe('Canada');
+
+    await request(app)
+      .delete(`/api/universities/${id}`)
+      .set('Authorization', admin.auth)
+      .expect(200);
+    expect(await University.countDocuments()).toBe(0);
+  });
+
+  it('returns 403 when a student changes the catalog', async () => {
+    const university = await University.create(UNIVERSITY);
+
+    const res = await request(app)
+      .post('/api/universities')
+      .set('Authorization', student.auth)
+      .send({ ...UNIVERSITY, name: 'Student University' })
+      .expect(403);
+    expect(res.body).toEqual({ success: false, error: 'Admin access required' });
+
+    await request(app)
+      .put(`/api/universities/${university.id}`)
+      .set('Authorization', student.auth)
+      .send({ country: 'Canada' })
+      .expect(403);
+    await request(app)
+      .delete(`/api/universities/${university.id}`)
+      .set('Authorization', student.auth)
+      .expect(403);
+
+    expect(await University.find().select('name country -_id').lean()).toEqual([
+      { name: UNIVERSITY.name, country: UNIVERSITY.country }
+    ]);
+  });
+});
@@ -0,0 +1,45 @@
+const requiredString = (message) => ({
+  in: ['body'],
+  isString: { errorMessage: message, bail: true },
+  trim: true,
+  notEmpty: { errorMessage: message }
+});
+
+const email = {
+  in: ['body'],
+  isString: { errorMessage: 'A valid email is required', bail: true },
+  trim: true,
+  isEmail: { errorMessage: 'A valid email is required' }
+};
+
+const register = {
+  name: {
+    ...requiredString('Name is required'),
+    isLength: { options: { max: 100 }, errorMessage: 'Name must be at most 100 characters' }
+  },
+  email,
+  password: {
+    in: ['body'],
+    isString: { errorMessage: 'Password is required', bail: true },
+    isLength: { options: { min: 8, max: 128 }, errorMessage: 'Password must be 8 to 128 characters long' }
+  }
+};
+
+const login = {
+  email,
+  password: {
+    in: ['body'],
+    isString: { errorMessage: 'Password is required', bail: true },
+    notEmpty: { errorMessage: 'Password is required' }
+  }
+};
+
+const refresh = {
+  refreshToken: requiredString('Refresh token is required')
+};
+
+module.exports = {
+  register,
+  login,
+  refresh
+};
@@ -0,0 +1,83 @@
+// Building blocks shared by the express-validator schemas in this directory
+const { LEVELS, LIMIT_UNITS, LIMIT_MODES } = require('../models/constants');
+
+const oneOf = (values) => ({
+  options: [values],
+  errorMessage: `Must be one of: ${values.join(', ')}`
+});
+
+// Malformed ids fail with the route's not-found message (see validate)
+const idParam = (notFoundMessage) => ({
+  in: ['params'],
+  isMongoId: { errorMessage: notFoundMessage }
+});
+
+// Optional reference to another document; null or an empty string clears it
+const optionalId = (location = 'body') => ({
+  in: [location],
+  optional: { options: { values: 'falsy' } },
+  isMongoId: { errorMessage: 'Must be a valid id' }
+});
+
+const optionalString = (maxLength, location = 'body') => ({
+  in: [location],
+  optional: { options: { values: 'null' } },
+  isString: { errorMessage: 'Must be a string' },
+  isLength: { options: { max: maxLength }, errorMessage: `Must be at most ${maxLength} characters` }
+});
+
+const optionalOneOf = (values, location) => ({
+  in: [location],
+  optional: true,
+  isIn: oneOf(values)
+});
+
+const levelField = (location = 'body') => optionalOneOf(LEVELS, location);
+
+// Pagination bounds for list routes; values are converted to integers
+const pageQuery = {
+  in: ['query'],
+  optional: true,
+  isInt: { options: { min: 1, max: 10000 }, errorMessage: 'Must be an integer from 1 to 10000' },
+  toInt: true
+};
+
+const limitQuery = (max = 100) => ({
+  in: ['query'],
+  optional: true,
+  isInt: { options: { min: 1, max }, errorMessage: `Must be an integer from 1 to ${max}` },
+  toInt: true
+});
+
+const optionalCount = (location = 'body') => ({
+  in: [location],
+  optional: { options: { values: 'null' } },
+  isInt: { options: { min: 0 }, errorMessage: 'Must be a whole number of 0 or more' }
+});
+
+// Per-essay length limits; null removes them. Whether min exceeds max is
+// checked by normalizeLimits.
+const limitsFields = {
+  limits: {
+    in: ['body'],
+    optional: { options: { values: 'null' } },
+    isObject: { errorMessage: 'Must be an object' }
+  },
+  'limits.min': optionalCount(),
+  'limits.max': optionalCount(),
+  'limits.unit': optionalOneOf(LIMIT_UNITS, 'body'),
+  'limits.mode': optionalOneOf(LIMIT_MODES, 'body')
+};
+
+module.exports = {
+  oneOf,
+  idParam,
+  optionalId,
+  optionalString,
+  optionalOneOf,
+  levelField,
+  pageQuery,
+  limitQuery,
+  optionalCount,
+  limitsFields
+};
@@ -0,0 +1,157 @@
+const { ESSAY_STATUSES } = require('../models/constants');
+const { REPORT_FORMATS } = require('../services/reports');
+const {
+  oneOf,
+  idParam,
+  optionalId,
+  optionalString,
+  optionalOneOf,
+  levelField,
+  pageQuery,
+  limitQuery,
+  limitsFields
+} = require('./common');
+
+// 'evaluating' and 'failed' belong to the evaluation queue
+const WRITABLE_ESSAY_STATUSES = ['draft', 'evaluated', 'archived'];
+
+// Fields GET /api/essays may sort by; anything else is rejected rather than
+// passed on to the query
+const ESSAY_SORT_FIELDS = ['createdAt', 'updatedAt', 'wordCount', 'charCount', 'status', 'level', 'university', 'results.overallScore'];
+
+const MIN_ESSAY_LENGTH = 10;
+const MAX_ESSAY_LENGTH = 100000;
+
+const essayId = idParam('Essay not found');
+
+const revisionNumber = (location, errorMessage) => ({
+  in: [location],
+  isInt: { options: { min: 1 }, errorMessage },
+  toInt: true
+});
+
+const essayText = {
+  in: ['body'],
+  isString: { errorMessage: `Essay text must be at least ${MIN_ESSAY_LENGTH} characters long`, bail: true },
+  custom: {
+    options: value => value.trim().length >= MIN_ESSAY_LENGTH,
+    errorMessage: `Essay text must be at least ${MIN_ESSAY_LENGTH} characters long`,
+    bail: true
+  },
+  isLength: {
+    options: { max: MAX_ESSAY_LENGTH },
+    errorMessage: `Essay text must be at most ${MAX_ESSAY_LENGTH} characters long`
+  }
+};
+
+// Everything a draft carries besides its text
+const draftFields = {
+  prompt: optionalString(5000),
+  university: optionalString(200),
+  universityId: optionalId(),
+  programId: optionalId(),
+  rubricId: optionalId(),
+  level: levelField(),
+  ...limitsFields
+};
+
+const listEssays = {
+  page: pageQuery,
+  limit: limitQuery(100),
+  status: optionalOneOf(ESSAY_STATUSES, 'query'),
+  level: levelField('query'),
+  sortBy: optionalOneOf(ESSAY_SORT_FIELDS, 'query'),
+  sortOrder: optionalOneOf(['asc', 'desc'], 'query')
+};
+
+const essayById = {
+  id: essayId
+};
+
+const revision = {
+  id: essayId,
+  version: revisionNumber('params', 'Revision not found')
+};
+
+const diff = {
+  id: essayId,
+  from: revisionNumber('query', 'Must be a revision number'),
+  to: revisionNumber('query', 'Must be a revision number')
+};
+
+// Clients send the filename URI-encoded so it survives as a header value
+const isUriEncoded = (value) => {
+  try {
+    decodeURIComponent(value);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const importFile = {
+  'x-filename': {
+    ...optionalString(255, 'headers'),
+    custom: { options: isUriEncoded, errorMessage: 'Must be URI-encoded' }
+  }
+};
+
+const report = {
+  id: essayId,
+  format: optionalOneOf(REPORT_FORMATS, 'query'),
+  annotations: {
+    in: ['query'],
+    optional: true,
+    isBoolean: { errorMessage: 'Must be true or false' }
+  }
+};
+
+const createDraft = {
+  text: essayText,
+  ...draftFields
+};
+
+const evaluate = {
+  essayId: optionalId(),
+  text: essayText,
+  ...draftFields
+};
+
+// Drafts are autosaved as the student types, so any non-empty text is taken
+const updateEssay = {
+  id: essayId,
+  text: {
+    in: ['body'],
+    optional: { options: { values: 'falsy' } },
+    isString: { errorMessage: 'Must be a string', bail: true },
+    isLength: {
+      options: { max: MAX_ESSAY_LENGTH },
+      errorMessage: `Essay text must be at most ${MAX_ESSAY_LENGTH} characters long`
+    }
+  },
+  ...draftFields,
+  status: optionalOneOf(WRITABLE_ESSAY_STATUSES, 'body')
+};
+
+const decideSuggestion = {
+  id: essayId,
+  suggestionId: idParam('Suggestion not found'),
+  status: {
+    in: ['body'],
+    isIn: { ...oneOf(['accepted', 'rejected']), errorMessage: 'Status must be "accepted" or "rejected"' }
+  }
+};
+
+module.exports = {
+  ESSAY_SORT_FIELDS,
+  listEssays,
+  essayById,
+  revision,
+  diff,
+  importFile,
+  report,
+  createDraft,
+  evaluate,
+  updateEssay,
+  decideSuggestion
+};
@@ -0,0 +1,17 @@
+const { JOB_STATUSES } = require('../models/constants');
+const { idParam, optionalId, optionalOneOf, limitQuery } = require('./common');
+
+const listJobs = {
+  status: optionalOneOf(JOB_STATUSES, 'query'),
+  essayId: optionalId('query'),
+  limit: limitQuery(100)
+};
+
+const jobById = {
+  id: idParam('Job not found')
+};
+
+module.exports = {
+  listJobs,
+  jobById
+};
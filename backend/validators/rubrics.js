@@ -0,0 +1,52 @@
+// Request shape only; validateRubric checks the criteria and bands themselves
+const { idParam, optionalString, levelField } = require('./common');
+
+const rubricId = idParam('Rubric not found');
+
+const rubricFields = {
+  name: optionalString(200),
+  description: optionalString(2000),
+  level: levelField(),
+  criteria: {
+    in: ['body'],
+    optional: true,
+    isArray: { errorMessage: 'Must be an array' }
+  },
+  bands: {
+    in: ['body'],
+    optional: true,
+    isArray: { errorMessage: 'Must be an array' }
+  }
+};
+
+const listRubrics = {
+  level: levelField('query')
+};
+
+const rubricById = {
+  id: rubricId
+};
+
+const rubricVersion = {
+  id: rubricId,
+  version: {
+    in: ['params'],
+    isInt: { options: { min: 1 }, errorMessage: 'Rubric version not found' },
+    toInt: true
+  }
+};
+
+const createRubric = rubricFields;
+
+const updateRubric = {
+  id: rubricId,
+  ...rubricFields
+};
+
+module.exports = {
+  listRubrics,
+  rubricById,
+  rubricVersion,
+  createRubric,
+  updateRubric
+};
@@ -0,0 +1,71 @@
+const { idParam, optionalId, optionalString, levelField, limitQuery, optionalCount } = require('./common');
+
+const universityId = idParam('University not found');
+
+// Catalog fields; programs are checked item by item
+const universityFields = {
+  country: optionalString(100),
+  programs: {
+    in: ['body'],
+    optional: true,
+    isArray: { errorMessage: 'Must be an array' }
+  },
+  'programs.*.name': {
+    in: ['body'],
+    isString: { errorMessage: 'Program name is required', bail: true },
+    trim: true,
+    notEmpty: { errorMessage: 'Program name is required' }
+  },
+  'programs.*.level': levelField(),
+  'programs.*.essayType': optionalString(100),
+  'programs.*.prompts': {
+    in: ['body'],
+    optional: true,
+    isArray: { errorMessage: 'Must be an array' }
+  },
+  'programs.*.prompts.*': optionalString(5000),
+  'programs.*.wordLimit.min': optionalCount(),
+  'programs.*.wordLimit.max': optionalCount(),
+  'programs.*.rubricWeights.*': {
+    in: ['body'],
+    optional: { options: { values: 'null' } },
+    isFloat: { options: { min: 0 }, errorMessage: 'Must be a number of 0 or more' }
+  },
+  'programs.*.rubricId': optionalId()
+};
+
+const universityName = {
+  in: ['body'],
+  isString: { errorMessage: 'University name is required', bail: true },
+  trim: true,
+  notEmpty: { errorMessage: 'University name is required' },
+  isLength: { options: { max: 200 }, errorMessage: 'University name must be at most 200 characters' }
+};
+
+const listUniversities = {
+  search: optionalString(100, 'query'),
+  level: levelField('query'),
+  limit: limitQuery(100)
+};
+
+const universityById = {
+  id: universityId
+};
+
+const createUniversity = {
+  name: universityName,
+  ...universityFields
+};
+
+const updateUniversity = {
+  id: universityId,
+  name: { ...universityName, optional: true },
+  ...universityFields
+};
+
+module.exports = {
+  listUniversities,
+  universityById,
+  createUniversity,
+  updateUniversity
+};
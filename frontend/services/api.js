@@ -1,17 +1,101 @@
 // src/services/api.js
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
 
+const ACCESS_TOKEN_KEY = 'orbit.accessToken';
+const REFRESH_TOKEN_KEY = 'orbit.refreshToken';
+
+// One Server-Sent Events block: an `event:` line and JSON `data:` lines
+const parseServerEvent = (block) => {
+  let event = 'message';
+  const data = [];
+  block.split('\n').forEach((line) => {
+    if (line.startsWith('event:')) event = line.slice(6).trim();
+    else if (line.startsWith('data:')) data.push(line.slice(5).trim());
+  });
+  return { event, data: data.length > 0 ? JSON.parse(data.join('\n')) : null };
+};
+
+// Validation failures list each invalid field in `details`; those say more
+// than the summary in `error`
+const errorMessage = (data, fallback) => {
+  if (Array.isArray(data.details) && data.details.length > 0) {
+    return data.details
+      .map(detail => (typeof detail === 'string' ? detail : `${detail.field}: ${detail.message}`))
+      .join('; ');
+  }
+  return data.error || data.message || fallback;
+};
+
 class ApiService {
   constructor() {
     this.baseURL = API_BASE_URL;
+    this.accessToken = localStorage.getItem(ACCESS_TOKEN_KEY);
+    this.refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+    this.refreshPromise = null;
+    this.authListeners = new Set();
+  }
+
+  isAuthenticated() {
+    return Boolean(this.accessToken);
+  }
+
+  onAuthChange(listener) {
+    this.authListeners.add(listener);
+    return () => this.authListeners.delete(listener);
   }
 
-  async request(endpoint, options = {}) {
+  setTokens({ accessToken, refreshToken }) {
+    this.accessToken = accessToken;
+    this.refreshToken = refreshToken;
+    localStorage.setItem(ACCESS_TOKEN_KEY, accessToken);
+    localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+    this.authListeners.forEach(listener => listener(true));
+  }
+
+  clearTokens() {
+    this.accessToken = null;
+    this.refreshToken = null;
+    localStorage.removeItem(ACCESS_TOKEN_KEY);
+    localStorage.removeItem(REFRESH_TOKEN_KEY);
+    this.authListeners.forEach(listener => listener(false));
+  }
+
+  // Concurrent 401s share a single refresh call.
+  async refreshAccessToken() {
+    if (!this.refreshToken) {
+      return false;
+    }
+
+    if (!this.refreshPromise) {
+      this.refreshPromise = fetch(`${this.baseURL}/auth/refresh`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken: this.refreshToken }),
+      })
+        .then(async (response) => {
+          if (!response.ok) {
+            return false;
+          }
+          const { data } = await response.json();
+          this.setTokens(data);
+          return true;
+        })
+        .catch(() => false)
+        .finally(() => {
+          this.refreshPromise = null;
+        });
+    }
+
+    return this.refreshPromise;
+  }
+
+  async request(endpoint, options = {}, retryOnUnauthorized = true) {
     const url = `${this.baseURL}${endpoint}`;
     
     const defaultOptions = {
       headers: {
         'Content-Type': 'application/json',
+        ...(this.accessToken ? { Authorization: `Bearer ${this.accessToken}` } : {}),
       },
     };
 
@@ -26,10 +110,18 @@ class ApiService {
 
     try {
       const response = await fetch(url, config);
+
+      if (response.status === 401 && retryOnUnauthorized && this.refreshToken) {
+        if (await this.refreshAccessToken()) {
+          return this.request(endpoint, options, false);
+        }
+        this.clearTokens();
+      }
+
       const data = await response.json();
 
       if (!response.ok) {
-        throw new Error(data.error || data.message || 'Request failed');
+        throw Object.assign(new Error(errorMessage(data, 'Request failed')), { status: response.status });
       }
 
       return data;
@@ -39,6 +131,57 @@ class ApiService {
     }
   }
 
+  // For binary responses such as reports; errors still arrive as JSON
+  async download(endpoint, retryOnUnauthorized = true) {
+    const response = await fetch(`${this.baseURL}${endpoint}`, {
+      headers: this.accessToken ? { Authorization: `Bearer ${this.accessToken}` } : {},
+    });
+
+    if (response.status === 401 && retryOnUnauthorized && this.refreshToken) {
+      if (await this.refreshAccessToken()) {
+        return this.download(endpoint, false);
+      }
+      this.clearTokens();
+    }
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(errorMessage(data, 'Download failed'));
+    }
+
+    return response.blob();
+  }
+
+  async register(userData) {
+    const response = await this.request('/auth/register', {
+      method: 'POST',
+      body: JSON.stringify(userData),
+    }, false);
+    this.setTokens(response.data);
+    return response;
+  }
+
+  async login(credentials) {
+    const response = await this.request('/auth/login', {
+      method: 'POST',
+      body: JSON.stringify(credentials),
+    }, false);
+    this.setTokens(response.data);
+    return response;
+  }
+
+  async logout() {
+    try {
+      await this.request('/auth/logout', { method: 'POST' }, false);
+    } finally {
+      this.clearTokens();
+    }
+  }
+
+  async getCurrentUser() {
+    return this.request('/auth/me');
+  }
+
   async checkHealth() {
     return this.request('/health');
   }
@@ -52,13 +195,94 @@ class ApiService {
     return this.request(`/essays/${id}`);
   }
 
-  async evaluateEssay(essayData) {
-    return this.request('/essays/evaluate', {
+  async createDraft(essayData) {
+    return this.request('/essays', {
       method: 'POST',
       body: JSON.stringify(essayData),
     });
   }
 
+  async getRevisions(id) {
+    return this.request(`/essays/${id}/revisions`);
+  }
+
+  async getRevision(id, version) {
+    return this.request(`/essays/${id}/revisions/${version}`);
+  }
+
+  async diffRevisions(id, from, to) {
+    const queryString = new URLSearchParams({ from, to }).toString();
+    return this.request(`/essays/${id}/diff?${queryString}`);
+  }
+
+  async importFile(file) {
+    return this.request('/essays/import', {
+      method: 'POST',
+      body: file,
+      headers: {
+        'Content-Type': file.type || 'application/octet-stream',
+        'X-Filename': encodeURIComponent(file.name),
+      },
+    });
+  }
+
+  async downloadReport(id, params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    return this.download(`/essays/${id}/report?${queryString}`);
+  }
+
+  async getOverlaps(id) {
+    return this.request(`/essays/${id}/overlaps`);
+  }
+
+  // Streams the evaluation's progress events to onProgress and resolves with
+  // the evaluated essay. Aborting `signal` cancels the evaluation server-side.
+  async evaluateEssayStream(essayData, { onProgress, signal } = {}, retryOnUnauthorized = true) {
+    const response = await fetch(`${this.baseURL}/essays/evaluate/stream`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'text/event-stream',
+        ...(this.accessToken ? { Authorization: `Bearer ${this.accessToken}` } : {}),
+      },
+      body: JSON.stringify(essayData),
+      signal,
+    });
+
+    if (response.status === 401 && retryOnUnauthorized && this.refreshToken) {
+      if (await this.refreshAccessToken()) {
+        return this.evaluateEssayStream(essayData, { onProgress, signal }, false);
+      }
+      this.clearTokens();
+    }
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(errorMessage(data, 'Request failed'));
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const { event, data } = parseServerEvent(buffer.slice(0, boundary));
+        buffer = buffer.slice(boundary + 2);
+        if (event === 'progress' && onProgress) onProgress(data);
+        if (event === 'result') return data;
+        if (event === 'error') throw new Error(data.error || data.message);
+      }
+    }
+
+    throw new Error('Evaluation ended before a result was received');
+  }
+
   async updateEssay(id, updateData) {
     return this.request(`/essays/${id}`, {
       method: 'PUT',
@@ -66,12 +290,77 @@ class ApiService {
     });
   }
 
+  async updateSuggestion(id, suggestionId, status) {
+    return this.request(`/essays/${id}/suggestions/${suggestionId}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ status }),
+    });
+  }
+
   async deleteEssay(id) {
     return this.request(`/essays/${id}`, {
       method: 'DELETE',
     });
   }
 
+  async searchUniversities(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    return this.request(`/universities?${queryString}`);
+  }
+
+  async getUniversity(id) {
+    return this.request(`/universities/${id}`);
+  }
+
+  async createUniversity(universityData) {
+    return this.request('/universities', {
+      method: 'POST',
+      body: JSON.stringify(universityData),
+    });
+  }
+
+  async updateUniversity(id, universityData) {
+    return this.request(`/universities/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(universityData),
+    });
+  }
+
+  async deleteUniversity(id) {
+    return this.request(`/universities/${id}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async getRubrics(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    return this.request(`/rubrics?${queryString}`);
+  }
+
+  async getRubric(id) {
+    return this.request(`/rubrics/${id}`);
+  }
+
+  async createRubric(rubricData) {
+    return this.request('/rubrics', {
+      method: 'POST',
+      body: JSON.stringify(rubricData),
+    });
+  }
+
+  async updateRubric(id, rubricData) {
+    return this.request(`/rubrics/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(rubricData),
+    });
+  }
+
+  async deleteRubric(id) {
+    return this.request(`/rubrics/${id}`, {
+      method: 'DELETE',
+    });
+  }
+
   async getStatistics() {
     return this.request('/stats');
   }
@@ -84,7 +373,6 @@ export const {
   checkHealth,
   getEssays,
   getEssay,
-  evaluateEssay,
   updateEssay,
   deleteEssay,
   getStatistics,
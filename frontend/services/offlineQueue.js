@@ -0,0 +1,82 @@
+// src/services/offlineQueue.js
+// IndexedDB-backed queue of draft edits made while the API is unreachable.
+// Only the latest edit per draft is kept, keyed by the draft's local id.
+// Edits the API refuses outright stay in the queue flagged as `rejected` so
+// their text isn't lost; a newer edit of the same draft clears the flag.
+import apiService from './api';
+
+const DB_NAME = 'orbit-offline';
+const STORE_NAME = 'draftEdits';
+const DB_VERSION = 1;
+
+const openDatabase = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    request.result.createObjectStore(STORE_NAME, { keyPath: 'localId' });
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const withStore = async (mode, callback) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = callback(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request ? request.result : undefined);
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+};
+
+export const enqueueDraftEdit = ({ localId, essayId, data }) => withStore('readwrite', store =>
+  store.put({ localId, essayId: essayId || null, data, queuedAt: Date.now() })
+);
+
+export const getQueuedEdits = () => withStore('readonly', store => store.getAll());
+
+export const discardQueuedEdit = (localId) => withStore('readwrite', store => store.delete(localId));
+
+export const getRejectedEdits = async () => (await getQueuedEdits()).filter(edit => edit.rejected);
+
+const flagRejectedEdit = (edit, error) => withStore('readwrite', store =>
+  store.put({ ...edit, rejected: { status: error.status, message: error.message, at: Date.now() } })
+);
+
+// Network failures, server errors, an expired session and rate limiting may
+// all clear up; any other 4xx (a deleted essay, invalid data) never will.
+const isRetryable = error => !error.status || error.status >= 500 || [401, 408, 429].includes(error.status);
+
+// Replays queued edits against the API. Drafts that were created offline are
+// posted as new essays; `created` links their local ids to server ids.
+// Stops at the first retryable failure and throws it; edits the API rejects
+// are flagged and skipped so they never hold up the rest of the queue.
+export const syncOfflineQueue = async () => {
+  const created = {};
+  const edits = (await getQueuedEdits())
+    .filter(edit => !edit.rejected)
+    .sort((a, b) => a.queuedAt - b.queuedAt);
+
+  for (const edit of edits) {
+    try {
+      if (edit.essayId) {
+        await apiService.updateEssay(edit.essayId, edit.data);
+      } else {
+        const response = await apiService.createDraft(edit.data);
+        created[edit.localId] = response.data._id;
+      }
+    } catch (error) {
+      if (isRetryable(error)) throw error;
+      await flagRejectedEdit(edit, error);
+      continue;
+    }
+    await discardQueuedEdit(edit.localId);
+  }
+
+  return { created, rejected: await getRejectedEdits() };
+};
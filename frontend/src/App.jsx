@@ -1,12 +1,23 @@
 // src/App.jsx
+import { useEffect, useState } from 'react'
 import OrbitAI from './components/AIEssay'
+import AuthScreen from './components/AuthScreen'
+import apiService from '../services/api'
 import './index.css'
 
 
 function App() {
+  const [isAuthenticated, setIsAuthenticated] = useState(apiService.isAuthenticated())
+
+  useEffect(() => apiService.onAuthChange(setIsAuthenticated), [])
+
   return (
     <div className="App">
-      <OrbitAI />
+      {isAuthenticated ? (
+        <OrbitAI onSignOut={() => apiService.logout()} />
+      ) : (
+        <AuthScreen onAuthenticated={() => setIsAuthenticated(true)} />
+      )}
     </div>
   )
 }
@@ -1,162 +1,474 @@
-import React, { useState, useEffect } from 'react';
-import { Search, Send, Sparkles, BookOpen, TrendingUp, Award, ChevronRight, Menu, X, Save, Download, History, Zap } from 'lucide-react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { Send, Sparkles, BookOpen, TrendingUp, Award, ChevronRight, Menu, X, Save, Download, History, Zap, AlertCircle, RefreshCw, LogOut, Plus, Check, Upload } from 'lucide-react';
+import RevisionTimeline from './RevisionTimeline';
+import SuggestionEditor from './SuggestionEditor';
+import OverlapReport from './OverlapReport';
+import EvaluationProgress from './EvaluationProgress';
+import UniversitySearch from './UniversitySearch';
+import LimitSettings from './LimitSettings';
+import LimitRing from './LimitRing';
+import { countWords, rebaseSuggestions } from '@orbit/text-analysis';
+import apiService from '../../services/api';
+import { enqueueDraftEdit, discardQueuedEdit, getRejectedEdits, syncOfflineQueue } from '../../services/offlineQueue';
 import './styles.css';
 
-// Mock API endpoints (In production, replace with actual backend)
-const API_BASE = 'http://localhost:5000/api';
+const AUTOSAVE_DELAY = 1500;
+const MIN_DRAFT_LENGTH = 10;
 
-const OrbitAI = () => {
+// Shown above the results of an essay whose latest evaluation hasn't
+// replaced them (yet)
+const STATUS_NOTES = {
+  evaluating: 'An evaluation of this essay is still running.',
+  failed: 'The last evaluation of this essay failed.'
+};
+
+// Matches the server's request body limit
+const MAX_IMPORT_BYTES = 10 * 1024 * 1024;
+const IMPORT_ACCEPT = '.docx,.pdf,.md,.markdown,.rtf,.txt';
+
+const SAVE_STATUS_LABELS = {
+  saving: 'Saving...',
+  saved: 'Saved',
+  offline: 'Saved offline',
+  error: 'Not saved'
+};
+
+const READABILITY_LABELS = {
+  fleschReadingEase: 'Flesch Reading Ease',
+  fleschKincaidGrade: 'Flesch-Kincaid Grade',
+  gunningFog: 'Gunning Fog',
+  smog: 'SMOG',
+  colemanLiau: 'Coleman-Liau',
+  automatedReadabilityIndex: 'ARI'
+};
+
+// Evaluations made before rubrics only carry the breakdown map
+const criteriaOf = (results) => results.criteria?.length
+  ? results.criteria
+  : Object.entries(results.breakdown).map(([key, score]) => ({ key, name: key, score }));
+
+const createDraftKey = () => `local-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+const hasLimitBounds = (limits) => Boolean(limits) && (limits.min != null || limits.max != null);
+
+// Fields saved with a draft; also serialized to detect unsaved changes
+const toDraftData = ({ text, prompt, university, program, rubricId, limits, level }) => ({
+  text,
+  prompt,
+  university,
+  universityId: program ? program.universityId : null,
+  programId: program ? program.programId : null,
+  rubricId: rubricId || null,
+  limits: hasLimitBounds(limits)
+    ? { unit: limits.unit, min: limits.min ?? null, max: limits.max ?? null, mode: limits.mode }
+    : null,
+  level
+});
+
+const essayDraftData = (essay) => toDraftData({
+  text: essay.text,
+  prompt: essay.prompt || '',
+  university: essay.university || '',
+  program: essay.programId ? { universityId: essay.universityId, programId: essay.programId } : null,
+  rubricId: essay.rubricId,
+  limits: essay.limits,
+  level: essay.level || 'undergrad'
+});
+
+const OrbitAI = ({ onSignOut }) => {
   const [activeTab, setActiveTab] = useState('undergrad');
   const [essayText, setEssayText] = useState('');
+  const [essayPrompt, setEssayPrompt] = useState('');
   const [university, setUniversity] = useState('');
+  const [selectedProgram, setSelectedProgram] = useState(null);
+  const [rubrics, setRubrics] = useState([]);
+  const [rubricId, setRubricId] = useState('');
+  const [limits, setLimits] = useState(null);
   const [isEvaluating, setIsEvaluating] = useState(false);
+  const [evaluationProgress, setEvaluationProgress] = useState(null);
   const [results, setResults] = useState(null);
-  const [viewMode, setViewMode] = useState('feedback'); // 'feedback' or 'edits'
+  const [essayStatus, setEssayStatus] = useState(null);
+  const [evaluationError, setEvaluationError] = useState(null);
+  const [viewMode, setViewMode] = useState('feedback'); // 'feedback', 'edits' or 'versions'
   const [savedEssays, setSavedEssays] = useState([]);
   const [showMenu, setShowMenu] = useState(false);
   const [showHistory, setShowHistory] = useState(false);
 
-  // Load saved essays from storage
+  const [essayId, setEssayId] = useState(null);
+  const [saveStatus, setSaveStatus] = useState('idle'); // 'idle' | 'saving' | 'saved' | 'offline' | 'error'
+  const [rejectedEdits, setRejectedEdits] = useState([]);
+  const [revisionKey, setRevisionKey] = useState(0);
+  const [activeSuggestionId, setActiveSuggestionId] = useState(null);
+  const [exportAnnotations, setExportAnnotations] = useState(true);
+  const [isImporting, setIsImporting] = useState(false);
+  const [isDragging, setIsDragging] = useState(false);
+
+  const essayIdRef = useRef(null);
+  const draftKeyRef = useRef(createDraftKey());
+  const lastSavedRef = useRef('');
+  const saveQueueRef = useRef(Promise.resolve());
+  const fileInputRef = useRef(null);
+  const evaluationAbortRef = useRef(null);
+
+  const assignEssayId = (id) => {
+    essayIdRef.current = id;
+    setEssayId(id);
+  };
+
+  const loadSavedEssays = useCallback(async () => {
+    try {
+      const response = await apiService.getEssays({ limit: 50, sortBy: 'updatedAt' });
+      setSavedEssays(response.data);
+    } catch (error) {
+      console.log('Could not load saved essays:', error);
+    }
+  }, []);
+
+  const flushOfflineQueue = useCallback(async () => {
+    try {
+      const { created, rejected } = await syncOfflineQueue();
+      if (created[draftKeyRef.current]) {
+        assignEssayId(created[draftKeyRef.current]);
+      }
+      const currentRejected = rejected.some(edit => edit.localId === draftKeyRef.current);
+      setSaveStatus(status => (status === 'offline' ? (currentRejected ? 'error' : 'saved') : status));
+      setRejectedEdits(rejected);
+      await loadSavedEssays();
+    } catch (error) {
+      // Still unreachable; the queue is retried on the next 'online' event.
+      console.log('Offline queue not synced yet:', error);
+      getRejectedEdits().then(setRejectedEdits).catch(() => {});
+    }
+  }, [loadSavedEssays]);
+
+  // Load saved essays from the server and replay edits made while offline
   useEffect(() => {
     loadSavedEssays();
-  }, []);
+    flushOfflineQueue();
+    window.addEventListener('online', flushOfflineQueue);
+    return () => window.removeEventListener('online', flushOfflineQueue);
+  }, [loadSavedEssays, flushOfflineQueue]);
+
+  const persistDraft = async (data) => {
+    const snapshot = JSON.stringify(data);
+    const localId = draftKeyRef.current;
+    setSaveStatus('saving');
 
-  const loadSavedEssays = async () => {
     try {
-      const keys = await window.storage.list('essay:');
-      if (keys && keys.keys) {
-        const essays = [];
-        for (const key of keys.keys) {
-          try {
-            const result = await window.storage.get(key);
-            if (result) {
-              essays.push(JSON.parse(result.value));
-            }
-          } catch (err) {
-            console.log('Error loading essay:', err);
-          }
-        }
-        setSavedEssays(essays.sort((a, b) => b.timestamp - a.timestamp));
+      if (essayIdRef.current) {
+        await apiService.updateEssay(essayIdRef.current, data);
+      } else {
+        const response = await apiService.createDraft(data);
+        assignEssayId(response.data._id);
       }
+      await discardQueuedEdit(localId);
+      lastSavedRef.current = snapshot;
+      setSaveStatus('saved');
+      setRevisionKey(key => key + 1);
+      loadSavedEssays();
     } catch (error) {
-      console.log('Storage not available:', error);
+      if (error instanceof TypeError) {
+        await enqueueDraftEdit({ localId, essayId: essayIdRef.current, data });
+        lastSavedRef.current = snapshot;
+        setSaveStatus('offline');
+      } else {
+        console.error('Error saving draft:', error);
+        setSaveStatus('error');
+      }
     }
   };
 
-  const saveEssay = async () => {
-    if (!essayText.trim()) return;
-    
-    const essay = {
-      id: Date.now().toString(),
-      text: essayText,
-      university,
-      level: activeTab,
-      timestamp: Date.now(),
-      wordCount: essayText.trim().split(/\s+/).length
-    };
+  const currentDraftData = () => toDraftData({
+    text: essayText,
+    prompt: essayPrompt,
+    university,
+    program: selectedProgram,
+    rubricId,
+    limits,
+    level: activeTab
+  });
+
+  // Saves run one after another so a slow create never races a later update
+  const saveEssay = () => {
+    if (essayText.trim().length < MIN_DRAFT_LENGTH) return Promise.resolve();
+
+    const data = currentDraftData();
+    saveQueueRef.current = saveQueueRef.current.then(() => persistDraft(data));
+    return saveQueueRef.current;
+  };
+
+  // Debounced autosave
+  useEffect(() => {
+    const snapshot = JSON.stringify(currentDraftData());
+    if (essayText.trim().length < MIN_DRAFT_LENGTH || snapshot === lastSavedRef.current) return;
 
+    const timer = setTimeout(saveEssay, AUTOSAVE_DELAY);
+    return () => clearTimeout(timer);
+  });
+
+  const startNewEssay = () => {
+    assignEssayId(null);
+    draftKeyRef.current = createDraftKey();
+    lastSavedRef.current = '';
+    setEssayText('');
+    setEssayPrompt('');
+    setUniversity('');
+    setSelectedProgram(null);
+    setRubricId('');
+    setLimits(null);
+    setResults(null);
+    setEssayStatus(null);
+    setSaveStatus('idle');
+    setShowHistory(false);
+  };
+
+  // Fills in the prompts and limits of a loaded essay's program
+  const loadProgram = async (essay) => {
     try {
-      await window.storage.set(`essay:${essay.id}`, JSON.stringify(essay));
-      await loadSavedEssays();
-      alert('Essay saved successfully!');
+      const response = await apiService.getUniversity(essay.universityId);
+      const program = response.data.programs.find(p => p._id === essay.programId);
+      if (program && essayIdRef.current === essay._id) {
+        setSelectedProgram({
+          universityId: essay.universityId,
+          universityName: response.data.name,
+          programId: essay.programId,
+          name: program.name,
+          level: program.level,
+          essayType: program.essayType,
+          prompts: program.prompts,
+          wordLimit: program.wordLimit,
+          rubricId: program.rubricId
+        });
+      }
     } catch (error) {
-      console.error('Error saving essay:', error);
-      alert('Failed to save essay');
+      console.log('Could not load university program:', error);
+    }
+  };
+
+  // A catalog program fixes the essay level and may suggest a rubric and prompt
+  const selectProgram = (program) => {
+    setSelectedProgram(program);
+    if (program) {
+      setActiveTab(program.level);
+      if (program.rubricId) setRubricId(program.rubricId);
+      if (!essayPrompt.trim() && program.prompts?.length) setEssayPrompt(program.prompts[0]);
+      if (!hasLimitBounds(limits) && program.wordLimit) {
+        setLimits({ unit: 'words', min: program.wordLimit.min ?? null, max: program.wordLimit.max ?? null, mode: 'hard' });
+      }
     }
   };
 
+  const changeLevel = (level) => {
+    if (level !== activeTab) setRubricId('');
+    setActiveTab(level);
+    if (selectedProgram && selectedProgram.level !== level) {
+      setSelectedProgram(null);
+    }
+  };
+
+  // Rubrics are level-specific, so the list follows the active tab
+  useEffect(() => {
+    let cancelled = false;
+    apiService.getRubrics({ level: activeTab })
+      .then((response) => {
+        if (!cancelled) setRubrics(response.data);
+      })
+      .catch(error => console.log('Could not load rubrics:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [activeTab]);
+
   const loadEssay = (essay) => {
+    assignEssayId(essay._id);
+    draftKeyRef.current = essay._id;
+    lastSavedRef.current = JSON.stringify(essayDraftData(essay));
     setEssayText(essay.text);
+    setEssayPrompt(essay.prompt || '');
     setUniversity(essay.university || '');
+    setSelectedProgram(essay.programId
+      ? { universityId: essay.universityId, universityName: essay.university, programId: essay.programId }
+      : null);
+    if (essay.programId) {
+      loadProgram(essay);
+    }
+    setRubricId(essay.rubricId || '');
+    setLimits(essay.limits || null);
     setActiveTab(essay.level || 'undergrad');
+    setResults(essay.results || null);
+    setEssayStatus(essay.status);
+    setSaveStatus('saved');
     setShowHistory(false);
   };
 
+  const dismissRejectedEdit = async (edit) => {
+    await discardQueuedEdit(edit.localId);
+    setRejectedEdits(edits => edits.filter(e => e.localId !== edit.localId));
+  };
+
+  // Opens an edit the server refused as a new draft, so its text isn't lost
+  const restoreRejectedEdit = async (edit) => {
+    const { data } = edit;
+    startNewEssay();
+    setEssayText(data.text);
+    setEssayPrompt(data.prompt || '');
+    setUniversity(data.university || '');
+    setRubricId(data.rubricId || '');
+    setLimits(data.limits || null);
+    setActiveTab(data.level || 'undergrad');
+    await dismissRejectedEdit(edit);
+  };
+
   const deleteEssay = async (id) => {
     try {
-      await window.storage.delete(`essay:${id}`);
+      await apiService.deleteEssay(id);
+      if (id === essayIdRef.current) {
+        startNewEssay();
+      }
       await loadSavedEssays();
     } catch (error) {
       console.error('Error deleting essay:', error);
     }
   };
 
+  const handleTextChange = (newText) => {
+    setResults(current => current && {
+      ...current,
+      suggestions: rebaseSuggestions(current.suggestions, essayText, newText)
+    });
+    setEssayText(newText);
+  };
+
+  // Replaces the draft with the text of a Word, PDF, Markdown, RTF or text
+  // file. Previous results no longer line up with the text, so they're cleared.
+  const importFile = async (file) => {
+    if (!file) return;
+    if (file.size > MAX_IMPORT_BYTES) {
+      alert('Files must be 10 MB or smaller');
+      return;
+    }
+    if (essayText.trim() && !window.confirm(`Replace the current draft with ${file.name}?`)) {
+      return;
+    }
+
+    setIsImporting(true);
+    try {
+      const response = await apiService.importFile(file);
+      setEssayText(response.data.text);
+      setResults(null);
+      setActiveSuggestionId(null);
+    } catch (error) {
+      console.error('Import failed:', error);
+      alert(error.message);
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const handleDragOver = (e) => {
+    if (!e.dataTransfer.types.includes('Files')) return;
+    e.preventDefault();
+    setIsDragging(true);
+  };
+
+  const handleDrop = (e) => {
+    if (!e.dataTransfer.files.length) return;
+    e.preventDefault();
+    setIsDragging(false);
+    importFile(e.dataTransfer.files[0]);
+  };
+
+  // Decisions are applied on the server against the saved text, so pending
+  // edits are flushed first and the returned essay replaces local state.
+  const decideSuggestion = async (suggestion, status) => {
+    try {
+      await saveEssay();
+      const response = await apiService.updateSuggestion(essayIdRef.current, suggestion._id, status);
+      const essay = response.data;
+      lastSavedRef.current = JSON.stringify(essayDraftData(essay));
+      setEssayText(essay.text);
+      setResults(essay.results);
+      setActiveSuggestionId(null);
+      setRevisionKey(key => key + 1);
+    } catch (error) {
+      console.error('Error updating suggestion:', error);
+      alert(error.message);
+    }
+  };
+
   const evaluateEssay = async () => {
     if (!essayText.trim()) {
       alert('Please write your essay first!');
       return;
     }
 
+    const controller = new AbortController();
+    evaluationAbortRef.current = controller;
     setIsEvaluating(true);
-    
-    // Simulate AI evaluation with realistic processing
-    setTimeout(() => {
-      const wordCount = essayText.trim().split(/\s+/).length;
-      const score = Math.min(95, Math.max(60, 75 + Math.random() * 15));
-      
-      const mockResults = {
-        overallScore: score,
-        breakdown: {
-          grammar: Math.min(100, score + Math.random() * 10),
-          structure: Math.min(100, score + Math.random() * 8),
-          coherence: Math.min(100, score + Math.random() * 12),
-          vocabulary: Math.min(100, score + Math.random() * 10),
-          arguments: Math.min(100, score + Math.random() * 15)
-        },
-        strengths: [
-          'Strong thesis statement with clear positioning',
-          'Effective use of transitional phrases',
-          'Well-developed supporting arguments',
-          'Appropriate academic tone maintained throughout'
-        ],
-        improvements: [
-          'Consider adding more specific examples to support main arguments',
-          'The conclusion could more explicitly tie back to the thesis',
-          'Some sentences are overly complex - simplify for clarity',
-          'Add more varied sentence structures for better flow'
-        ],
-        suggestions: [
-          {
-            original: 'The impact of technology on education is significant.',
-            improved: 'Technology has fundamentally transformed educational methodologies, creating unprecedented opportunities for personalized learning.',
-            reason: 'More specific and impactful opening'
-          },
-          {
-            original: 'Many students use computers.',
-            improved: 'Contemporary students leverage digital devices as primary tools for research, collaboration, and knowledge acquisition.',
-            reason: 'Enhanced vocabulary and precision'
-          }
-        ],
-        wordCount,
-        readability: 'College Level',
-        estimatedReadTime: Math.ceil(wordCount / 200)
-      };
-
-      setResults(mockResults);
+    setEvaluationError(null);
+    setEvaluationProgress({ completed: 0, total: 0, stage: null, stages: {} });
+
+    try {
+      const essay = await apiService.evaluateEssayStream({
+        essayId: essayIdRef.current,
+        ...currentDraftData()
+      }, {
+        signal: controller.signal,
+        onProgress: (event) => setEvaluationProgress(current => ({
+          completed: event.completed,
+          total: event.total,
+          stage: event.stage,
+          stages: { ...current.stages, [event.stage]: event }
+        }))
+      });
+      assignEssayId(essay._id);
+      lastSavedRef.current = JSON.stringify(essayDraftData(essay));
+      setResults(essay.results);
+      setEssayStatus(essay.status);
+      setRevisionKey(key => key + 1);
+      loadSavedEssays();
+    } catch (error) {
+      // Cancelled by the user; the previous results stay as they were
+      if (error.name === 'AbortError') return;
+      setEvaluationError(
+        error instanceof TypeError
+          ? 'Could not reach the evaluation server. Check your connection and try again.'
+          : error.message
+      );
+    } finally {
+      evaluationAbortRef.current = null;
       setIsEvaluating(false);
-    }, 2500);
+      setEvaluationProgress(null);
+    }
   };
 
-  const exportResults = () => {
-    if (!results) return;
-    
-    const exportData = {
-      essay: essayText,
-      university,
-      level: activeTab,
-      results,
-      exportDate: new Date().toISOString()
-    };
+  const cancelEvaluation = () => {
+    if (evaluationAbortRef.current) {
+      evaluationAbortRef.current.abort();
+    }
+  };
+
+  // Leaving the page cancels an evaluation still in flight
+  useEffect(() => () => cancelEvaluation(), []);
+
+  const exportResults = async (format) => {
+    if (!results || !essayId) return;
     
-    const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `orbit-ai-evaluation-${Date.now()}.json`;
-    a.click();
+    try {
+      const blob = await apiService.downloadReport(essayId, { format, annotations: exportAnnotations });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `orbit-ai-report-${Date.now()}.${format}`;
+      a.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Export failed:', error);
+      alert(error.message);
+    }
   };
 
-  const wordCount = essayText.trim().split(/\s+/).filter(w => w).length;
+  const wordCount = countWords(essayText);
   const charCount = essayText.length;
 
   return (
@@ -189,13 +501,13 @@ const OrbitAI = () => {
           <div className="header-right">
             <nav className="tab-nav">
               <button
-                onClick={() => setActiveTab('undergrad')}
+                onClick={() => changeLevel('undergrad')}
                 className={`tab-button ${activeTab === 'undergrad' ? 'active' : ''}`}
               >
                 Undergrad
               </button>
               <button
-                onClick={() => setActiveTab('mba')}
+                onClick={() => changeLevel('mba')}
                 className={`tab-button ${activeTab === 'mba' ? 'active' : ''}`}
               >
                 MBA
@@ -209,6 +521,11 @@ const OrbitAI = () => {
               <History size={18} />
               <span>History</span>
             </button>
+
+            <button onClick={onSignOut} className="history-button">
+              <LogOut size={18} />
+              <span>Sign out</span>
+            </button>
           </div>
         </div>
       </header>
@@ -219,9 +536,14 @@ const OrbitAI = () => {
           <div className="history-content">
             <div className="history-header">
               <h3>Saved Essays</h3>
-              <button onClick={() => setShowHistory(false)} className="close-button">
-                <X size={20} />
-              </button>
+              <div className="history-actions">
+                <button onClick={startNewEssay} className="close-button" title="New essay">
+                  <Plus size={20} />
+                </button>
+                <button onClick={() => setShowHistory(false)} className="close-button">
+                  <X size={20} />
+                </button>
+              </div>
             </div>
             
             {savedEssays.length === 0 ? (
@@ -229,7 +551,7 @@ const OrbitAI = () => {
             ) : (
               <div className="essay-list">
                 {savedEssays.map((essay) => (
-                  <div key={essay.id} className="essay-item">
+                  <div key={essay._id} className={`essay-item ${essay._id === essayId ? 'active' : ''}`}>
                     <div className="essay-item-content" onClick={() => loadEssay(essay)}>
                       <p className="essay-preview">
                         {essay.text.substring(0, 50)}...
@@ -237,13 +559,15 @@ const OrbitAI = () => {
                       <div className="essay-meta">
                         <span>{essay.wordCount} words</span>
                         <span>•</span>
-                        <span>{new Date(essay.timestamp).toLocaleDateString()}</span>
+                        <span>{new Date(essay.updatedAt).toLocaleDateString()}</span>
+                        <span>•</span>
+                        <span className={`essay-status essay-status-${essay.status}`}>{essay.status}</span>
                       </div>
                     </div>
                     <button
                       onClick={(e) => {
                         e.stopPropagation();
-                        deleteEssay(essay.id);
+                        deleteEssay(essay._id);
                       }}
                       className="delete-button"
                     >
@@ -263,30 +587,105 @@ const OrbitAI = () => {
           {/* Left: Essay Input */}
           <div className="input-section">
             <div className="input-card">
-              <div className="search-container">
-                <div className="search-input-wrapper">
-                  <Search className="search-icon" size={20} />
-                  <input
-                    type="text"
-                    placeholder="Search University (optional)"
-                    value={university}
-                    onChange={(e) => setUniversity(e.target.value)}
-                    className="search-input"
-                  />
-                </div>
+              <UniversitySearch
+                value={university}
+                onChange={setUniversity}
+                selectedProgram={selectedProgram}
+                onSelectProgram={selectProgram}
+              />
+
+              <div className="rubric-select-container">
+                <label htmlFor="rubric-select" className="rubric-select-label">Rubric</label>
+                <select
+                  id="rubric-select"
+                  value={rubricId}
+                  onChange={(e) => setRubricId(e.target.value)}
+                  className="rubric-select"
+                >
+                  <option value="">Standard rubric</option>
+                  {rubrics.map(rubric => (
+                    <option key={rubric._id} value={rubric._id}>
+                      {rubric.name} (v{rubric.version})
+                    </option>
+                  ))}
+                </select>
               </div>
 
-              <div className="textarea-container">
+              <div className="prompt-container">
+                <label htmlFor="essay-prompt" className="prompt-label">Essay prompt (optional)</label>
                 <textarea
+                  id="essay-prompt"
+                  placeholder="Paste the question your essay answers..."
+                  value={essayPrompt}
+                  onChange={(e) => setEssayPrompt(e.target.value)}
+                  rows={2}
+                  className="prompt-input"
+                />
+              </div>
+
+              <LimitSettings limits={limits} onChange={setLimits} />
+
+              {rejectedEdits.length > 0 && (
+                <div className="sync-notice">
+                  <AlertCircle size={18} className="sync-notice-icon" />
+                  <div className="sync-notice-body">
+                    <p className="sync-notice-title">
+                      {rejectedEdits.length === 1 ? 'An edit saved offline' : `${rejectedEdits.length} edits saved offline`} could not be synced
+                    </p>
+                    {rejectedEdits.map(edit => (
+                      <div key={edit.localId} className="sync-notice-item">
+                        <p className="sync-notice-text">
+                          "{edit.data.text.slice(0, 60)}{edit.data.text.length > 60 ? '...' : ''}" - {edit.rejected.message}
+                        </p>
+                        <div className="sync-notice-actions">
+                          <button onClick={() => restoreRejectedEdit(edit)} className="sync-notice-button">
+                            Open as new draft
+                          </button>
+                          <button onClick={() => dismissRejectedEdit(edit)} className="sync-notice-button">
+                            Discard
+                          </button>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              <div
+                className={`textarea-container ${isDragging ? 'dragging' : ''}`}
+                onDragOver={handleDragOver}
+                onDragLeave={(e) => !e.currentTarget.contains(e.relatedTarget) && setIsDragging(false)}
+                onDrop={handleDrop}
+              >
+                {(isDragging || isImporting) && (
+                  <div className="drop-overlay">
+                    <Upload size={28} />
+                    <p>{isImporting ? 'Importing...' : 'Drop a .docx, .pdf, .md, .rtf or .txt file'}</p>
+                  </div>
+                )}
+
+                <SuggestionEditor
                   placeholder="Type your essay answer here..."
                   value={essayText}
-                  onChange={(e) => setEssayText(e.target.value)}
-                  className="essay-textarea"
+                  onChange={handleTextChange}
+                  suggestions={results?.suggestions}
+                  activeSuggestionId={activeSuggestionId}
+                  onActivateSuggestion={setActiveSuggestionId}
+                  onDecision={decideSuggestion}
                 />
                 
                 {/* Floating Word Count */}
                 <div className="word-count-badge">
-                  <p>{wordCount} words • {charCount} characters</p>
+                  {hasLimitBounds(limits) && (
+                    <LimitRing
+                      count={limits.unit === 'characters' ? charCount : wordCount}
+                      limits={limits}
+                    />
+                  )}
+                  <p>
+                    {wordCount} words • {charCount} characters
+                    {SAVE_STATUS_LABELS[saveStatus] && ` • ${SAVE_STATUS_LABELS[saveStatus]}`}
+                  </p>
                 </div>
               </div>
 
@@ -316,6 +715,25 @@ const OrbitAI = () => {
                 >
                   <Save size={20} />
                 </button>
+
+                <button
+                  onClick={() => fileInputRef.current.click()}
+                  disabled={isImporting}
+                  className="save-button"
+                  title="Import from file"
+                >
+                  <Upload size={20} />
+                </button>
+                <input
+                  ref={fileInputRef}
+                  type="file"
+                  accept={IMPORT_ACCEPT}
+                  onChange={(e) => {
+                    importFile(e.target.files[0]);
+                    e.target.value = '';
+                  }}
+                  hidden
+                />
               </div>
             </div>
 
@@ -356,11 +774,44 @@ const OrbitAI = () => {
                 >
                   Specific Edits
                 </button>
+                {essayId && (
+                  <button
+                    onClick={() => setViewMode('versions')}
+                    className={`results-tab ${viewMode === 'versions' ? 'active' : ''}`}
+                  >
+                    Versions
+                  </button>
+                )}
               </div>
 
               {/* Results Content */}
               <div className="results-content">
-                {!results ? (
+                {!evaluationProgress && !evaluationError && STATUS_NOTES[essayStatus] && (
+                  <div className={`status-note status-note-${essayStatus}`}>
+                    <AlertCircle size={18} />
+                    <p>
+                      {STATUS_NOTES[essayStatus]}
+                      {results && ' The results below are from an earlier evaluation.'}
+                    </p>
+                  </div>
+                )}
+                {evaluationProgress ? (
+                  <EvaluationProgress progress={evaluationProgress} onCancel={cancelEvaluation} />
+                ) : evaluationError ? (
+                  <div className="empty-results">
+                    <div className="empty-icon error-icon">
+                      <AlertCircle size={40} />
+                    </div>
+                    <h3 className="empty-title">Evaluation failed</h3>
+                    <p className="empty-description">{evaluationError}</p>
+                    <button onClick={evaluateEssay} className="retry-button">
+                      <RefreshCw size={18} />
+                      <span>Try again</span>
+                    </button>
+                  </div>
+                ) : viewMode === 'versions' && essayId ? (
+                  <RevisionTimeline essayId={essayId} refreshKey={revisionKey} />
+                ) : !results ? (
                   <div className="empty-results">
                     <div className="empty-icon">
                       <Sparkles size={40} />
@@ -389,25 +840,107 @@ const OrbitAI = () => {
                       </div>
                     </div>
 
+                    {results.limitCheck && results.limitCheck.status !== 'within' && (
+                      <div className={`limit-flag limit-flag-${results.limitCheck.mode}`}>
+                        <AlertCircle size={18} />
+                        <p>{results.limitCheck.message}</p>
+                      </div>
+                    )}
+
                     {/* Breakdown */}
                     <div className="breakdown-section">
                       <h4 className="section-title">Performance Breakdown</h4>
-                      {Object.entries(results.breakdown).map(([key, value]) => (
+                      {results.rubric && (
+                        <p className="rubric-caption">
+                          Scored with {results.rubric.name}
+                          {results.rubric.version > 0 && ` v${results.rubric.version}`}
+                        </p>
+                      )}
+                      {criteriaOf(results).map(({ key, name, score, weight, band, descriptor }) => (
                         <div key={key} className="breakdown-item">
                           <div className="breakdown-header">
-                            <span className="breakdown-label">{key}</span>
-                            <span className="breakdown-value">{Math.round(value)}%</span>
+                            <span className="breakdown-label">
+                              {name}
+                              {weight != null && weight !== 1 && <span className="criterion-weight"> ×{weight}</span>}
+                            </span>
+                            <span className="breakdown-value">
+                              {band && <span className="criterion-band" title={descriptor}>{band}</span>}
+                              {Math.round(score)}%
+                            </span>
                           </div>
                           <div className="breakdown-bar">
                             <div
                               className="breakdown-bar-fill"
-                              style={{ width: `${value}%` }}
+                              style={{ width: `${score}%` }}
                             ></div>
                           </div>
+                          {results.factors?.[key]?.length > 0 && (
+                            <ul className="factor-list">
+                              {results.factors[key].map((factor, idx) => (
+                                <li
+                                  key={idx}
+                                  className={`factor-item ${factor.impact >= 0 ? 'factor-positive' : 'factor-negative'}`}
+                                >
+                                  <span className="factor-impact">
+                                    {factor.impact >= 0 ? '+' : ''}{factor.impact}
+                                  </span>
+                                  <span>{factor.signal}</span>
+                                </li>
+                              ))}
+                            </ul>
+                          )}
                         </div>
                       ))}
                     </div>
 
+                    {/* Readability */}
+                    {results.readabilityMetrics && (
+                      <div className="breakdown-section">
+                        <h4 className="section-title">
+                          <BookOpen className="section-icon icon-blue" size={20} />
+                          Readability • {results.readability}
+                        </h4>
+                        {Object.entries(READABILITY_LABELS)
+                          .filter(([key]) => results.readabilityMetrics[key])
+                          .map(([key, label]) => {
+                            const metric = results.readabilityMetrics[key];
+                            return (
+                              <div key={key} className={`readability-item readability-${metric.status}`}>
+                                <div className="breakdown-header">
+                                  <span className="breakdown-label">{label}</span>
+                                  <span className="breakdown-value">
+                                    {metric.value}
+                                    <span className="readability-target"> (target {metric.min}–{metric.max})</span>
+                                  </span>
+                                </div>
+                                <p className="readability-interpretation">{metric.interpretation}</p>
+                              </div>
+                            );
+                          })}
+                      </div>
+                    )}
+
+                    {/* Prompt adherence */}
+                    {results.promptAdherence && (
+                      <div className="breakdown-section">
+                        <h4 className="section-title">
+                          <Zap className="section-icon icon-yellow" size={20} />
+                          Prompt Coverage • {results.promptAdherence.overlap}% of key terms
+                        </h4>
+                        {results.promptAdherence.parts.map((part, idx) => (
+                          <div key={idx} className={`prompt-part ${part.covered ? 'prompt-part-covered' : 'prompt-part-missing'}`}>
+                            {part.covered ? <Check size={16} /> : <X size={16} />}
+                            <div>
+                              <p className="prompt-part-text">{part.text}</p>
+                              {part.missingTerms.length > 0 && (
+                                <p className="prompt-part-terms">Not mentioned: {part.missingTerms.join(', ')}</p>
+                              )}
+                            </div>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+
                     {/* Strengths */}
                     <div className="feedback-section">
                       <h4 className="section-title">
@@ -440,17 +973,40 @@ const OrbitAI = () => {
                       </div>
                     </div>
 
-                    {/* Export Button */}
-                    <button onClick={exportResults} className="export-button">
-                      <Download size={20} />
-                      <span>Export Results</span>
-                    </button>
+                    {/* Export Report */}
+                    <div className="export-options">
+                      <label className="export-annotations">
+                        <input
+                          type="checkbox"
+                          checked={exportAnnotations}
+                          onChange={(e) => setExportAnnotations(e.target.checked)}
+                        />
+                        <span>Inline annotations</span>
+                      </label>
+                      <div className="export-buttons">
+                        <button onClick={() => exportResults('pdf')} disabled={!essayId} className="export-button">
+                          <Download size={20} />
+                          <span>Export PDF</span>
+                        </button>
+                        <button onClick={() => exportResults('docx')} disabled={!essayId} className="export-button">
+                          <Download size={20} />
+                          <span>Export DOCX</span>
+                        </button>
+                      </div>
+                    </div>
                   </div>
                 ) : (
                   <div className="edits-view">
                     <h4 className="section-title">Suggested Edits</h4>
+                    {results.suggestions.length === 0 && (
+                      <p className="empty-state">No specific edits suggested</p>
+                    )}
                     {results.suggestions.map((suggestion, idx) => (
-                      <div key={idx} className="suggestion-card">
+                      <div
+                        key={suggestion._id || idx}
+                        onClick={() => setActiveSuggestionId(suggestion._id)}
+                        className={`suggestion-card suggestion-${suggestion.status || 'pending'} ${suggestion._id === activeSuggestionId ? 'active' : ''}`}
+                      >
                         <div className="suggestion-section">
                           <p className="suggestion-label">Original</p>
                           <p className="suggestion-text suggestion-original">
@@ -466,9 +1022,40 @@ const OrbitAI = () => {
                         <div className="suggestion-reason">
                           <Sparkles className="reason-icon" size={16} />
                           <p>{suggestion.reason}</p>
+                          {suggestion.category && (
+                            <span className="suggestion-category">{suggestion.category}</span>
+                          )}
                         </div>
+                        {suggestion.status === 'pending' ? (
+                          <div className="inline-suggestion-actions">
+                            <button
+                              onClick={(e) => {
+                                e.stopPropagation();
+                                decideSuggestion(suggestion, 'accepted');
+                              }}
+                              className="accept-button"
+                            >
+                              <Check size={16} />
+                              <span>{suggestion.replacement != null ? 'Accept' : 'Got it'}</span>
+                            </button>
+                            <button
+                              onClick={(e) => {
+                                e.stopPropagation();
+                                decideSuggestion(suggestion, 'rejected');
+                              }}
+                              className="reject-button"
+                            >
+                              <X size={16} />
+                              <span>Reject</span>
+                            </button>
+                          </div>
+                        ) : suggestion.status && (
+                          <p className="suggestion-status">{suggestion.status}</p>
+                        )}
                       </div>
                     ))}
+
+                    {essayId && <OverlapReport essayId={essayId} refreshKey={revisionKey} />}
                   </div>
                 )}
               </div>
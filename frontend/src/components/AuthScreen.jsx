@@ -0,0 +1,127 @@
+import React, { useState } from 'react';
+import { Sparkles, Mail, Lock, User, AlertCircle } from 'lucide-react';
+import apiService from '../../services/api';
+import './styles.css';
+
+const AuthScreen = ({ onAuthenticated }) => {
+  const [mode, setMode] = useState('signin'); // 'signin' or 'signup'
+  const [name, setName] = useState('');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const isSignUp = mode === 'signup';
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError(null);
+
+    try {
+      const response = isSignUp
+        ? await apiService.register({ name, email, password })
+        : await apiService.login({ email, password });
+      onAuthenticated(response.data.user);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const switchMode = () => {
+    setMode(isSignUp ? 'signin' : 'signup');
+    setError(null);
+  };
+
+  return (
+    <div className="app-container auth-container">
+      <div className="animated-background">
+        <div className="orb orb-1"></div>
+        <div className="orb orb-2"></div>
+        <div className="orb orb-3"></div>
+      </div>
+
+      <form onSubmit={handleSubmit} className="input-card auth-card">
+        <div className="logo-section auth-logo">
+          <div className="logo-icon">
+            <Sparkles size={20} />
+          </div>
+          <div className="logo-text">
+            <h1 className="logo-title">ORBIT</h1>
+            <p className="logo-subtitle">AI Essay Assistant</p>
+          </div>
+        </div>
+
+        <h2 className="auth-title">{isSignUp ? 'Create your account' : 'Welcome back'}</h2>
+
+        {isSignUp && (
+          <div className="search-input-wrapper">
+            <User className="search-icon" size={20} />
+            <input
+              type="text"
+              placeholder="Full name"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              className="search-input"
+              autoComplete="name"
+              required
+            />
+          </div>
+        )}
+
+        <div className="search-input-wrapper">
+          <Mail className="search-icon" size={20} />
+          <input
+            type="email"
+            placeholder="Email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            className="search-input"
+            autoComplete="email"
+            required
+          />
+        </div>
+
+        <div className="search-input-wrapper">
+          <Lock className="search-icon" size={20} />
+          <input
+            type="password"
+            placeholder={isSignUp ? 'Password (min. 8 characters)' : 'Password'}
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            className="search-input"
+            autoComplete={isSignUp ? 'new-password' : 'current-password'}
+            minLength={isSignUp ? 8 : undefined}
+            required
+          />
+        </div>
+
+        {error && (
+          <div className="auth-error">
+            <AlertCircle size={16} />
+            <p>{error}</p>
+          </div>
+        )}
+
+        <button type="submit" disabled={isSubmitting} className="evaluate-button">
+          {isSubmitting ? (
+            <div className="spinner"></div>
+          ) : (
+            <span>{isSignUp ? 'Sign up' : 'Sign in'}</span>
+          )}
+        </button>
+
+        <p className="auth-switch">
+          {isSignUp ? 'Already have an account?' : "Don't have an account?"}
+          <button type="button" onClick={switchMode} className="auth-switch-button">
+            {isSignUp ? 'Sign in' : 'Sign up'}
+          </button>
+        </p>
+      </form>
+    </div>
+  );
+};
+
+export default AuthScreen;
@@ -0,0 +1,102 @@
+import React from 'react';
+import { Award, TrendingUp, ChevronRight, X } from 'lucide-react';
+import './styles.css';
+
+const STAGE_LABELS = {
+  analysis: 'Reading the essay and checking grammar',
+  requirements: 'Checking the prompt and length limit',
+  grammar: 'Scoring grammar',
+  structure: 'Scoring structure',
+  coherence: 'Scoring coherence',
+  vocabulary: 'Scoring vocabulary',
+  arguments: 'Scoring arguments',
+  readability: 'Measuring readability',
+  feedback: 'Writing feedback',
+  model: 'Reviewing with the language model'
+};
+
+const DIMENSIONS = ['grammar', 'structure', 'coherence', 'vocabulary', 'arguments'];
+
+// Live view of a streamed evaluation. `progress.stages` holds the partial
+// result of every analyzer that has finished, keyed by stage; dimensions fill
+// in as they arrive and the feedback lists appear once they're written.
+const EvaluationProgress = ({ progress, onCancel }) => {
+  const { completed, total, stage, stages } = progress;
+  const percent = total > 0 ? Math.round(completed / total * 100) : 0;
+  const feedback = stages.feedback;
+
+  return (
+    <div className="feedback-view">
+      <div className="score-card">
+        <p className="score-label">{stage ? STAGE_LABELS[stage] || stage : 'Starting evaluation'}...</p>
+        <div className="score-display">
+          <p className="score-value">{feedback ? Math.round(feedback.overallScore) : '--'}</p>
+          <p className="score-max">/100</p>
+        </div>
+        <div className="score-bar">
+          <div className="score-bar-fill" style={{ width: `${percent}%` }}></div>
+        </div>
+        <p className="progress-count">{completed} of {total || '…'} analyzers complete</p>
+      </div>
+
+      <div className="breakdown-section">
+        <h4 className="section-title">Performance Breakdown</h4>
+        {DIMENSIONS.map((dimension) => {
+          const result = stages[dimension];
+          return (
+            <div key={dimension} className={`breakdown-item ${result ? '' : 'breakdown-pending'}`}>
+              <div className="breakdown-header">
+                <span className="breakdown-label">{dimension}</span>
+                <span className="breakdown-value">{result ? `${Math.round(result.score)}%` : '…'}</span>
+              </div>
+              <div className="breakdown-bar">
+                <div className="breakdown-bar-fill" style={{ width: `${result ? result.score : 0}%` }}></div>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      {feedback && (
+        <>
+          <div className="feedback-section">
+            <h4 className="section-title">
+              <Award className="section-icon icon-green" size={20} />
+              Strengths
+            </h4>
+            <div className="feedback-list">
+              {feedback.strengths.map((strength, idx) => (
+                <div key={idx} className="feedback-item feedback-positive">
+                  <ChevronRight className="feedback-icon" size={18} />
+                  <p>{strength}</p>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div className="feedback-section">
+            <h4 className="section-title">
+              <TrendingUp className="section-icon icon-yellow" size={20} />
+              Areas for Improvement
+            </h4>
+            <div className="feedback-list">
+              {feedback.improvements.map((improvement, idx) => (
+                <div key={idx} className="feedback-item feedback-warning">
+                  <ChevronRight className="feedback-icon" size={18} />
+                  <p>{improvement}</p>
+                </div>
+              ))}
+            </div>
+          </div>
+        </>
+      )}
+
+      <button onClick={onCancel} className="retry-button cancel-button">
+        <X size={18} />
+        <span>Cancel evaluation</span>
+      </button>
+    </div>
+  );
+};
+
+export default EvaluationProgress;
@@ -0,0 +1,59 @@
+import React from 'react';
+import './styles.css';
+
+const RADIUS = 10;
+const CIRCUMFERENCE = 2 * Math.PI * RADIUS;
+
+// Share of the maximum at which the ring starts warning
+const WARNING_RATIO = 0.9;
+
+const limitStatus = (count, { min, max, mode }) => {
+  if (max != null && count > max) return mode === 'hard' ? 'over-hard' : 'over-soft';
+  if (max != null && count >= max * WARNING_RATIO) return 'near';
+  if (min != null && count < min) return 'under';
+  return 'ok';
+};
+
+const describeStatus = (status, count, { min, max, unit }) => {
+  switch (status) {
+    case 'over-hard':
+      return `${count - max} ${unit} over the hard limit`;
+    case 'over-soft':
+      return `${count - max} ${unit} over the suggested limit`;
+    case 'near':
+      return `${max - count} ${unit} left`;
+    case 'under':
+      return `${min - count} ${unit} below the minimum`;
+    default:
+      return max != null ? `${max - count} ${unit} left` : 'Minimum reached';
+  }
+};
+
+// Progress ring for the essay's length limit. It fills toward the maximum
+// (or the minimum when only that is set) and changes colour as it nears it.
+const LimitRing = ({ count, limits }) => {
+  const target = limits.max ?? limits.min;
+  const progress = target > 0 ? Math.min(1, count / target) : 1;
+  const status = limitStatus(count, limits);
+  const description = describeStatus(status, count, limits);
+
+  return (
+    <div className={`limit-ring limit-ring-${status}`} title={description}>
+      <svg width="24" height="24" viewBox="0 0 24 24" aria-hidden="true">
+        <circle className="limit-ring-track" cx="12" cy="12" r={RADIUS} />
+        <circle
+          className="limit-ring-fill"
+          cx="12"
+          cy="12"
+          r={RADIUS}
+          strokeDasharray={CIRCUMFERENCE}
+          strokeDashoffset={CIRCUMFERENCE * (1 - progress)}
+          transform="rotate(-90 12 12)"
+        />
+      </svg>
+      <span className="limit-ring-label">{description}</span>
+    </div>
+  );
+};
+
+export default LimitRing;
@@ -0,0 +1,59 @@
+import React from 'react';
+import './styles.css';
+
+const EMPTY_LIMITS = { unit: 'words', min: null, max: null, mode: 'soft' };
+
+const toBound = (value) => (value === '' ? null : Math.max(0, parseInt(value, 10) || 0));
+
+// Min/max length for the essay, counted in words or characters. Hard limits
+// are ones the application portal enforces; soft limits are guidance.
+const LimitSettings = ({ limits, onChange }) => {
+  const current = limits || EMPTY_LIMITS;
+
+  const update = (field, value) => onChange({ ...current, [field]: value });
+
+  return (
+    <div className="limit-settings">
+      <span className="limit-settings-label">Limit</span>
+      <input
+        type="number"
+        min="0"
+        placeholder="Min"
+        value={current.min ?? ''}
+        onChange={(e) => update('min', toBound(e.target.value))}
+        className="limit-input"
+        aria-label="Minimum length"
+      />
+      <span className="limit-separator">–</span>
+      <input
+        type="number"
+        min="0"
+        placeholder="Max"
+        value={current.max ?? ''}
+        onChange={(e) => update('max', toBound(e.target.value))}
+        className="limit-input"
+        aria-label="Maximum length"
+      />
+      <select
+        value={current.unit}
+        onChange={(e) => update('unit', e.target.value)}
+        className="limit-select"
+        aria-label="Limit unit"
+      >
+        <option value="words">words</option>
+        <option value="characters">characters</option>
+      </select>
+      <select
+        value={current.mode}
+        onChange={(e) => update('mode', e.target.value)}
+        className="limit-select"
+        aria-label="Limit mode"
+      >
+        <option value="soft">Soft</option>
+        <option value="hard">Hard</option>
+      </select>
+    </div>
+  );
+};
+
+export default LimitSettings;
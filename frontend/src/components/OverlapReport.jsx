@@ -0,0 +1,90 @@
+import React, { useState, useEffect } from 'react';
+import { Copy } from 'lucide-react';
+import apiService from '../../services/api';
+import './styles.css';
+
+// Splits the essay into plain and matched segments for highlighting
+const segmentText = (text, passages) => {
+  const segments = [];
+  let cursor = 0;
+  passages.forEach((passage) => {
+    if (passage.start > cursor) segments.push({ text: text.slice(cursor, passage.start) });
+    segments.push({ text: text.slice(passage.start, passage.end), passage });
+    cursor = passage.end;
+  });
+  if (cursor < text.length) segments.push({ text: text.slice(cursor) });
+  return segments;
+};
+
+const OverlapReport = ({ essayId, refreshKey }) => {
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    apiService.getOverlaps(essayId)
+      .then((response) => {
+        if (cancelled) return;
+        setReport(response.data);
+        setError(null);
+      })
+      .catch((err) => !cancelled && setError(err.message));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [essayId, refreshKey]);
+
+  if (error) {
+    return <p className="empty-state">{error}</p>;
+  }
+
+  if (!report) return null;
+
+  const sourceNumber = (id) => report.sources.findIndex(source => source.essayId === id) + 1;
+
+  return (
+    <div className="overlap-view">
+      <h4 className="section-title">Overlap Check</h4>
+
+      {report.sources.length === 0 ? (
+        <p className="empty-state">No overlap with other stored essays</p>
+      ) : (
+        <>
+          <p className="overlap-summary">
+            <Copy size={16} className="revision-icon" />
+            {report.similarity}% of this essay matches {report.sources.length} other {report.sources.length === 1 ? 'essay' : 'essays'}
+          </p>
+
+          <div className="overlap-sources">
+            {report.sources.map((source, idx) => (
+              <div key={source.essayId} className="overlap-source">
+                <span className="overlap-source-index">{idx + 1}</span>
+                <div className="revision-info">
+                  <p>{source.sameAuthor ? 'Your earlier essay' : 'Another student\'s essay'}</p>
+                  <span>{source.essayId} • {source.passages.length} matching {source.passages.length === 1 ? 'passage' : 'passages'}</span>
+                </div>
+                <span className="overlap-source-similarity">{source.similarity}%</span>
+              </div>
+            ))}
+          </div>
+
+          <div className="overlap-text">
+            {segmentText(report.text, report.passages).map((segment, idx) => (
+              segment.passage ? (
+                <mark key={idx} title={`Matches source ${segment.passage.sources.map(sourceNumber).join(', ')}`}>
+                  {segment.text}
+                </mark>
+              ) : (
+                <span key={idx}>{segment.text}</span>
+              )
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default OverlapReport;
@@ -0,0 +1,131 @@
+import React, { useState, useEffect } from 'react';
+import { GitCommit, Zap, ArrowRight } from 'lucide-react';
+import apiService from '../../services/api';
+import './styles.css';
+
+const formatScore = (score) => (score == null ? '--' : Math.round(score));
+
+const RevisionTimeline = ({ essayId, refreshKey }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [fromVersion, setFromVersion] = useState(null);
+  const [toVersion, setToVersion] = useState(null);
+  const [diff, setDiff] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    apiService.getRevisions(essayId)
+      .then((response) => {
+        if (cancelled) return;
+        const list = response.data;
+        setRevisions(list);
+        setToVersion(list[0]?.version ?? null);
+        setFromVersion(list[1]?.version ?? list[0]?.version ?? null);
+        setError(null);
+      })
+      .catch((err) => !cancelled && setError(err.message));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [essayId, refreshKey]);
+
+  useEffect(() => {
+    if (fromVersion == null || toVersion == null) return;
+    let cancelled = false;
+
+    apiService.diffRevisions(essayId, fromVersion, toVersion)
+      .then((response) => !cancelled && setDiff(response.data))
+      .catch((err) => !cancelled && setError(err.message));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [essayId, fromVersion, toVersion]);
+
+  if (error) {
+    return <p className="empty-state">{error}</p>;
+  }
+
+  if (revisions.length === 0) {
+    return <p className="empty-state">No versions saved yet</p>;
+  }
+
+  return (
+    <div className="revision-view">
+      <h4 className="section-title">Version Timeline</h4>
+
+      <div className="revision-list">
+        {revisions.map((revision) => (
+          <div
+            key={revision.version}
+            className={`revision-item ${[fromVersion, toVersion].includes(revision.version) ? 'active' : ''}`}
+          >
+            {revision.type === 'evaluation' ? (
+              <Zap className="revision-icon" size={16} />
+            ) : (
+              <GitCommit className="revision-icon" size={16} />
+            )}
+            <div className="revision-info">
+              <p>v{revision.version} • {revision.type === 'evaluation' ? 'Evaluated' : 'Edited'}</p>
+              <span>{new Date(revision.createdAt).toLocaleString()} • {revision.wordCount} words</span>
+            </div>
+            {revision.results?.overallScore != null && (
+              <span className="revision-score">{formatScore(revision.results.overallScore)}</span>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <div className="revision-compare">
+        <select
+          value={fromVersion ?? ''}
+          onChange={(e) => setFromVersion(Number(e.target.value))}
+          className="revision-select"
+        >
+          {revisions.map((revision) => (
+            <option key={revision.version} value={revision.version}>v{revision.version}</option>
+          ))}
+        </select>
+        <ArrowRight size={16} className="revision-arrow" />
+        <select
+          value={toVersion ?? ''}
+          onChange={(e) => setToVersion(Number(e.target.value))}
+          className="revision-select"
+        >
+          {revisions.map((revision) => (
+            <option key={revision.version} value={revision.version}>v{revision.version}</option>
+          ))}
+        </select>
+      </div>
+
+      {diff && (
+        <>
+          <div className="revision-summary">
+            <span className="diff-stat-insert">+{diff.stats.insertions} words</span>
+            <span className="diff-stat-delete">-{diff.stats.deletions} words</span>
+            <span>
+              Score {formatScore(diff.from.overallScore)} → {formatScore(diff.to.overallScore)}
+              {diff.scoreDelta != null && (
+                <strong className={diff.scoreDelta >= 0 ? 'diff-stat-insert' : 'diff-stat-delete'}>
+                  {' '}({diff.scoreDelta >= 0 ? '+' : ''}{diff.scoreDelta})
+                </strong>
+              )}
+            </span>
+          </div>
+
+          <div className="diff-text">
+            {diff.changes.map((change, idx) => {
+              if (change.type === 'insert') return <ins key={idx}>{change.text}</ins>;
+              if (change.type === 'delete') return <del key={idx}>{change.text}</del>;
+              return <span key={idx}>{change.text}</span>;
+            })}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default RevisionTimeline;
@@ -0,0 +1,108 @@
+import React, { useRef } from 'react';
+import { Check, X } from 'lucide-react';
+import './styles.css';
+
+const isAnchored = (suggestion) =>
+  suggestion.status === 'pending' && Number.isInteger(suggestion.start) && Number.isInteger(suggestion.end);
+
+// Splits the essay into plain and highlighted segments for the backdrop layer
+const buildSegments = (text, suggestions) => {
+  const segments = [];
+  let cursor = 0;
+
+  suggestions
+    .filter(isAnchored)
+    .sort((a, b) => a.start - b.start)
+    .forEach((suggestion) => {
+      if (suggestion.start < cursor) return;
+      segments.push({ text: text.slice(cursor, suggestion.start) });
+      segments.push({ text: text.slice(suggestion.start, suggestion.end), suggestion });
+      cursor = suggestion.end;
+    });
+
+  segments.push({ text: text.slice(cursor) });
+  return segments;
+};
+
+// Textarea with a mirrored backdrop that highlights anchored suggestions.
+// Placing the caret inside a highlight opens its accept/reject card.
+const SuggestionEditor = ({
+  value,
+  onChange,
+  placeholder,
+  suggestions = [],
+  activeSuggestionId,
+  onActivateSuggestion,
+  onDecision
+}) => {
+  const backdropRef = useRef(null);
+
+  const activeSuggestion = suggestions.find(s => s._id === activeSuggestionId && isAnchored(s));
+
+  const handleCaret = (e) => {
+    const caret = e.target.selectionStart;
+    const hit = suggestions.find(s => isAnchored(s) && caret >= s.start && caret <= s.end);
+    onActivateSuggestion(hit ? hit._id : null);
+  };
+
+  const syncScroll = (e) => {
+    if (backdropRef.current) {
+      backdropRef.current.scrollTop = e.target.scrollTop;
+    }
+  };
+
+  return (
+    <div className="editor-wrapper">
+      <div ref={backdropRef} className="editor-backdrop" aria-hidden="true">
+        {buildSegments(value, suggestions).map((segment, idx) => (
+          segment.suggestion ? (
+            <mark
+              key={idx}
+              className={`editor-highlight ${segment.suggestion._id === activeSuggestionId ? 'active' : ''}`}
+            >
+              {segment.text}
+            </mark>
+          ) : (
+            <span key={idx}>{segment.text}</span>
+          )
+        ))}
+        {'\n'}
+      </div>
+
+      <textarea
+        placeholder={placeholder}
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        onClick={handleCaret}
+        onKeyUp={handleCaret}
+        onScroll={syncScroll}
+        className="essay-textarea editor-textarea"
+      />
+
+      {activeSuggestion && (
+        <div className="inline-suggestion">
+          <p className="suggestion-label">{activeSuggestion.reason}</p>
+          <p className="suggestion-text suggestion-improved">{activeSuggestion.improved}</p>
+          <div className="inline-suggestion-actions">
+            <button
+              onClick={() => onDecision(activeSuggestion, 'accepted')}
+              className="accept-button"
+            >
+              <Check size={16} />
+              <span>{activeSuggestion.replacement != null ? 'Accept' : 'Got it'}</span>
+            </button>
+            <button
+              onClick={() => onDecision(activeSuggestion, 'rejected')}
+              className="reject-button"
+            >
+              <X size={16} />
+              <span>Reject</span>
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SuggestionEditor;
@@ -0,0 +1,164 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Search, X } from 'lucide-react';
+import apiService from '../../services/api';
+import './styles.css';
+
+const SEARCH_DELAY = 250;
+const MIN_QUERY_LENGTH = 2;
+
+const LEVEL_LABELS = {
+  undergrad: 'Undergraduate',
+  mba: 'MBA'
+};
+
+const describeWordLimit = ({ min, max } = {}) => {
+  if (min != null && max != null) return `${min}-${max} words`;
+  if (max != null) return `Up to ${max} words`;
+  if (min != null) return `At least ${min} words`;
+  return null;
+};
+
+// One option per program so the student picks the exact essay they are writing
+const toOptions = (universities) => universities.flatMap(university =>
+  university.programs.map(program => ({
+    universityId: university._id,
+    universityName: university.name,
+    programId: program._id,
+    name: program.name,
+    level: program.level,
+    essayType: program.essayType,
+    prompts: program.prompts,
+    wordLimit: program.wordLimit,
+    rubricId: program.rubricId
+  }))
+);
+
+// University input that autocompletes from the catalog. Free text is still
+// allowed; choosing a program applies its prompts, word limit and weights.
+const UniversitySearch = ({ value, onChange, selectedProgram, onSelectProgram }) => {
+  const [options, setOptions] = useState([]);
+  const [isOpen, setIsOpen] = useState(false);
+  const [highlighted, setHighlighted] = useState(0);
+  const requestRef = useRef(0);
+
+  useEffect(() => {
+    const query = value.trim();
+    if (!isOpen || query.length < MIN_QUERY_LENGTH) {
+      setOptions([]);
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      const requestId = ++requestRef.current;
+      try {
+        const response = await apiService.searchUniversities({ search: query, limit: 10 });
+        // Ignore responses that arrive after a newer search started
+        if (requestId === requestRef.current) {
+          setOptions(toOptions(response.data));
+          setHighlighted(0);
+        }
+      } catch (error) {
+        console.log('University search failed:', error);
+      }
+    }, SEARCH_DELAY);
+    return () => clearTimeout(timer);
+  }, [value, isOpen]);
+
+  const handleInput = (text) => {
+    onChange(text);
+    setIsOpen(true);
+    if (selectedProgram && text !== selectedProgram.universityName) {
+      onSelectProgram(null);
+    }
+  };
+
+  const choose = (option) => {
+    onChange(option.universityName);
+    onSelectProgram(option);
+    setIsOpen(false);
+  };
+
+  // Chosen on mousedown because the input's blur would close the list before a click
+  const handleOptionMouseDown = (e, option) => {
+    e.preventDefault();
+    choose(option);
+  };
+
+  const handleKeyDown = (e) => {
+    if (!isOpen || options.length === 0) return;
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setHighlighted(index => (index + 1) % options.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setHighlighted(index => (index - 1 + options.length) % options.length);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      choose(options[highlighted]);
+    } else if (e.key === 'Escape') {
+      setIsOpen(false);
+    }
+  };
+
+  const wordLimit = selectedProgram && describeWordLimit(selectedProgram.wordLimit);
+
+  return (
+    <div className="search-container">
+      <div className="search-input-wrapper">
+        <Search className="search-icon" size={20} />
+        <input
+          type="text"
+          placeholder="Search University (optional)"
+          value={value}
+          onChange={(e) => handleInput(e.target.value)}
+          onFocus={() => setIsOpen(true)}
+          onBlur={() => setIsOpen(false)}
+          onKeyDown={handleKeyDown}
+          className="search-input"
+          role="combobox"
+          aria-expanded={isOpen && options.length > 0}
+          aria-autocomplete="list"
+        />
+
+        {isOpen && options.length > 0 && (
+          <ul className="search-options" role="listbox">
+            {options.map((option, idx) => (
+              <li
+                key={option.programId}
+                role="option"
+                aria-selected={idx === highlighted}
+                className={`search-option ${idx === highlighted ? 'highlighted' : ''}`}
+                onMouseDown={(e) => handleOptionMouseDown(e, option)}
+                onMouseEnter={() => setHighlighted(idx)}
+              >
+                <span className="search-option-name">{option.universityName}</span>
+                <span className="search-option-program">
+                  {option.name}{option.essayType && ` • ${option.essayType}`} • {LEVEL_LABELS[option.level]}
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {selectedProgram && (
+        <div className="program-card">
+          <div className="program-card-header">
+            <p className="program-card-title">
+              {selectedProgram.name}{selectedProgram.essayType && ` • ${selectedProgram.essayType}`}
+            </p>
+            <button onClick={() => onSelectProgram(null)} className="program-clear" title="Clear program">
+              <X size={14} />
+            </button>
+          </div>
+          {selectedProgram.prompts?.map((prompt, idx) => (
+            <p key={idx} className="program-prompt">{prompt}</p>
+          ))}
+          {wordLimit && <p className="program-limit">{wordLimit}</p>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default UniversitySearch;
@@ -4,6 +4,15 @@ import react from '@vitejs/plugin-react'
 
 export default defineConfig({
   plugins: [react()],
+  // @orbit/text-analysis is a linked CommonJS package shared with the backend
+  optimizeDeps: {
+    include: ['@orbit/text-analysis'],
+  },
+  build: {
+    commonjsOptions: {
+      include: [/text-analysis/, /node_modules/],
+    },
+  },
   server: {
     port: 3000,
     proxy: {
@@ -0,0 +1,165 @@
+// Text analysis shared by the backend scorer and the editor UI so word
+// counts and sentence boundaries agree everywhere. Every unit carries
+// `start`/`end` character offsets into the original text.
+//
+// Written as CommonJS without dependencies so Node can require it directly
+// and Vite can pre-bundle it for the browser.
+
+const { rebaseSuggestions } = require('./suggestions');
+
+// Letters in any script, plus combining marks so decomposed accents stay
+// inside their word
+const LETTER = '\\p{L}\\p{M}';
+
+const TOKEN_PATTERNS = [
+  // Dotted acronyms (U.S., e.g., Ph.D.) and common titles. "No." only counts
+  // when a number follows, so "The answer was no." still ends a sentence.
+  { type: 'abbreviation', pattern: /(?:[A-Za-z]{1,2}\.){2,}|(?:Dr|Mr|Mrs|Ms|Prof|St|Jr|Sr|vs|Mt|approx|etc)\.(?=\s|$)|No\.(?=\s*\d)/y },
+  { type: 'number', pattern: /\d+(?:[.,]\d+)*(?:%|st|nd|rd|th)?/y },
+  { type: 'word', pattern: new RegExp(`[${LETTER}]+(?:['’-][${LETTER}]+)*`, 'uy') },
+  { type: 'punctuation', pattern: /\.{3}|…|--|[—–]|[.!?,;:"“”‘’'()[\]{}]/y },
+  { type: 'symbol', pattern: /\S/uy }
+];
+
+const WORD_TYPES = new Set(['word', 'number', 'abbreviation']);
+
+const TERMINAL_PUNCTUATION = new Set(['.', '!', '?', '...', '…']);
+
+const CLOSING_PUNCTUATION = new Set(['"', '”', '’', "'", ')', ']', '}']);
+
+const tokenize = (text = '') => {
+  const tokens = [];
+  let index = 0;
+
+  while (index < text.length) {
+    if (/\s/.test(text[index])) {
+      index++;
+      continue;
+    }
+
+    for (const { type, pattern } of TOKEN_PATTERNS) {
+      pattern.lastIndex = index;
+      const match = pattern.exec(text);
+      if (match) {
+        tokens.push({ text: match[0], type, start: index, end: index + match[0].length });
+        index += match[0].length;
+        break;
+      }
+    }
+  }
+
+  return tokens;
+};
+
+const isWordToken = (token) => WORD_TYPES.has(token.type);
+
+const countWords = (text = '') => tokenize(text).filter(isWordToken).length;
+
+// Paragraphs are separated by one or more line breaks
+const splitParagraphs = (text = '') => {
+  const paragraphs = [];
+  const pattern = /[^\n]+/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const leading = match[0].length - match[0].trimStart().length;
+    const content = match[0].trim();
+    if (content) {
+      const start = match.index + leading;
+      paragraphs.push({ text: content, start, end: start + content.length });
+    }
+  }
+  return paragraphs;
+};
+
+// A sentence ends at terminal punctuation (plus any closing quotes or
+// brackets) followed by whitespace or the end of the paragraph. An ellipsis
+// or a quoted exclamation followed by a lowercase word ("Wow!" she said)
+// continues the sentence.
+const segmentSentences = (text, tokens) => {
+  const sentences = [];
+  let first = 0;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.type !== 'punctuation' || !TERMINAL_PUNCTUATION.has(token.text)) continue;
+
+    let last = i;
+    while (last + 1 < tokens.length && CLOSING_PUNCTUATION.has(tokens[last + 1].text) && tokens[last + 1].start === tokens[last].end) {
+      last++;
+    }
+
+    const next = tokens[last + 1];
+    const followedBySpace = !next || next.start > tokens[last].end;
+    const isEllipsis = token.text === '...' || token.text === '…';
+    const closesQuote = last > i;
+    const continues = (isEllipsis || closesQuote) && next && /^[a-z]/.test(next.text);
+    if (!followedBySpace || continues) continue;
+
+    sentences.push(tokens.slice(first, last + 1));
+    first = last + 1;
+    i = last;
+  }
+
+  if (first < tokens.length) {
+    sentences.push(tokens.slice(first));
+  }
+
+  return sentences
+    .filter(sentenceTokens => sentenceTokens.some(isWordToken))
+    .map((sentenceTokens) => {
+      const start = sentenceTokens[0].start;
+      const end = sentenceTokens[sentenceTokens.length - 1].end;
+      return {
+        text: text.slice(start, end),
+        start,
+        end,
+        wordCount: sentenceTokens.filter(isWordToken).length
+      };
+    });
+};
+
+const analyzeText = (text = '') => {
+  const tokens = tokenize(text);
+  const paragraphs = splitParagraphs(text).map((paragraph, index) => ({ ...paragraph, index }));
+
+  // Tokens never span a line break and both lists are in text order, so one
+  // pass hands each paragraph its tokens
+  const sentences = [];
+  const sentenceCounts = [];
+  let next = 0;
+  paragraphs.forEach((paragraph) => {
+    const first = next;
+    while (next < tokens.length && tokens[next].start < paragraph.end) next++;
+    const paragraphSentences = segmentSentences(text, tokens.slice(first, next));
+    paragraphSentences.forEach((sentence) => {
+      sentences.push({ ...sentence, paragraph: paragraph.index });
+    });
+    sentenceCounts.push(paragraphSentences.length);
+  });
+
+  const words = tokens.filter(isWordToken);
+
+  return {
+    paragraphs: paragraphs.map(paragraph => ({
+      ...paragraph,
+      sentenceCount: sentenceCounts[paragraph.index]
+    })),
+    sentences,
+    tokens,
+    words,
+    wordCount: words.length,
+    charCount: text.length
+  };
+};
+
+const splitSentences = (text = '') => analyzeText(text).sentences;
+
+module.exports = {
+  analyzeText,
+  tokenize,
+  countWords,
+  splitParagraphs,
+  splitSentences,
+  isWordToken,
+  rebaseSuggestions
+};
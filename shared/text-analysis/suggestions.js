@@ -0,0 +1,51 @@
+// Keeps suggestions anchored to `start`/`end` offsets in step with edits to
+// the text. The server rebases stored suggestions when an essay is saved and
+// the editor rebases its copy as the student types, so both move the same
+// highlights the same way.
+
+// Finds the single edited region between two versions of a text.
+const findEditRegion = (oldText, newText) => {
+  const maxPrefix = Math.min(oldText.length, newText.length);
+  let prefix = 0;
+  while (prefix < maxPrefix && oldText[prefix] === newText[prefix]) prefix++;
+
+  let suffix = 0;
+  const maxSuffix = maxPrefix - prefix;
+  while (
+    suffix < maxSuffix &&
+    oldText[oldText.length - 1 - suffix] === newText[newText.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  return {
+    start: prefix,
+    oldEnd: oldText.length - suffix,
+    delta: newText.length - oldText.length
+  };
+};
+
+// Moves suggestion offsets after the text changes. Spans before the edit are
+// unchanged, spans after it shift by the length delta, and spans the edit
+// touched lose their offsets because they no longer point at `original`.
+const rebaseSuggestions = (suggestions, oldText, newText) => {
+  if (oldText === newText) return suggestions;
+  const edit = findEditRegion(oldText, newText);
+
+  return suggestions.map((suggestion) => {
+    if (!Number.isInteger(suggestion.start)) return suggestion;
+    if (suggestion.end <= edit.start) return suggestion;
+    if (suggestion.start >= edit.oldEnd) {
+      return {
+        ...suggestion,
+        start: suggestion.start + edit.delta,
+        end: suggestion.end + edit.delta
+      };
+    }
+    return { ...suggestion, start: undefined, end: undefined };
+  });
+};
+
+module.exports = {
+  rebaseSuggestions
+};